@@ -0,0 +1,27 @@
+// src/converters/DocumentConverter.js
+
+class DocumentConverter {
+    /**
+     * Output formats the converter can produce from a DOCX
+     * @returns {Array<string>} - e.g. ['pdf']
+     */
+    get formats() {
+        return [];
+    }
+
+    supports(format) {
+        return this.formats.includes(format);
+    }
+
+    /**
+     * Convert a generated DOCX
+     * @param {Buffer} documentBuffer - DOCX document
+     * @param {string} format - Target format, one of this.formats
+     * @returns {Promise<Buffer>} - Converted document
+     */
+    async convert(documentBuffer, format) {
+        throw new Error(`${this.constructor.name} does not implement conversion to ${format}`);
+    }
+}
+
+module.exports = DocumentConverter;
@@ -0,0 +1,117 @@
+// src/converters/LibreOfficeConverter.js
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const DocumentConverter = require('./DocumentConverter');
+
+class LibreOfficeConverter extends DocumentConverter {
+    /**
+     * Convert documents with a headless LibreOffice (soffice --convert-to)
+     * @param {Object} options - { binary, timeout, maxConcurrency, tempDir }
+     */
+    constructor(options = {}) {
+        super();
+        this.binary = options.binary || process.env.SOFFICE_PATH || 'soffice';
+        this.timeout = options.timeout || parseInt(process.env.SOFFICE_TIMEOUT) || 60000;
+        this.maxConcurrency = options.maxConcurrency || parseInt(process.env.SOFFICE_MAX_CONCURRENCY) || 2;
+        this.tempDir = options.tempDir || os.tmpdir();
+
+        this.running = 0;
+        this.queue = [];
+    }
+
+    get formats() {
+        return ['pdf'];
+    }
+
+    async convert(documentBuffer, format = 'pdf') {
+        if (!this.supports(format)) {
+            throw new Error(`LibreOffice conversion to ${format} is not supported`);
+        }
+
+        await this.acquire();
+        try {
+            return await this.runConversion(documentBuffer, format);
+        } finally {
+            this.release();
+        }
+    }
+
+    async runConversion(documentBuffer, format) {
+        // Every conversion gets its own profile, soffice refuses to share one between processes
+        const workDir = await fs.mkdtemp(path.join(this.tempDir, 'docx-convert-'));
+        const inputPath = path.join(workDir, 'document.docx');
+        const profileDir = path.join(workDir, 'profile');
+        const startTime = Date.now();
+
+        try {
+            await fs.writeFile(inputPath, documentBuffer);
+
+            await this.execSoffice([
+                `-env:UserInstallation=${pathToFileURL(profileDir).href}`,
+                '--headless',
+                '--invisible',
+                '--nologo',
+                '--nodefault',
+                '--norestore',
+                '--nolockcheck',
+                '--convert-to', format,
+                '--outdir', workDir,
+                inputPath
+            ]);
+
+            let converted;
+            try {
+                converted = await fs.readFile(path.join(workDir, `document.${format}`));
+            } catch (error) {
+                throw new Error(`LibreOffice did not produce a ${format.toUpperCase()} file`);
+            }
+
+            console.log(`📄 Converted document to ${format.toUpperCase()} in ${Date.now() - startTime}ms`);
+            return converted;
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(error => {
+                console.warn(`Could not remove conversion directory ${workDir}:`, error.message);
+            });
+        }
+    }
+
+    execSoffice(args) {
+        return new Promise((resolve, reject) => {
+            execFile(this.binary, args, { timeout: this.timeout, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+                if (!error) return resolve(stdout);
+
+                if (error.code === 'ENOENT') {
+                    reject(new Error(`LibreOffice not found ("${this.binary}"), install it or set SOFFICE_PATH`));
+                } else if (error.killed) {
+                    reject(new Error(`LibreOffice conversion timed out after ${this.timeout}ms`));
+                } else {
+                    reject(new Error(`LibreOffice conversion failed: ${(stderr || error.message).trim()}`));
+                }
+            });
+        });
+    }
+
+    // Conversions beyond maxConcurrency wait for a running one to finish
+    acquire() {
+        if (this.running < this.maxConcurrency) {
+            this.running++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.queue.push(resolve));
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.running--;
+        }
+    }
+}
+
+module.exports = LibreOfficeConverter;
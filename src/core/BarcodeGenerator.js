@@ -0,0 +1,151 @@
+// src/core/BarcodeGenerator.js
+const zlib = require('zlib');
+const bwipjs = require('bwip-js');
+
+// Barcode formatter types → bwip-js symbology
+const BARCODE_TYPES = {
+    code128: 'code128',
+    code39: 'code39',
+    ean13: 'ean13',
+    ean8: 'ean8',
+    upca: 'upca',
+    itf14: 'itf14',
+    datamatrix: 'datamatrix',
+    pdf417: 'pdf417'
+};
+
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Symbols are drawn at 72 dpi times this scale, so one module is 1pt when printed at its natural size
+const RENDER_SCALE = 3;
+const PIXELS_PER_INCH = 72 * RENDER_SCALE;
+// QR codes are usually printed larger, sharper modules keep them readable for phone cameras
+const QR_RENDER_SCALE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+class BarcodeGenerator {
+    static get BARCODE_TYPES() {
+        return BARCODE_TYPES;
+    }
+
+    /**
+     * Draw a QR code
+     * @param {string} text - Encoded text, e.g. a verification URL
+     * @param {Object} options - { errorCorrection: 'L' | 'M' | 'Q' | 'H' }
+     * @returns {{buffer: Buffer, width: number, height: number}} - PNG and its size in pixels
+     */
+    qrCode(text, options = {}) {
+        const errorCorrection = String(options.errorCorrection || 'M').toUpperCase();
+        if (!QR_ERROR_CORRECTION_LEVELS.includes(errorCorrection)) {
+            throw new Error(`Invalid QR error correction level "${options.errorCorrection}", use ${QR_ERROR_CORRECTION_LEVELS.join(', ')}`);
+        }
+
+        return this.renderPng({
+            bcid: 'qrcode',
+            text: String(text),
+            eclevel: errorCorrection,
+            scale: QR_RENDER_SCALE,
+            // Quiet zone scanners need around the symbol
+            padding: 4
+        });
+    }
+
+    /**
+     * Draw a barcode with its human-readable text below it
+     * @param {string} text - Encoded value
+     * @param {string} type - Key of BARCODE_TYPES, e.g. "code128"
+     * @returns {{buffer: Buffer, width: number, height: number}} - PNG and its size in pixels
+     */
+    barcode(text, type = 'code128') {
+        const bcid = BARCODE_TYPES[String(type).toLowerCase()];
+        if (!bcid) {
+            throw new Error(`Unsupported barcode type "${type}", use ${Object.keys(BARCODE_TYPES).join(', ')}`);
+        }
+
+        const linear = !['datamatrix', 'pdf417'].includes(bcid);
+        return this.renderPng({
+            bcid,
+            text: String(text),
+            ...(linear ? { height: 10, includetext: true, textxalign: 'center' } : {}),
+            padding: 2
+        });
+    }
+
+    // Natural printed width of a symbol, as an image size option
+    getNaturalWidth(symbol) {
+        return `${(symbol.width / PIXELS_PER_INCH).toFixed(3)}in`;
+    }
+
+    renderPng(options) {
+        // The built-in PNG drawing deflates asynchronously, so keep its pixels and encode them here
+        const drawing = bwipjs.drawingZlibPng();
+        const createImage = drawing.image;
+        let pixels = null;
+
+        drawing.image = function (width, height) {
+            const image = createImage.call(this, width, height);
+            pixels = { rows: image.buffer, width, height };
+            return image;
+        };
+        drawing.end = () => pixels;
+
+        let symbol;
+        try {
+            symbol = bwipjs.render({ scale: RENDER_SCALE, ...options, backgroundcolor: 'FFFFFF' }, drawing);
+        } catch (error) {
+            throw new Error(`Cannot encode "${options.text}" as ${options.bcid}: ${String(error.message || error).replace(/^bwipp?\.\w+#?\d*:\s*/, '')}`);
+        }
+
+        if (!symbol) {
+            throw new Error(`Nothing to draw for ${options.bcid} "${options.text}"`);
+        }
+
+        return { buffer: this.encodePng(symbol.rows, symbol.width, symbol.height), width: symbol.width, height: symbol.height };
+    }
+
+    /**
+     * Write RGBA rows as a PNG file
+     * @param {Buffer} rows - Pixel rows, each prefixed with its filter type byte
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Buffer} - PNG
+     */
+    encodePng(rows, width, height) {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // RGBA
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            this.createChunk('IHDR', header),
+            this.createChunk('IDAT', zlib.deflateSync(rows)),
+            this.createChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    createChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+
+        const content = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(this.crc32(content));
+
+        return Buffer.concat([length, content, crc]);
+    }
+
+    crc32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+module.exports = BarcodeGenerator;
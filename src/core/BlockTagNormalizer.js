@@ -0,0 +1,599 @@
+// src/core/BlockTagNormalizer.js
+const WordXmlScanner = require('./WordXmlScanner');
+
+// Block tags: opening name → names of the tags allowed between it and its closing tag
+const BLOCK_TAGS = {
+    if: ['elseif', 'else'],
+    unless: ['else'],
+    each: ['else'],
+    group: ['else'],
+    switch: ['case', 'default']
+};
+
+// Tags without a closing tag that leave no trace in the output
+const STANDALONE_TAGS = ['set', 'let'];
+
+// ${#eachColumn items} ... ${/eachColumn}, placed in cells of one table row
+const COLUMN_LOOP_TAG_REGEX = /\$\{\s*(?:#eachColumn\s+([^}]*?)|\/eachColumn)\s*\}/g;
+
+// Markers left for fitting tables with column loops after rendering: the template width in the grid,
+// one marker per repeated item of a loop, and cells spanning a loop's columns
+const TABLE_WIDTH_MARKER_REGEX = /<!--table-width:(\d+)-->/;
+const COLUMN_LOOP_MARKER_REGEX = /<!--column-loop:(\d+)-->/g;
+const COLUMN_SPAN_MARKER_REGEX = /<!--column-span:(\d+):(\d+)-->/g;
+
+class BlockTagNormalizer {
+    constructor() {
+        this.wordXmlScanner = new WordXmlScanner();
+        this.blockTags = BLOCK_TAGS;
+    }
+
+    /**
+     * Lift block tags that span paragraphs (or table rows) out of their paragraphs,
+     * so blocks keep or repeat whole <w:p>/<w:tr> elements instead of XML fragments
+     * @param {string} xml - WordprocessingML part with tags already rejoined
+     * @returns {string} - XML where spanning block tags sit between paragraphs or rows
+     */
+    normalize(xml) {
+        xml = this.expandColumnLoops(xml);
+        xml = this.liftRowBlocks(xml);
+
+        const { tags } = this.scan(xml);
+        if (tags.length === 0) return xml;
+
+        const blocks = this.pairBlocks(tags);
+        const hoistedRows = new Set();
+        const paragraphSplits = new Map();
+
+        for (const block of blocks) {
+            const placement = this.getBlockPlacement(block);
+
+            if (placement === 'row') {
+                block.forEach(tag => hoistedRows.add(tag.row));
+            } else if (placement === 'paragraph') {
+                block.forEach(tag => {
+                    if (!paragraphSplits.has(tag.paragraph)) paragraphSplits.set(tag.paragraph, []);
+                    paragraphSplits.get(tag.paragraph).push(tag);
+                });
+            }
+        }
+
+        // ${#set} and ${#let} alone in a paragraph take the paragraph with them
+        for (const tag of tags) {
+            if (tag.kind !== 'standalone' || !tag.paragraph) continue;
+
+            const paragraphTags = tags.filter(other => other.paragraph === tag.paragraph);
+            const rest = paragraphTags.reduce((text, other) => text.replace(other.text, ''), xml.substring(tag.paragraph.start, tag.paragraph.end));
+            if (this.getParagraphText(rest).trim()) continue;
+
+            if (!paragraphSplits.has(tag.paragraph)) paragraphSplits.set(tag.paragraph, []);
+            paragraphSplits.get(tag.paragraph).push(tag);
+        }
+
+        const replacements = [];
+
+        for (const row of hoistedRows) {
+            replacements.push({ start: row.start, end: row.end, xml: this.hoistRow(xml, row, tags) });
+        }
+
+        for (const [paragraph, paragraphTags] of paragraphSplits) {
+            // Paragraphs of a lifted row are gone already
+            if ([...hoistedRows].some(row => paragraph.start >= row.start && paragraph.end <= row.end)) continue;
+
+            paragraphTags.sort((a, b) => a.start - b.start);
+            replacements.push({ start: paragraph.start, end: paragraph.end, xml: this.splitParagraph(xml, paragraph, paragraphTags) });
+        }
+
+        if (replacements.length === 0) return xml;
+
+        console.log(`🧱 Lifted block tags out of ${paragraphSplits.size} paragraph(s) and ${hoistedRows.size} table row(s)`);
+
+        replacements.sort((a, b) => b.start - a.start);
+        let result = xml;
+        for (const replacement of replacements) {
+            result = result.substring(0, replacement.start) + replacement.xml + result.substring(replacement.end);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find block tags together with the paragraph, row and table that contain them
+     * @param {string} xml - WordprocessingML part
+     * @returns {{tags: Array<Object>}} - Block tags in document order
+     */
+    scan(xml) {
+        const tokenRegex = /<(\/?)(w:p|w:tr|w:tc|w:tbl)(?=[\s>\/])[^>]*?(\/?)>|\$\{\s*([#\/])(\w+)[^}]*\}/g;
+        const stack = [];
+        const tags = [];
+        let match;
+
+        while ((match = tokenRegex.exec(xml)) !== null) {
+            const [text, closing, elementName, selfClosing, marker, tagName] = match;
+
+            if (marker) {
+                const standalone = STANDALONE_TAGS.includes(tagName) && marker === '#';
+                const isKnownTag = this.blockTags[tagName] || standalone ||
+                    Object.values(this.blockTags).some(names => names.includes(tagName));
+                if (!isKnownTag) continue;
+
+                const innermost = (name) => [...stack].reverse().find(element => element.name === name) || null;
+                tags.push({
+                    text,
+                    name: tagName,
+                    kind: standalone ? 'standalone' : marker === '/' ? 'close' : (this.blockTags[tagName] ? 'open' : 'intermediate'),
+                    start: match.index,
+                    end: match.index + text.length,
+                    paragraph: innermost('w:p'),
+                    row: innermost('w:tr'),
+                    table: innermost('w:tbl')
+                });
+                continue;
+            }
+
+            if (closing) {
+                const index = stack.map(element => element.name).lastIndexOf(elementName);
+                if (index === -1) continue;
+                stack[index].end = match.index + text.length;
+                stack.length = index;
+            } else if (!selfClosing) {
+                stack.push({
+                    name: elementName,
+                    start: match.index,
+                    end: -1,
+                    parent: stack[stack.length - 1] || null
+                });
+            }
+        }
+
+        return { tags };
+    }
+
+    /**
+     * Group tags into blocks (opening, intermediate and closing tag) with balanced nesting
+     * @param {Array<Object>} tags - Block tags in document order
+     * @returns {Array<Array<Object>>} - Tags of every complete block
+     */
+    pairBlocks(tags) {
+        const stack = [];
+        const blocks = [];
+
+        for (const tag of tags) {
+            if (tag.kind === 'standalone') continue;
+
+            if (tag.kind === 'open') {
+                stack.push([tag]);
+            } else if (tag.kind === 'intermediate') {
+                const current = stack[stack.length - 1];
+                if (current && this.blockTags[current[0].name].includes(tag.name)) {
+                    current.push(tag);
+                }
+            } else {
+                const index = stack.map(block => block[0].name).lastIndexOf(tag.name);
+                if (index === -1) {
+                    console.warn(`Closing tag ${tag.text} has no matching opening tag`);
+                    continue;
+                }
+                // Unclosed blocks inside this one are left untouched
+                const block = stack[index];
+                stack.length = index;
+                block.push(tag);
+                blocks.push(block);
+            }
+        }
+
+        return blocks;
+    }
+
+    getBlockPlacement(block) {
+        if (block.some(tag => !tag.paragraph)) return 'inline';
+
+        const first = block[0];
+        if (block.every(tag => tag.paragraph === first.paragraph)) return 'inline';
+
+        // Paragraphs side by side, in the body or within one table cell
+        if (block.every(tag => tag.paragraph.parent === first.paragraph.parent)) return 'paragraph';
+
+        // Rows of the same table
+        const rows = new Set(block.map(tag => tag.row));
+        if (first.row && rows.size > 1 && !rows.has(null) && block.every(tag => tag.table === first.table)) {
+            return 'row';
+        }
+
+        console.warn(`Block ${first.text} spans unrelated document structures, processing it inline`);
+        return 'inline';
+    }
+
+    /**
+     * Move blocks that open and close in different cells of one table row around that row,
+     * so ${#each} repeats and ${#if} keeps the whole row
+     * @param {string} xml - WordprocessingML part with tags already rejoined
+     * @returns {string} - XML with the tags of such blocks before and after their row
+     */
+    liftRowBlocks(xml) {
+        const { tags } = this.scan(xml);
+        const rows = new Map();
+        const cellTags = new Set();
+
+        for (const block of this.pairBlocks(tags)) {
+            const [first] = block;
+            if (!first.row || block.some(tag => !tag.paragraph || tag.row !== first.row)) continue;
+
+            // Blocks within one cell do not affect the row
+            if (new Set(block.map(tag => tag.paragraph.parent)).size === 1) {
+                block.forEach(tag => cellTags.add(tag));
+                continue;
+            }
+            if (block.length !== 2) continue;
+
+            if (!rows.has(first.row)) rows.set(first.row, []);
+            rows.get(first.row).push(...block);
+        }
+
+        const replacements = [];
+
+        for (const [row, rowTags] of rows) {
+            // Rows with tags of other blocks are left to them
+            if (tags.some(tag => tag.row === row && tag.kind !== 'standalone' && !rowTags.includes(tag) && !cellTags.has(tag))) {
+                console.warn('Block tags in a table row mix single-row and multi-row blocks, processing them inline');
+                continue;
+            }
+
+            rowTags.sort((a, b) => a.start - b.start);
+            let rowXml = xml.substring(row.start, row.end);
+            [...rowTags].reverse().forEach(tag => {
+                rowXml = rowXml.substring(0, tag.start - row.start) + rowXml.substring(tag.end - row.start);
+            });
+
+            // Nested blocks stay nested: opening tags in order before the row, closing tags after it
+            const opening = rowTags.filter(tag => tag.kind === 'open').map(tag => tag.text).join('');
+            const closing = rowTags.filter(tag => tag.kind === 'close').map(tag => tag.text).join('');
+            replacements.push({ start: row.start, end: row.end, xml: opening + rowXml + closing });
+        }
+
+        if (replacements.length === 0) return xml;
+
+        console.log(`🧱 Lifted block tags around ${replacements.length} single table row(s)`);
+
+        replacements.sort((a, b) => b.start - a.start);
+        return replacements.reduce((result, replacement) =>
+            result.substring(0, replacement.start) + replacement.xml + result.substring(replacement.end), xml);
+    }
+
+    // A control row is replaced by the block tags it holds
+    hoistRow(xml, row, tags) {
+        const rowTags = tags.filter(tag => tag.start >= row.start && tag.end <= row.end);
+        const rowXml = xml.substring(row.start, row.end);
+
+        let remainingText = rowXml;
+        rowTags.forEach(tag => { remainingText = remainingText.replace(tag.text, ''); });
+        if (this.getParagraphText(remainingText).trim()) {
+            console.warn(`Dropping text next to ${rowTags.map(tag => tag.text).join(' ')} in a control row`);
+        }
+
+        return rowTags.map(tag => tag.text).join('');
+    }
+
+    // Cut a paragraph at each tag, leaving the tags between the pieces
+    splitParagraph(xml, paragraph, paragraphTags) {
+        const pieces = [];
+        let cursor = paragraph.start;
+        let reopen = '';
+
+        for (const tag of paragraphTags) {
+            const openElements = this.wordXmlScanner.getOpenElements(xml, tag.start) || [];
+
+            pieces.push(reopen + xml.substring(cursor, tag.start) + this.wordXmlScanner.closeElements(openElements));
+            pieces.push(tag.text);
+
+            // Only one piece may carry the section break
+            reopen = this.wordXmlScanner.reopenElements(openElements.map(element => element.name === 'w:p'
+                ? { ...element, properties: element.properties.replace(/<w:sectPr[\s\S]*?<\/w:sectPr>/, '') }
+                : element));
+            cursor = tag.end;
+        }
+
+        pieces.push(reopen + xml.substring(cursor, paragraph.end));
+
+        // Drop the marker-only leftovers, keep pieces with real content
+        return pieces
+            .filter((piece, index) => index % 2 === 1 || !this.isEmptyParagraph(piece))
+            .join('');
+    }
+
+    isEmptyParagraph(paragraphXml) {
+        if (/<w:sectPr/.test(paragraphXml)) return false;
+
+        const content = paragraphXml.replace(/<w:pPr>[\s\S]*?<\/w:pPr>/, '');
+        if (/<w:(drawing|pict|object|tab|br|sym|fldChar|fldSimple|instrText|footnoteReference|endnoteReference)[\s>\/]/.test(content)) {
+            return false;
+        }
+
+        return this.getParagraphText(content).trim() === '';
+    }
+
+    getParagraphText(xml) {
+        return (xml.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>/g) || [])
+            .map(text => text.replace(/<[^>]+>/g, ''))
+            .join('');
+    }
+
+    /**
+     * Turn column loops into a ${#each} around the looped cells of every row and grid columns,
+     * so each item repeats its columns through the whole table
+     * @param {string} xml - WordprocessingML part with tags already rejoined
+     * @returns {string} - XML with ${#each} blocks between table cells
+     */
+    expandColumnLoops(xml) {
+        let tags = [...xml.matchAll(COLUMN_LOOP_TAG_REGEX)];
+        let loopId = 0;
+
+        while (tags.length > 0) {
+            const [open, close] = tags;
+            const removeTags = (...matches) => matches.reduce((result, match) =>
+                result.substring(0, match.index) + result.substring(match.index + match[0].length), xml);
+
+            if (open[1] === undefined || !close || close[1] !== undefined) {
+                console.warn(`Column loop tag ${open[0]} has no matching ${open[1] === undefined ? 'opening' : 'closing'} tag`);
+                xml = removeTags(open);
+            } else {
+                const expanded = this.expandColumnLoop(xml, open, close, ++loopId);
+                xml = expanded || removeTags(close, open);
+            }
+
+            tags = [...xml.matchAll(COLUMN_LOOP_TAG_REGEX)];
+        }
+
+        return xml;
+    }
+
+    expandColumnLoop(xml, open, close, loopId) {
+        const tables = this.scanTables(xml);
+        const openCell = this.findCell(tables, open.index);
+        const closeCell = this.findCell(tables, close.index);
+
+        if (!openCell || !closeCell || openCell.row !== closeCell.row) {
+            console.warn(`Column loop ${open[0]} must start and end in cells of the same table row, ignoring it`);
+            return null;
+        }
+
+        // Tags in further rows of columns that already repeat belong to the loop of the first row
+        const repeated = xml.substring(openCell.row.start, openCell.cell.start).match(/\$\{#each ([^}]*)\}$/);
+        if (repeated) {
+            if (repeated[1] !== open[1]) {
+                console.warn(`Columns of ${open[0]} already repeat for each item of ${repeated[1]}, ignoring it`);
+            }
+            return null;
+        }
+
+        const { table } = openCell.row;
+        const from = openCell.cell.gridStart;
+        const to = closeCell.cell.gridEnd;
+        const insertions = [];
+
+        for (const row of table.rows) {
+            // Cells across the looped columns grow with them
+            const spanning = row.cells.find(cell => cell.gridStart <= from && cell.gridEnd >= to && cell.span > to - from);
+            if (spanning) {
+                insertions.push({ at: xml.indexOf('>', spanning.start) + 1, text: `<!--column-span:${loopId}:${to - from}-->` });
+                continue;
+            }
+
+            const cells = row.cells.filter(cell => cell.gridStart >= from && cell.gridEnd <= to);
+            const covered = cells.reduce((column, cell) => (cell.gridStart === column ? cell.gridEnd : -1), from);
+
+            if (covered !== to) {
+                // Rows of other blocks are removed when rendering
+                if (!/\$\{\s*[#\/]/.test(xml.substring(row.start, row.end))) {
+                    console.warn(`A table row does not have cells for columns ${from + 1}-${to} of ${open[0]}, it is not repeated`);
+                }
+                continue;
+            }
+
+            insertions.push({ at: cells[0].start, text: `\${#each ${open[1]}}` });
+            insertions.push({ at: cells[cells.length - 1].end, text: '${/each}' });
+        }
+
+        if (table.grid && table.grid.columns.length >= to) {
+            const columns = table.grid.columns;
+            const width = columns.reduce((total, column) => total + column.width, 0);
+            const gridXml = xml.substring(table.grid.start, xml.indexOf('</w:tblGrid>', table.grid.start));
+            if (!TABLE_WIDTH_MARKER_REGEX.test(gridXml)) {
+                insertions.push({ at: table.grid.start, text: `<!--table-width:${width}-->` });
+            }
+            insertions.push({ at: columns[from].start, text: `\${#each ${open[1]}}<!--column-loop:${loopId}-->` });
+            insertions.push({ at: columns[to - 1].end, text: '${/each}' });
+        }
+
+        console.log(`🏛️ Repeating columns ${from + 1}-${to} of a table for each item of ${open[1]}`);
+
+        // The loop tags leave their cells, the rest of the cell content stays
+        insertions.push({ at: close.index, remove: close[0].length }, { at: open.index, remove: open[0].length });
+        // Applied back to front, earlier insertions at the same spot end up first
+        insertions.forEach((insertion, index) => { insertion.order = index; });
+        insertions.sort((a, b) => b.at - a.at || b.order - a.order);
+
+        return insertions.reduce((result, insertion) => insertion.remove
+            ? result.substring(0, insertion.at) + result.substring(insertion.at + insertion.remove)
+            : result.substring(0, insertion.at) + insertion.text + result.substring(insertion.at), xml);
+    }
+
+    /**
+     * Find tables with their grid columns, rows and cells
+     * @param {string} xml - WordprocessingML part
+     * @returns {Array<Object>} - Tables, nested ones included: { start, end, grid: { start, columns }, rows: [{ cells }] }
+     */
+    scanTables(xml) {
+        const tokenRegex = /<(\/?)(w:tbl|w:tblGrid|w:tr|w:tc)(?=[\s>\/])[^>]*?(\/?)>|<w:gridCol\b[^>]*>|<w:(gridSpan|gridBefore)\b[^>]*>/g;
+        const tables = [];
+        const stack = [];
+        let match;
+
+        while ((match = tokenRegex.exec(xml)) !== null) {
+            const [text, closing, elementName, selfClosing, gridProperty] = match;
+            const table = stack[stack.length - 1];
+            const row = table && table.rows[table.rows.length - 1];
+            const cell = row && row.open ? row.cells[row.cells.length - 1] : null;
+            const value = () => Number((text.match(/w:(?:val|w)="(\d+)"/) || [])[1] || 0);
+
+            if (text.startsWith('<w:gridCol')) {
+                if (table && table.grid) {
+                    table.grid.columns.push({ start: match.index, end: match.index + text.length, width: value() });
+                }
+            } else if (gridProperty === 'gridSpan') {
+                if (cell && cell.open) cell.span = Math.max(1, value());
+            } else if (gridProperty === 'gridBefore') {
+                if (row && row.open && row.cells.length === 0) row.gridBefore = value();
+            } else if (selfClosing) {
+                continue;
+            } else if (elementName === 'w:tbl') {
+                if (closing) {
+                    const closed = stack.pop();
+                    if (closed) closed.end = match.index + text.length;
+                } else {
+                    stack.push({ start: match.index, end: -1, grid: null, rows: [] });
+                    tables.push(stack[stack.length - 1]);
+                }
+            } else if (!table) {
+                continue;
+            } else if (elementName === 'w:tblGrid') {
+                if (!closing && !table.grid) table.grid = { start: match.index + text.length, columns: [] };
+            } else if (elementName === 'w:tr') {
+                if (closing) {
+                    if (row) {
+                        row.open = false;
+                        row.end = match.index + text.length;
+                    }
+                } else {
+                    table.rows.push({ table, start: match.index, end: -1, open: true, gridBefore: 0, cells: [] });
+                }
+            } else if (row && row.open) {
+                if (closing) {
+                    if (cell) {
+                        cell.open = false;
+                        cell.end = match.index + text.length;
+                    }
+                } else {
+                    row.cells.push({ start: match.index, end: -1, open: true, span: 1 });
+                }
+            }
+        }
+
+        // Grid columns covered by each cell
+        for (const table of tables) {
+            for (const row of table.rows) {
+                let column = row.gridBefore;
+                for (const cell of row.cells) {
+                    cell.gridStart = column;
+                    cell.gridEnd = column + cell.span;
+                    column = cell.gridEnd;
+                }
+            }
+        }
+
+        return tables;
+    }
+
+    // Innermost table cell around a position
+    findCell(tables, position) {
+        let found = null;
+        for (const table of tables) {
+            for (const row of table.rows) {
+                for (const cell of row.cells) {
+                    if (cell.start < position && position < cell.end && (!found || cell.start > found.cell.start)) {
+                        found = { row, cell };
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Scale the grid of tables whose columns were repeated back to the width they had in the template,
+     * widening the cells that span repeated columns and sizing every cell to its grid columns
+     * @param {string} xml - Rendered WordprocessingML part
+     * @returns {string} - XML with fitted tables
+     */
+    fitColumnLoopTables(xml) {
+        if (!TABLE_WIDTH_MARKER_REGEX.test(xml)) return xml;
+
+        const replacements = [];
+        const replace = (start, oldXml, newXml) => replacements.push({ start, end: start + oldXml.length, xml: newXml });
+
+        for (const table of this.scanTables(xml)) {
+            if (!table.grid) continue;
+
+            const gridXml = xml.substring(table.grid.start, xml.indexOf('</w:tblGrid>', table.grid.start));
+            const marker = gridXml.match(TABLE_WIDTH_MARKER_REGEX);
+            if (!marker) continue;
+
+            // Rendered columns of every loop
+            const itemCounts = new Map();
+            for (const [, loopId] of gridXml.matchAll(COLUMN_LOOP_MARKER_REGEX)) {
+                itemCounts.set(loopId, (itemCounts.get(loopId) || 0) + 1);
+            }
+
+            const templateWidth = Number(marker[1]);
+            const width = table.grid.columns.reduce((total, column) => total + column.width, 0);
+            let used = 0;
+            const widths = table.grid.columns.map((column, index, columns) => {
+                // The last column takes the rounding difference
+                const scaled = index === columns.length - 1 ? templateWidth - used : Math.round(column.width * templateWidth / (width || 1));
+                used += scaled;
+                return scaled;
+            });
+
+            let columnIndex = 0;
+            replace(table.grid.start, gridXml, gridXml
+                .replace(TABLE_WIDTH_MARKER_REGEX, '')
+                .replace(COLUMN_LOOP_MARKER_REGEX, '')
+                .replace(/<w:gridCol\b[^>]*>/g, column => column.replace(/w:w="\d+"/, `w:w="${widths[columnIndex++]}"`)));
+
+            for (const row of table.rows) {
+                let column = row.gridBefore;
+
+                for (const cell of row.cells) {
+                    const head = xml.substring(cell.start, cell.end).match(/^<w:tc\b[^>]*>((?:<!--column-span:\d+:\d+-->)*)(\s*<w:tcPr>[\s\S]*?<\/w:tcPr>)?/);
+                    let span = cell.span;
+
+                    if (head[1]) {
+                        for (const [, loopId, loopWidth] of head[1].matchAll(COLUMN_SPAN_MARKER_REGEX)) {
+                            span += ((itemCounts.get(loopId) || 0) - 1) * Number(loopWidth);
+                        }
+                        span = Math.max(1, span);
+                    }
+
+                    let properties = head[2] || '';
+                    if (span !== cell.span) {
+                        properties = properties.replace(/<w:gridSpan\b[^>]*\/>/, `<w:gridSpan w:val="${span}"/>`);
+                    }
+                    properties = properties.replace(/<w:tcW\b[^>]*\/>/, (cellWidth) => /w:type="dxa"/.test(cellWidth)
+                        ? cellWidth.replace(/w:w="\d+"/, `w:w="${widths.slice(column, column + span).reduce((total, value) => total + value, 0)}"`)
+                        : cellWidth);
+
+                    const tagEnd = head[0].length - head[1].length - (head[2] || '').length;
+                    replace(cell.start + tagEnd, head[1] + (head[2] || ''), properties);
+                    column += span;
+                }
+            }
+        }
+
+        replacements.sort((a, b) => b.start - a.start);
+        return replacements.reduce((result, replacement) =>
+            result.substring(0, replacement.start) + replacement.xml + result.substring(replacement.end), xml);
+    }
+
+    /**
+     * Give every table cell the closing paragraph the schema requires, in case
+     * a block removed all of its content
+     * @param {string} xml - Rendered WordprocessingML part
+     * @returns {string} - XML with valid table cells
+     */
+    ensureCellParagraphs(xml) {
+        return xml.replace(/(<\/w:p>|<w:p\/>)?(\s*)<\/w:tc>/g, (match, paragraphEnd, whitespace) =>
+            paragraphEnd ? match : `${whitespace}<w:p/></w:tc>`);
+    }
+}
+
+module.exports = BlockTagNormalizer;
@@ -0,0 +1,340 @@
+// src/core/ChartRenderer.js
+const PizZip = require('pizzip');
+const DocxPackage = require('./DocxPackage');
+const ImageRenderer = require('./ImageRenderer');
+
+const CHART_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+
+// Chart tag types → DrawingML chart element and bar direction
+const CHART_TYPES = {
+    column: { element: 'c:barChart', barDir: 'col' },
+    bar: { element: 'c:barChart', barDir: 'bar' },
+    line: { element: 'c:lineChart' },
+    pie: { element: 'c:pieChart' }
+};
+
+const CHART_OPTIONS = ['type', 'x', 'y', 'names', 'title', 'legend', 'stacked', 'width', 'height'];
+
+const LEGEND_POSITIONS = { right: 'r', left: 'l', top: 't', bottom: 'b' };
+
+const STACKING = {
+    false: { bar: 'clustered', line: 'standard' },
+    true: { bar: 'stacked', line: 'stacked' },
+    percent: { bar: 'percentStacked', line: 'percentStacked' }
+};
+
+const DEFAULT_WIDTH = '15cm';
+const DEFAULT_HEIGHT = '7.5cm';
+
+const NAMESPACES = {
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    c: 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+};
+
+const SHEET_NAME = 'Sheet1';
+
+class ChartRenderer {
+    constructor(options = {}) {
+        this.imageRenderer = options.imageRenderer || new ImageRenderer();
+    }
+
+    static get CHART_TYPES() {
+        return CHART_TYPES;
+    }
+
+    /**
+     * Split the content of a chart tag into the data expression and its options
+     * @param {string} content - e.g. 'salesTeam type:column x:name y:actual,target title:"Sales 2024"'
+     * @returns {{expression: string, options: Object}} - Options as written
+     */
+    parseTag(content) {
+        const tokenRegex = /([A-Za-z]+):(?:"([^"]*)"|“([^”]*)”|'([^']*)'|(\S+))|(\S+)/g;
+        let expression = null;
+        const options = {};
+        let match;
+
+        while ((match = tokenRegex.exec(content)) !== null) {
+            const [, name, doubleQuoted, smartQuoted, singleQuoted, plain, bare] = match;
+
+            if (bare !== undefined) {
+                if (expression !== null) {
+                    throw new Error(`Unexpected "${bare}" in chart tag, options are written as name:value`);
+                }
+                expression = bare;
+                continue;
+            }
+
+            if (!CHART_OPTIONS.includes(name)) {
+                throw new Error(`Unknown chart option "${name}", use ${CHART_OPTIONS.join(', ')}`);
+            }
+            options[name] = doubleQuoted ?? smartQuoted ?? singleQuoted ?? plain;
+        }
+
+        if (!expression) {
+            throw new Error('Chart tag needs the data array, e.g. ${%chart sales type:column x:month y:amount}');
+        }
+
+        return { expression, options };
+    }
+
+    /**
+     * Check chart options and fill in the defaults
+     * @param {Object} options - Result of parseTag
+     * @returns {Object} - { type, x, y: [], names: [], title, legend, stacked, cx, cy }
+     */
+    getSettings(options) {
+        const type = (options.type || 'column').toLowerCase();
+        if (!CHART_TYPES[type]) {
+            throw new Error(`Unsupported chart type "${options.type}", use ${Object.keys(CHART_TYPES).join(', ')}`);
+        }
+        if (!options.x || !options.y) {
+            throw new Error('Chart needs the category field (x:) and at least one value field (y:)');
+        }
+
+        const y = options.y.split(',').map(field => field.trim()).filter(Boolean);
+        const names = options.names ? options.names.split(',').map(name => name.trim()) : y;
+        if (names.length !== y.length) {
+            throw new Error(`Chart has ${y.length} value fields but ${names.length} series names`);
+        }
+
+        const stacked = String(options.stacked ?? 'false').toLowerCase();
+        if (!STACKING[stacked]) {
+            throw new Error(`Invalid chart option stacked:${options.stacked}, use true, false or percent`);
+        }
+        if (type === 'pie' && stacked !== 'false') {
+            throw new Error('Pie charts cannot be stacked');
+        }
+
+        const legend = (options.legend || (y.length > 1 || type === 'pie' ? 'right' : 'none')).toLowerCase();
+        if (legend !== 'none' && !LEGEND_POSITIONS[legend]) {
+            throw new Error(`Invalid legend position "${options.legend}", use ${Object.keys(LEGEND_POSITIONS).join(', ')} or none`);
+        }
+
+        return {
+            type,
+            x: options.x,
+            y,
+            names,
+            title: options.title || '',
+            legend,
+            stacked,
+            cx: this.imageRenderer.parseLength(options.width || DEFAULT_WIDTH),
+            cy: this.imageRenderer.parseLength(options.height || DEFAULT_HEIGHT)
+        };
+    }
+
+    /**
+     * Build the run holding a chart, adding the chart part and its embedded workbook
+     * @param {Array<Object>} rows - Data array, one category per item
+     * @param {Object} settings - Result of getSettings
+     * @param {Object} context - Render context { docxPackage, partName, relationships, nextDrawingId }
+     * @returns {string} - <w:r> with a <w:drawing>
+     */
+    render(rows, settings, context) {
+        if (!context || !context.docxPackage) {
+            throw new Error('Charts can only be rendered into a DOCX package');
+        }
+        if (!Array.isArray(rows)) {
+            throw new Error('Chart data is not an array');
+        }
+
+        if (settings.type === 'pie' && settings.y.length > 1) {
+            console.warn(`Pie charts show one series, ignoring ${settings.y.slice(1).join(', ')}`);
+            settings = { ...settings, y: settings.y.slice(0, 1), names: settings.names.slice(0, 1) };
+        }
+
+        const table = {
+            categories: rows.map(row => String(this.getField(row, settings.x) ?? '')),
+            series: settings.y.map((field, index) => ({
+                name: settings.names[index],
+                values: rows.map(row => {
+                    const value = this.getField(row, field);
+                    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+                    return Number.isFinite(number) ? number : null;
+                })
+            }))
+        };
+
+        const { docxPackage, partName } = context;
+        const chartPartName = docxPackage.getUniquePartName('word/charts/chart1.xml');
+        const workbookPartName = docxPackage.getUniquePartName('word/embeddings/Microsoft_Excel_Worksheet1.xlsx');
+
+        // Word opens the embedded workbook when the chart data is edited
+        docxPackage.write(workbookPartName, this.createWorkbook(table));
+        docxPackage.registerContentType(workbookPartName);
+
+        const workbookId = docxPackage.addRelationship(chartPartName, DocxPackage.RELATIONSHIP_TYPES.package,
+            docxPackage.relativeTarget(chartPartName, workbookPartName));
+        docxPackage.write(chartPartName, this.createChartSpace(table, settings, workbookId));
+        docxPackage.registerContentType(chartPartName, CHART_CONTENT_TYPE);
+
+        const relationshipId = docxPackage.addRelationship(partName, DocxPackage.RELATIONSHIP_TYPES.chart,
+            docxPackage.relativeTarget(partName, chartPartName));
+
+        const id = context.nextDrawingId++;
+        console.log(`📊 Added ${settings.type} chart with ${table.series.length} series and ${rows.length} categories`);
+
+        return '<w:r><w:drawing>' +
+            `<wp:inline distT="0" distB="0" distL="0" distR="0" xmlns:wp="${NAMESPACES.wp}">` +
+            `<wp:extent cx="${settings.cx}" cy="${settings.cy}"/>` +
+            '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+            `<wp:docPr id="${id}" name="Chart ${id}" descr="${this.escapeXml(settings.title)}"/>` +
+            '<wp:cNvGraphicFramePr/>' +
+            `<a:graphic xmlns:a="${NAMESPACES.a}"><a:graphicData uri="${NAMESPACES.c}">` +
+            `<c:chart xmlns:c="${NAMESPACES.c}" xmlns:r="${NAMESPACES.r}" r:id="${relationshipId}"/>` +
+            '</a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    }
+
+    getField(row, field) {
+        return field.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), row);
+    }
+
+    createChartSpace(table, settings, workbookId) {
+        const title = settings.title
+            ? '<c:title><c:tx><c:rich><a:bodyPr/><a:lstStyle/>' +
+                `<a:p><a:r><a:t>${this.escapeXml(settings.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+                '<c:autoTitleDeleted val="0"/>'
+            : '<c:autoTitleDeleted val="1"/>';
+
+        const legend = settings.legend === 'none'
+            ? ''
+            : `<c:legend><c:legendPos val="${LEGEND_POSITIONS[settings.legend]}"/><c:overlay val="0"/></c:legend>`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<c:chartSpace xmlns:c="${NAMESPACES.c}" xmlns:a="${NAMESPACES.a}" xmlns:r="${NAMESPACES.r}">` +
+            '<c:date1904 val="0"/><c:roundedCorners val="0"/>' +
+            `<c:chart>${title}<c:plotArea><c:layout/>${this.createPlot(table, settings)}</c:plotArea>` +
+            `${legend}<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart>` +
+            `<c:externalData r:id="${workbookId}"><c:autoUpdate val="0"/></c:externalData>` +
+            '</c:chartSpace>';
+    }
+
+    createPlot(table, settings) {
+        const { element, barDir } = CHART_TYPES[settings.type];
+        const series = table.series.map((entry, index) => this.createSeries(table, entry, index, settings)).join('');
+
+        if (settings.type === 'pie') {
+            return `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`;
+        }
+
+        const axes = '<c:axId val="111111111"/><c:axId val="222222222"/>';
+        let plot;
+
+        if (element === 'c:barChart') {
+            const grouping = STACKING[settings.stacked].bar;
+            const overlap = grouping === 'clustered' ? '' : '<c:overlap val="100"/>';
+            plot = `<c:barChart><c:barDir val="${barDir}"/><c:grouping val="${grouping}"/><c:varyColors val="0"/>` +
+                `${series}<c:gapWidth val="150"/>${overlap}${axes}</c:barChart>`;
+        } else {
+            plot = `<c:lineChart><c:grouping val="${STACKING[settings.stacked].line}"/><c:varyColors val="0"/>` +
+                `${series}<c:marker val="1"/>${axes}</c:lineChart>`;
+        }
+
+        // Horizontal bars have their categories on the left
+        const horizontal = barDir === 'bar';
+        return plot +
+            '<c:catAx><c:axId val="111111111"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+            `<c:axPos val="${horizontal ? 'l' : 'b'}"/><c:numFmt formatCode="General" sourceLinked="1"/>` +
+            '<c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>' +
+            '<c:crossAx val="222222222"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/>' +
+            '<c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>' +
+            '<c:valAx><c:axId val="222222222"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+            `<c:axPos val="${horizontal ? 'b' : 'l'}"/><c:majorGridlines/>` +
+            `<c:numFmt formatCode="${settings.stacked === 'percent' ? '0%' : 'General'}" sourceLinked="${settings.stacked === 'percent' ? 0 : 1}"/>` +
+            '<c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>' +
+            '<c:crossAx val="111111111"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>';
+    }
+
+    // One series, its values cached from the embedded workbook (column A holds the categories)
+    createSeries(table, series, index, settings) {
+        const column = this.getColumnName(index + 1);
+        const lastRow = table.categories.length + 1;
+
+        const categoryPoints = table.categories
+            .map((category, row) => `<c:pt idx="${row}"><c:v>${this.escapeXml(category)}</c:v></c:pt>`).join('');
+        const valuePoints = series.values
+            .map((value, row) => (value === null ? '' : `<c:pt idx="${row}"><c:v>${value}</c:v></c:pt>`)).join('');
+
+        const name = `<c:tx><c:strRef><c:f>${SHEET_NAME}!$${column}$1</c:f><c:strCache><c:ptCount val="1"/>` +
+            `<c:pt idx="0"><c:v>${this.escapeXml(series.name)}</c:v></c:pt></c:strCache></c:strRef></c:tx>`;
+        const categories = `<c:cat><c:strRef><c:f>${SHEET_NAME}!$A$2:$A$${lastRow}</c:f><c:strCache>` +
+            `<c:ptCount val="${table.categories.length}"/>${categoryPoints}</c:strCache></c:strRef></c:cat>`;
+        const values = `<c:val><c:numRef><c:f>${SHEET_NAME}!$${column}$2:$${column}$${lastRow}</c:f><c:numCache>` +
+            `<c:formatCode>General</c:formatCode><c:ptCount val="${series.values.length}"/>${valuePoints}</c:numCache></c:numRef></c:val>`;
+
+        // Child order differs per chart type
+        const head = `<c:idx val="${index}"/><c:order val="${index}"/>${name}`;
+        if (settings.type === 'line') {
+            return `<c:ser>${head}<c:marker><c:symbol val="circle"/></c:marker>${categories}${values}<c:smooth val="0"/></c:ser>`;
+        }
+        if (settings.type === 'pie') {
+            return `<c:ser>${head}${categories}${values}</c:ser>`;
+        }
+        return `<c:ser>${head}<c:invertIfNegative val="0"/>${categories}${values}</c:ser>`;
+    }
+
+    /**
+     * Build the workbook behind the chart: categories in column A, one column per series
+     * @param {Object} table - { categories, series: [{ name, values }] }
+     * @returns {Buffer} - XLSX file
+     */
+    createWorkbook(table) {
+        const cell = (column, row, value) => {
+            const reference = `${this.getColumnName(column)}${row}`;
+            if (value === null || value === undefined) return '';
+            return typeof value === 'number'
+                ? `<c r="${reference}"><v>${value}</v></c>`
+                : `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+        };
+
+        const header = `<row r="1">${table.series.map((series, index) => cell(index + 1, 1, series.name)).join('')}</row>`;
+        const rows = table.categories.map((category, index) => `<row r="${index + 2}">${cell(0, index + 2, category)}` +
+            table.series.map((series, column) => cell(column + 1, index + 2, series.values[index])).join('') + '</row>');
+
+        const zip = new PizZip();
+        zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>');
+        zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>');
+        zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${NAMESPACES.r}">` +
+            `<sheets><sheet name="${SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+        zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '</Relationships>');
+        zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${header}${rows.join('')}</sheetData></worksheet>`);
+
+        return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    // Spreadsheet column letters, 0 → A, 26 → AA
+    getColumnName(index) {
+        let name = '';
+        for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+            name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = ChartRenderer;
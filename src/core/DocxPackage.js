@@ -0,0 +1,242 @@
+// src/core/DocxPackage.js
+const path = require('path').posix;
+const PizZip = require('pizzip');
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Relationship types used when parts are added or copied
+const RELATIONSHIP_TYPES = {
+    image: `${RELATIONSHIP_NS}/image`,
+    header: `${RELATIONSHIP_NS}/header`,
+    footer: `${RELATIONSHIP_NS}/footer`,
+    hyperlink: `${RELATIONSHIP_NS}/hyperlink`,
+    chart: `${RELATIONSHIP_NS}/chart`,
+    package: `${RELATIONSHIP_NS}/package`,
+    styles: `${RELATIONSHIP_NS}/styles`,
+    numbering: `${RELATIONSHIP_NS}/numbering`,
+    settings: `${RELATIONSHIP_NS}/settings`,
+    footnotes: `${RELATIONSHIP_NS}/footnotes`,
+    endnotes: `${RELATIONSHIP_NS}/endnotes`,
+    comments: `${RELATIONSHIP_NS}/comments`
+};
+
+// Content types for files stored under a Default extension entry
+const DEFAULT_CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    emf: 'image/x-emf',
+    wmf: 'image/x-wmf',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    bin: 'application/vnd.openxmlformats-officedocument.oleObject'
+};
+
+const NUMBERING_PART = 'word/numbering.xml';
+const NUMBERING_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml';
+
+class DocxPackage {
+    /**
+     * Wrap a DOCX package for relationship and content type bookkeeping
+     * @param {PizZip|Buffer} source - Loaded zip or DOCX buffer
+     */
+    constructor(source) {
+        this.zip = source instanceof PizZip ? source : new PizZip(source);
+    }
+
+    static get RELATIONSHIP_TYPES() {
+        return RELATIONSHIP_TYPES;
+    }
+
+    hasPart(partName) {
+        return Boolean(this.zip.files[partName]);
+    }
+
+    readText(partName) {
+        const file = this.zip.files[partName];
+        return file ? file.asText() : null;
+    }
+
+    readBinary(partName) {
+        const file = this.zip.files[partName];
+        return file ? file.asUint8Array() : null;
+    }
+
+    write(partName, content) {
+        this.zip.file(partName, content);
+    }
+
+    getRelationshipsPartName(partName) {
+        return path.join(path.dirname(partName), '_rels', `${path.basename(partName)}.rels`);
+    }
+
+    /**
+     * List the relationships of a part
+     * @param {string} partName - Source part, e.g. "word/document.xml"
+     * @returns {Array<Object>} - { id, type, target, targetMode }
+     */
+    getRelationships(partName) {
+        const xml = this.readText(this.getRelationshipsPartName(partName));
+        if (!xml) return [];
+
+        return [...xml.matchAll(/<Relationship\s[^>]*?\/?>/g)].map(([element]) => ({
+            id: this.readAttribute(element, 'Id'),
+            type: this.readAttribute(element, 'Type'),
+            target: this.readAttribute(element, 'Target'),
+            targetMode: this.readAttribute(element, 'TargetMode')
+        }));
+    }
+
+    /**
+     * Add a relationship with a fresh id
+     * @param {string} partName - Source part
+     * @param {string} type - Relationship type URI
+     * @param {string} target - Target, relative to the source part unless external
+     * @param {string} [targetMode] - "External" for links outside the package
+     * @returns {string} - The new relationship id
+     */
+    addRelationship(partName, type, target, targetMode) {
+        const relsPartName = this.getRelationshipsPartName(partName);
+        const xml = this.readText(relsPartName) ||
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+        const usedIds = new Set(this.getRelationships(partName).map(relationship => relationship.id));
+        let number = usedIds.size + 1;
+        while (usedIds.has(`rId${number}`)) number++;
+        const id = `rId${number}`;
+
+        const mode = targetMode ? ` TargetMode="${targetMode}"` : '';
+        const element = `<Relationship Id="${id}" Type="${type}" Target="${this.escapeAttribute(target)}"${mode}/>`;
+        this.write(relsPartName, xml.replace('</Relationships>', `${element}</Relationships>`));
+
+        if (!this.readText('[Content_Types].xml').includes('Extension="rels"')) {
+            this.addDefaultContentType('rels', 'application/vnd.openxmlformats-package.relationships+xml');
+        }
+
+        return id;
+    }
+
+    // Absolute part name of an internal relationship target
+    resolveTarget(partName, target) {
+        if (target.startsWith('/')) return target.substring(1);
+        return path.normalize(path.join(path.dirname(partName), target));
+    }
+
+    // Relationship target of a part as seen from another part
+    relativeTarget(fromPartName, toPartName) {
+        return path.relative(path.dirname(fromPartName), toPartName);
+    }
+
+    /**
+     * Find a part name that is not used yet, numbering it like Word does
+     * @param {string} partName - Wanted name, e.g. "word/media/image1.png"
+     * @returns {string} - The name itself or e.g. "word/media/image2.png"
+     */
+    getUniquePartName(partName) {
+        if (!this.hasPart(partName)) return partName;
+
+        const extension = path.extname(partName);
+        const stem = partName.substring(0, partName.length - extension.length).replace(/\d+$/, '');
+        let number = 1;
+        while (this.hasPart(`${stem}${number}${extension}`)) number++;
+        return `${stem}${number}${extension}`;
+    }
+
+    /**
+     * Read the list definitions of the main document, adding an empty numbering part when it has none
+     * @returns {string} - word/numbering.xml
+     */
+    ensureNumbering() {
+        const existing = this.readText(NUMBERING_PART);
+        if (existing) return existing;
+
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"></w:numbering>';
+        this.write(NUMBERING_PART, xml);
+        this.addOverrideContentType(NUMBERING_PART, NUMBERING_CONTENT_TYPE);
+        this.addRelationship('word/document.xml', RELATIONSHIP_TYPES.numbering, 'numbering.xml');
+
+        return xml;
+    }
+
+    getContentType(partName) {
+        const xml = this.readText('[Content_Types].xml') || '';
+        const override = xml.match(new RegExp(`<Override\\s[^>]*PartName="/${this.escapeRegex(partName)}"[^>]*>`));
+        if (override) return this.readAttribute(override[0], 'ContentType');
+
+        const extension = path.extname(partName).substring(1).toLowerCase();
+        const defaultEntry = xml.match(new RegExp(`<Default\\s[^>]*Extension="${this.escapeRegex(extension)}"[^>]*>`, 'i'));
+        return defaultEntry ? this.readAttribute(defaultEntry[0], 'ContentType') : null;
+    }
+
+    addOverrideContentType(partName, contentType) {
+        const xml = this.readText('[Content_Types].xml');
+        if (xml.includes(`PartName="/${partName}"`)) return;
+
+        this.write('[Content_Types].xml', xml.replace('</Types>',
+            `<Override PartName="/${partName}" ContentType="${contentType}"/></Types>`));
+    }
+
+    addDefaultContentType(extension, contentType) {
+        const xml = this.readText('[Content_Types].xml');
+        if (new RegExp(`<Default\\s[^>]*Extension="${this.escapeRegex(extension)}"`, 'i').test(xml)) return;
+
+        // Default entries come before the overrides
+        const entry = `<Default Extension="${extension}" ContentType="${contentType}"/>`;
+        const firstOverride = xml.indexOf('<Override');
+        this.write('[Content_Types].xml', firstOverride === -1
+            ? xml.replace('</Types>', `${entry}</Types>`)
+            : xml.substring(0, firstOverride) + entry + xml.substring(firstOverride));
+    }
+
+    /**
+     * Register a part's content type, as a Default for media or an Override for XML parts
+     * @param {string} partName - Part name
+     * @param {string} [contentType] - Content type, guessed from the extension when omitted
+     */
+    registerContentType(partName, contentType) {
+        const extension = path.extname(partName).substring(1).toLowerCase();
+        const type = contentType || DEFAULT_CONTENT_TYPES[extension];
+        if (!type) {
+            throw new Error(`Unknown content type for ${partName}`);
+        }
+
+        if (DEFAULT_CONTENT_TYPES[extension] === type) {
+            this.addDefaultContentType(extension, type);
+        } else {
+            this.addOverrideContentType(partName, type);
+        }
+    }
+
+    readAttribute(element, name) {
+        const match = element.match(new RegExp(`\\s${name}="([^"]*)"`));
+        if (!match) return null;
+
+        return match[1]
+            .replace(/&quot;/g, '"')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    generate() {
+        return this.zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+}
+
+module.exports = DocxPackage;
@@ -1,13 +1,28 @@
 // src/core/DocxXmlFormatter.js
 
+// Child order of <w:rPr> required by the WordprocessingML schema
+const RUN_PROPERTY_ORDER = [
+    'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike',
+    'w:dstrike', 'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid',
+    'w:vanish', 'w:webHidden', 'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz',
+    'w:szCs', 'w:highlight', 'w:u', 'w:effect', 'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign',
+    'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish', 'w:oMath', 'w:rPrChange'
+];
+
 class DocxXmlFormatter {
     constructor() {
         this.formatTagMap = {
-            bold: '<w:b/>',
-            italic: '<w:i/>',
+            bold: '<w:b/><w:bCs/>',
+            italic: '<w:i/><w:iCs/>',
             underline: '<w:u w:val="single"/>',
             size: (size) => `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>`, // Word uses half-points
-            color: (color) => `<w:color w:val="${this.normalizeColor(color)}"/>`
+            color: (color) => `<w:color w:val="${this.normalizeColor(color)}"/>`,
+            strike: '<w:strike/>',
+            superscript: '<w:vertAlign w:val="superscript"/>',
+            subscript: '<w:vertAlign w:val="subscript"/>',
+            font: (font) => `<w:rFonts w:ascii="${this.escapeXml(font)}" w:hAnsi="${this.escapeXml(font)}" w:cs="${this.escapeXml(font)}"/>`,
+            highlight: (color) => `<w:highlight w:val="${color}"/>`,
+            style: (styleId) => `<w:rStyle w:val="${this.escapeXml(styleId)}"/>`
         };
     }
 
@@ -17,18 +32,96 @@ class DocxXmlFormatter {
      * @param {Object} formatting - Formatting properties object
      * @returns {string} - Formatted DOCX XML
      */
-    applyDocxFormatting(text, formatting) {
-        if (!formatting || Object.keys(formatting).length === 0) {
+    applyDocxFormatting(text, formatting, baseRunProperties = '') {
+        if ((!formatting || Object.keys(formatting).length === 0) && !baseRunProperties) {
             // No formatting - return plain text wrapped in basic run
             return this.wrapInRun(this.escapeXml(text));
         }
 
-        // Build run properties XML
-        const runProperties = this.buildRunProperties(formatting);
+        // Build run properties XML, keeping whatever the template run already had
+        const runProperties = baseRunProperties
+            ? this.mergeRunProperties(baseRunProperties, formatting || {})
+            : this.buildRunProperties(formatting);
         const escapedText = this.escapeXml(text);
         
         // Return formatted run
-        return `<w:r>${runProperties}<w:t>${escapedText}</w:t></w:r>`;
+        return `<w:r>${runProperties}<w:t xml:space="preserve">${escapedText}</w:t></w:r>`;
+    }
+
+    /**
+     * Merge formatting into existing run properties, new values win
+     * @param {string} baseRunProperties - Existing <w:rPr> XML (may be empty)
+     * @param {Object} formatting - Formatting properties object
+     * @returns {string} - Merged <w:rPr> XML in schema order
+     */
+    mergeRunProperties(baseRunProperties, formatting) {
+        const properties = this.parseRunProperties(baseRunProperties);
+
+        for (const [key, value] of Object.entries(formatting)) {
+            const formatTag = this.getFormatTag(key, value);
+
+            // Each new element replaces the inherited one of the same name
+            for (const element of this.parseRunProperties(`<w:rPr>${formatTag}</w:rPr>`)) {
+                const existing = properties.findIndex(property => property.name === element.name);
+                if (existing !== -1) {
+                    properties.splice(existing, 1);
+                }
+                properties.push(element);
+            }
+        }
+
+        const orderOf = (name) => {
+            const index = RUN_PROPERTY_ORDER.indexOf(name);
+            return index === -1 ? RUN_PROPERTY_ORDER.length - 1 : index;
+        };
+        properties.sort((a, b) => orderOf(a.name) - orderOf(b.name));
+
+        return properties.length > 0 ? `<w:rPr>${properties.map(property => property.xml).join('')}</w:rPr>` : '';
+    }
+
+    /**
+     * Split <w:rPr> XML into its top-level child elements
+     * @param {string} runProperties - <w:rPr> XML
+     * @returns {Array<{name: string, xml: string}>} - Child elements in document order
+     */
+    parseRunProperties(runProperties) {
+        return this.parseChildElements(runProperties);
+    }
+
+    /**
+     * Split a properties element such as <w:rPr> or <w:pPr> into its top-level child elements
+     * @param {string} xml - Element XML
+     * @returns {Array<{name: string, xml: string}>} - Child elements in document order
+     */
+    parseChildElements(xml) {
+        const inner = (xml || '').replace(/^<[\w:]+\s*\/>$/, '').replace(/^<[\w:]+[^>]*>|<\/[\w:]+>$/g, '');
+        const tagRegex = /<(\/?)([\w:]+)[^>]*?(\/?)>/g;
+        const elements = [];
+        let depth = 0;
+        let start = 0;
+        let name = null;
+        let match;
+
+        while ((match = tagRegex.exec(inner)) !== null) {
+            const [, closing, tagName, selfClosing] = match;
+
+            if (depth === 0) {
+                start = match.index;
+                name = tagName;
+            }
+
+            if (closing) {
+                depth--;
+            } else if (!selfClosing) {
+                depth++;
+            }
+
+            if (depth === 0) {
+                elements.push({ name, xml: inner.substring(start, tagRegex.lastIndex) });
+            }
+        }
+
+        return elements;
     }
 
     /**
@@ -76,7 +169,7 @@ class DocxXmlFormatter {
      * @returns {string} - DOCX run XML
      */
     wrapInRun(text) {
-        return `<w:r><w:t>${text}</w:t></w:r>`;
+        return `<w:r><w:t xml:space="preserve">${text}</w:t></w:r>`;
     }
 
     /**
@@ -102,7 +195,7 @@ class DocxXmlFormatter {
             'grey': '808080'
         };
 
-        const lowerColor = color.toLowerCase();
+        const lowerColor = String(color).toLowerCase();
         
         // Check if it's a named color
         if (colorMap[lowerColor]) {
@@ -147,27 +240,28 @@ class DocxXmlFormatter {
      * Handle special text content like line breaks
      * @param {string} text - Text with special characters
      * @param {Object} formatting - Formatting to apply
-     * @returns {string} - Formatted DOCX XML with special handling
+     * @param {string} [baseRunProperties] - Existing <w:rPr> XML the formatting is merged into
+     * @returns {string} - One run with <w:br/> and <w:tab/> between the text pieces
      */
-    handleSpecialContent(text, formatting = {}) {
-        // Handle line breaks
-        if (text.includes('\n')) {
-            const lines = text.split('\n');
-            return lines.map((line, index) => {
-                const formattedLine = this.applyDocxFormatting(line, formatting);
-                // Add line break after each line except the last
-                return index < lines.length - 1 ? 
-                    formattedLine + '<w:br/>' : 
-                    formattedLine;
-            }).join('');
-        }
-        
-        // Handle tabs
-        if (text.includes('\t')) {
-            text = text.replace(/\t/g, '<w:tab/>');
-        }
-        
-        return this.applyDocxFormatting(text, formatting);
+    handleSpecialContent(text, formatting = {}, baseRunProperties = '') {
+        const runProperties = baseRunProperties
+            ? this.mergeRunProperties(baseRunProperties, formatting)
+            : this.buildRunProperties(formatting);
+
+        return `<w:r>${runProperties}${this.renderSpecialText(text)}</w:r>`;
+    }
+
+    /**
+     * Build run content for text with line breaks and tabs
+     * @param {string} text - Text, \n becomes a line break and \t a tab
+     * @returns {string} - <w:t>, <w:br/> and <w:tab/> elements
+     */
+    renderSpecialText(text) {
+        return String(text).replace(/\r\n?/g, '\n').split('\n')
+            .map(line => line.split('\t')
+                .map(part => part ? `<w:t xml:space="preserve">${this.escapeXml(part)}</w:t>` : '')
+                .join('<w:tab/>'))
+            .join('<w:br/>');
     }
 }
 
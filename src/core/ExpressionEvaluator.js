@@ -1,345 +1,344 @@
+const ExpressionParser = require('./ExpressionParser');
+
+// Properties that would let an expression reach outside the data it was given
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
 class ExpressionEvaluator {
-    constructor() {
-        this.operators = {
-            '==': (a, b) => a == b,
-            '===': (a, b) => a === b,
-            '!=': (a, b) => a != b,
-            '!==': (a, b) => a !== b,
-            '>': (a, b) => Number(a) > Number(b),
-            '<': (a, b) => Number(a) < Number(b),
-            '>=': (a, b) => Number(a) >= Number(b),
-            '<=': (a, b) => Number(a) <= Number(b),
-            '&&': (a, b) => a && b,
-            '||': (a, b) => a || b,
-            '+': (a, b) => Number(a) + Number(b),
-            '-': (a, b) => Number(a) - Number(b),
-            '*': (a, b) => Number(a) * Number(b),
-            '/': (a, b) => Number(a) / Number(b),
-            '%': (a, b) => Number(a) % Number(b)
+    constructor(options = {}) {
+        this.parser = new ExpressionParser();
+        this.formatHelper = options.formatHelper || null;
+
+        // Parsed expressions keyed by source, templates repeat the same tags a lot
+        this.astCache = new Map();
+        this.maxCacheSize = options.maxCacheSize || 5000;
+
+        this.functions = new Map();
+        this.setupDefaultFunctions();
+    }
+
+    setupDefaultFunctions() {
+        const toNumber = (value) => Number(value) || 0;
+        const pluck = (array, field) => array.map(item => field ? this.getNestedValue({ this: item }, `this.${field}`) : item);
+        const aggregate = (reducer) => (first, ...rest) => {
+            // Accept both max(a, b, c) and max(items, "amount")
+            const values = Array.isArray(first) ? pluck(first, rest[0]) : [first, ...rest];
+            const numbers = values.map(toNumber);
+            return numbers.length > 0 ? reducer(numbers) : null;
         };
+
+        // Math helpers, also reachable through their Math.* names
+        const math = {
+            abs: (value) => Math.abs(toNumber(value)),
+            ceil: (value) => Math.ceil(toNumber(value)),
+            floor: (value) => Math.floor(toNumber(value)),
+            round: (value, places = 0) => {
+                const factor = Math.pow(10, toNumber(places));
+                return Math.round(toNumber(value) * factor) / factor;
+            },
+            pow: (base, exponent) => Math.pow(toNumber(base), toNumber(exponent)),
+            sqrt: (value) => Math.sqrt(toNumber(value)),
+            min: aggregate(numbers => Math.min(...numbers)),
+            max: aggregate(numbers => Math.max(...numbers))
+        };
+
+        for (const [name, fn] of Object.entries(math)) {
+            this.functions.set(name, fn);
+            this.functions.set(`Math.${name}`, fn);
+        }
+
+        this.functions.set('sum', (array, field) => Array.isArray(array)
+            ? pluck(array, field).reduce((total, value) => total + toNumber(value), 0)
+            : 0);
+        this.functions.set('avg', (array, field) => Array.isArray(array) && array.length > 0
+            ? this.functions.get('sum')(array, field) / array.length
+            : 0);
+        this.functions.set('count', (array) => Array.isArray(array) ? array.length : 0);
+
+        // Conversion helpers
+        this.functions.set('number', (value) => Number(value));
+        this.functions.set('string', (value) => value === null || value === undefined ? '' : String(value));
+        this.functions.set('parseInt', (value) => parseInt(value, 10));
+        this.functions.set('parseFloat', (value) => parseFloat(value));
+        this.functions.set('isNaN', (value) => isNaN(value));
+        this.functions.set('isFinite', (value) => isFinite(value));
+
+        // String and collection helpers
+        this.functions.set('len', (value) => (Array.isArray(value) || typeof value === 'string') ? value.length : 0);
+        this.functions.set('upper', (value) => String(value ?? '').toUpperCase());
+        this.functions.set('lower', (value) => String(value ?? '').toLowerCase());
+        this.functions.set('trim', (value) => String(value ?? '').trim());
+        this.functions.set('contains', (haystack, needle) => {
+            if (Array.isArray(haystack)) return haystack.includes(needle);
+            return String(haystack ?? '').includes(String(needle));
+        });
+        this.functions.set('startsWith', (value, prefix) => String(value ?? '').startsWith(String(prefix)));
+        this.functions.set('endsWith', (value, suffix) => String(value ?? '').endsWith(String(suffix)));
+        this.functions.set('now', () => new Date().toISOString());
+    }
+
+    registerFunction(name, fn) {
+        this.functions.set(name, fn);
     }
 
     evaluate(expression, data) {
         if (!expression) return null;
 
-        console.log(`Evaluating expression: "${expression}" with data keys:`, Object.keys(data));
+        console.log(`Evaluating expression: "${expression}"`);
 
         try {
-            // Handle simple property access first
-            if (/^[a-zA-Z_][a-zA-Z0-9_.$\[\]]*$/.test(expression.trim())) {
-                const result = this.getNestedValue(data, expression.trim());
-                console.log(`Simple property access result:`, result);
-                return result;
-            }
-
-            // Handle complex expressions
-            return this.evaluateComplexExpression(expression, data);
+            return this.evaluateNode(this.parse(expression), data || {});
         } catch (error) {
-            console.error(`Expression evaluation error for "${expression}":`, error);
+            console.error(`Expression evaluation error for "${expression}":`, error.message);
             return null;
         }
     }
 
     evaluateCondition(condition, data) {
         console.log(`Evaluating condition: "${condition}"`);
-        console.log('Available data:', data);
 
         try {
-            // Normalize the condition
-            const normalizedCondition = this.normalizeCondition(condition);
-            console.log(`Normalized condition: "${normalizedCondition}"`);
-
-            // Special handling for 'this' context in conditions
-            let processedCondition = normalizedCondition;
-
-            // Replace this.property with actual values
-            processedCondition = processedCondition.replace(/\bthis\.([a-zA-Z_][a-zA-Z0-9_]*)\b/g, (match, property) => {
-                if (data.this && data.this[property] !== undefined) {
-                    const value = data.this[property];
-                    const serialized = this.serializeValue(value);
-                    console.log(`Replacing ${match} with ${serialized}`);
-                    return serialized;
-                }
-                console.log(`Property ${property} not found in this context`);
-                return 'null';
-            });
-
-            console.log(`Final condition for evaluation: "${processedCondition}"`);
-
-            const result = this.evaluateComplexExpression(processedCondition, data);
+            const result = this.evaluateNode(this.parse(condition), data || {});
             console.log(`Condition result: ${result}`);
 
-            return result;
+            return Boolean(result);
         } catch (error) {
-            console.error(`Condition evaluation error for "${condition}":`, error);
+            console.error(`Condition evaluation error for "${condition}":`, error.message);
             return false;
         }
     }
 
-    evaluateComplexExpression(expression, data) {
-        console.log(`Evaluating complex expression: "${expression}"`);
-
-        // Replace variable references with actual values
-        let processedExpression = expression;
-
-        // Find all variable references - enhanced pattern to support ../ parent traversal
-        const variablePattern = /((?:\.\.\/|\.\.\\)*\b[a-zA-Z_][a-zA-Z0-9_.$\[\]]*)\b/g;
-        const matches = [...expression.matchAll(variablePattern)];
-
-        // Sort by length (longest first) to avoid partial replacements
-        matches.sort((a, b) => b[0].length - a[0].length);
-
-        for (const match of matches) {
-            const variable = match[0];
-
-            // Skip JavaScript keywords and operators
-            if (this.isJavaScriptKeyword(variable)) continue;
-
-            console.log(`Processing variable in expression: ${variable}`);
-
-            const value = this.getNestedValue(data, variable);
-            const serializedValue = this.serializeValue(value);
-
-            console.log(`Replacing ${variable} with ${serializedValue}`);
-
-            // Create regex for replacement - handle word boundaries carefully
-            let pattern;
-            if (variable.startsWith('.')) {
-                // For paths starting with . (like ../), don't use leading \b
-                pattern = new RegExp(this.escapeRegExp(variable) + '\\b', 'g');
-            } else {
-                pattern = new RegExp('\\b' + this.escapeRegExp(variable) + '\\b', 'g');
+    /**
+     * Parse an expression, reusing the cached AST when available
+     * @param {string} expression - Expression source as written in the template
+     * @returns {Object} - AST root node
+     * @throws {ExpressionSyntaxError} - When the expression is malformed
+     */
+    parse(expression) {
+        const source = this.decodeEntities(String(expression).trim());
+
+        let ast = this.astCache.get(source);
+        if (!ast) {
+            ast = this.parser.parse(source);
+
+            if (this.astCache.size >= this.maxCacheSize) {
+                this.astCache.delete(this.astCache.keys().next().value);
             }
-
-            processedExpression = processedExpression.replace(
-                pattern,
-                serializedValue
-            );
+            this.astCache.set(source, ast);
         }
 
-        console.log(`Processed expression: "${processedExpression}"`);
-
-        // Safely evaluate the expression
-        return this.safeEvaluate(processedExpression);
+        return ast;
     }
 
-    normalizeCondition(condition) {
-        // Handle common condition patterns
-        return condition
-            .replace(/\band\b/g, '&&')
-            .replace(/\bor\b/g, '||')
-            .replace(/\bnot\b/g, '!')
-            .replace(/\bis\b/g, '==')
-            .replace(/\bisn't\b/g, '!=')
-            .replace(/\bequals\b/g, '==')
-            .replace(/&gt;/g, '>')
-            .replace(/&lt;/g, '<')
-            .replace(/&amp;/g, '&')
-            .replace(/&quot;/g, '"')
-            .replace(/&apos;/g, "'");
+    /**
+     * Split a tag body into its expression and formatters
+     * @param {string} tagContent - Content between ${ and }
+     * @returns {{expression: string, formatters: Array<string>}}
+     */
+    parseTag(tagContent) {
+        const [expression, ...formatters] = this.parser.splitPipes(this.decodeEntities(tagContent));
+        return { expression, formatters };
     }
 
-    getNestedProperty(obj, path) {
-        if (!obj || !path) return null;
+    evaluateNode(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
 
-        console.log(`Getting nested property "${path}" from:`, obj);
+            case 'Array':
+                return node.elements.map(element => this.evaluateNode(element, scope));
 
-        // Handle array access like "deals[0].amount"
-        const normalizedPath = path.replace(/\[(\d+)\]/g, '.$1');
+            case 'Identifier':
+                return this.resolveIdentifier(node, scope);
 
-        const keys = normalizedPath.split('.');
-        let current = obj;
+            case 'Member': {
+                const object = this.evaluateNode(node.object, scope);
+                const property = this.evaluateNode(node.property, scope);
+                return this.getMember(object, property);
+            }
 
-        for (const key of keys) {
-            if (current === null || current === undefined) {
-                console.log(`Null/undefined at key: ${key}`);
-                return null;
+            case 'Call': {
+                const fn = this.functions.get(node.name);
+                if (!fn) {
+                    throw new Error(`Unknown function "${node.name}"`);
+                }
+                return this.normalizeValue(fn(...node.args.map(arg => this.evaluateNode(arg, scope))));
+            }
+
+            case 'Pipe': {
+                const input = this.evaluateNode(node.input, scope);
+                if (!this.formatHelper) {
+                    throw new Error(`Formatter "${node.formatter}" is not available in this context`);
+                }
+                const formatted = this.formatHelper.applyFormatters(input, [[node.formatter, ...node.args].join(':')]);
+                // Styling formatters only matter for rendering, expressions see the value
+                return formatted && typeof formatted === 'object' && formatted.formatting ? formatted.value : formatted;
             }
 
-            // Handle array indices
-            if (/^\d+$/.test(key)) {
-                const index = parseInt(key);
-                if (Array.isArray(current) && index >= 0 && index < current.length) {
-                    current = current[index];
-                    console.log(`Array access [${index}]:`, current);
-                } else {
-                    console.log(`Array index ${index} out of bounds`);
-                    return null;
+            case 'Unary': {
+                const argument = this.evaluateNode(node.argument, scope);
+                switch (node.operator) {
+                    case '!': return !argument;
+                    case '-': return -Number(argument);
+                    case '+': return Number(argument);
                 }
-            } else {
-                if (current[key] !== undefined) {
-                    current = current[key];
-                    console.log(`Property .${key}:`, current);
-                } else {
-                    console.log(`Property "${key}" not found`);
-                    return null;
+                break;
+            }
+
+            case 'Logical': {
+                const left = this.evaluateNode(node.left, scope);
+                switch (node.operator) {
+                    case '&&': return left ? this.evaluateNode(node.right, scope) : left;
+                    case '||': return left ? left : this.evaluateNode(node.right, scope);
+                    case '??': return left !== null && left !== undefined ? left : this.evaluateNode(node.right, scope);
                 }
+                break;
             }
+
+            case 'Binary':
+                return this.applyBinaryOperator(
+                    node.operator,
+                    this.evaluateNode(node.left, scope),
+                    this.evaluateOperand(node, node.right, scope)
+                );
+
+            case 'Conditional':
+                return this.evaluateNode(node.test, scope)
+                    ? this.evaluateNode(node.consequent, scope)
+                    : this.evaluateNode(node.alternate, scope);
         }
 
-        console.log(`Final nested property value:`, current);
-        return current;
+        throw new Error(`Unsupported expression node: ${node.type}`);
     }
 
-    getNestedValue(obj, path) {
-        if (!obj || !path) return null;
+    evaluateOperand(binaryNode, operand, scope) {
+        // Templates compare against bare words (type == Individual); when no such
+        // variable exists the word itself is the value, as the old evaluator did
+        if (['==', '!=', '===', '!=='].includes(binaryNode.operator) &&
+            operand.type === 'Identifier' && operand.parents === 0 && operand.name !== 'this' &&
+            !this.isDefined(operand.name, scope)) {
+            return operand.name;
+        }
 
-        console.log(`Getting nested value for path: "${path}" from object:`, obj);
+        return this.evaluateNode(operand, scope);
+    }
 
-        // Special handling for 'this.property' patterns
-        if (path.startsWith('this.')) {
-            const propertyPath = path.substring(5); // Remove 'this.'
-            if (obj.this) {
-                console.log(`Accessing this.${propertyPath} from:`, obj.this);
-                return this.getNestedProperty(obj.this, propertyPath);
-            } else {
-                console.log('No "this" object found in context');
-                return null;
-            }
-        }
+    isDefined(name, scope) {
+        return this.hasOwn(scope, name) ||
+            Boolean(scope.this && typeof scope.this === 'object' && this.hasOwn(scope.this, name));
+    }
 
-        // Handle ancestor access using "../"
-        if (path.startsWith('../') || path.startsWith('..\\')) {
-            let currentContext = obj;
-            let p = path;
-
-            // Traverse up the context chain
-            while (p.startsWith('../') || p.startsWith('..\\')) {
-                if (currentContext._parentContext) {
-                    currentContext = currentContext._parentContext;
-                    p = p.substring(3);
-                } else {
-                    console.warn(`Cannot traverse up from root context for path: ${path}`);
-                    return null;
+    applyBinaryOperator(operator, left, right) {
+        switch (operator) {
+            case '+':
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return `${left ?? ''}${right ?? ''}`;
                 }
-            }
-
-            console.log(`Resolved ancestor context for path "${path}". Remaining path: "${p}". Context keys:`, Object.keys(currentContext));
+                return Number(left) + Number(right);
+            case '-': return Number(left) - Number(right);
+            case '*': return Number(left) * Number(right);
+            case '/': return Number(left) / Number(right);
+            case '%': return Number(left) % Number(right);
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '>': return this.compare(left, right) > 0;
+            case '<': return this.compare(left, right) < 0;
+            case '>=': return this.compare(left, right) >= 0;
+            case '<=': return this.compare(left, right) <= 0;
+        }
 
-            // If the remaining path is just accessing a property on the found context
-            // We often want 'this' of that context, or a property directly on it.
-            // Usually loop contexts have { this: ..., parent: ..., ... }
-            // If the user does ${../name}, they might mean the 'this.name' of parent, OR a root-level variable 'name'.
-            // Our structure merges root data properties into context data.
+        throw new Error(`Unsupported operator "${operator}"`);
+    }
 
-            return this.getNestedValue(currentContext, p);
+    compare(left, right) {
+        // Two non-numeric strings (names, ISO dates) compare as text, anything else as numbers
+        if (typeof left === 'string' && typeof right === 'string' && (isNaN(left) || isNaN(right))) {
+            return left < right ? -1 : left > right ? 1 : 0;
         }
 
-        // Handle array access like users[0] or users[0].name
-        const normalizedPath = path.replace(/\[(\d+)\]/g, '.$1');
-
-        const keys = normalizedPath.split('.');
-        let current = obj;
+        const a = Number(left);
+        const b = Number(right);
+        if (isNaN(a) || isNaN(b)) return NaN;
+        return a - b;
+    }
 
-        for (let i = 0; i < keys.length; i++) {
-            const key = keys[i];
+    resolveIdentifier(node, scope) {
+        let context = scope;
 
-            if (current === null || current === undefined) {
-                console.log(`Null/undefined encountered at key: ${key}`);
+        // Walk up loop scopes for ../name
+        for (let level = 0; level < node.parents; level++) {
+            if (!context._parentContext) {
+                console.warn(`Cannot traverse up from root context for "${'../'.repeat(node.parents)}${node.name}"`);
                 return null;
             }
+            context = context._parentContext;
+        }
 
-            if (key === 'this') {
-                // Access the 'this' property if it exists
-                if (current.this !== undefined) {
-                    current = current.this;
-                    console.log(`Accessing 'this' context:`, current);
-                } else {
-                    console.log('No "this" property found');
-                    return null;
-                }
-                continue;
-            }
+        if (node.name === 'this') {
+            return this.normalizeValue(context.this);
+        }
 
-            // Handle array indices
-            if (/^\d+$/.test(key)) {
-                const index = parseInt(key);
-                if (Array.isArray(current) && index >= 0 && index < current.length) {
-                    current = current[index];
-                    console.log(`Array access [${index}]:`, current);
-                } else {
-                    console.log(`Array index ${index} out of bounds or not an array`);
-                    return null;
-                }
-            } else {
-                if (current[key] !== undefined) {
-                    current = current[key];
-                    console.log(`Property access .${key}:`, current);
-                } else if (current.this && current.this[key] !== undefined) {
-                    // Fallback: Check if the property exists on the 'this' context
-                    // This allows accessing properties without explicit 'this.' prefix, 
-                    // which is especially useful for ../ path resolution
-                    current = current.this[key];
-                    console.log(`Property access via this.${key}:`, current);
-                } else {
-                    console.log(`Property "${key}" not found in object or its 'this' context`);
-                    return null;
-                }
-            }
+        if (this.hasOwn(context, node.name)) {
+            return this.getMember(context, node.name);
         }
 
-        console.log(`Final value for "${path}":`, current);
-        return current;
+        // Loop items can be addressed without the explicit this. prefix
+        if (this.isDefined(node.name, context)) {
+            return this.getMember(context.this, node.name);
+        }
+
+        return null;
     }
 
+    getMember(object, property) {
+        if (object === null || object === undefined) return null;
 
-    serializeValue(value) {
-        if (value === null || value === undefined) {
-            return 'null';
+        const key = String(property);
+        if (BLOCKED_PROPERTIES.has(key)) {
+            throw new Error(`Access to "${key}" is not allowed`);
         }
 
-        if (typeof value === 'string') {
-            return `"${value.replace(/"/g, '\\"')}"`;
+        if (key === 'length' && (Array.isArray(object) || typeof object === 'string')) {
+            return object.length;
         }
 
-        if (typeof value === 'number' || typeof value === 'boolean') {
-            return String(value);
-        }
+        return this.hasOwn(object, key) ? this.normalizeValue(object[key]) : null;
+    }
 
-        if (Array.isArray(value)) {
-            return JSON.stringify(value);
-        }
+    hasOwn(object, key) {
+        return object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(object, key);
+    }
 
-        if (typeof value === 'object') {
-            return JSON.stringify(value);
-        }
+    normalizeValue(value) {
+        // Functions never leave the data, and undefined is reported as null like missing paths
+        return value === undefined || typeof value === 'function' ? null : value;
+    }
 
-        return `"${String(value)}"`;
+    decodeEntities(text) {
+        return text
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
     }
 
-    safeEvaluate(expression) {
-        // Create a safe evaluation context
-        const allowedGlobals = {
-            Math: Math,
-            Date: Date,
-            parseInt: parseInt,
-            parseFloat: parseFloat,
-            isNaN: isNaN,
-            isFinite: isFinite
-        };
+    getNestedProperty(obj, path) {
+        if (!obj || !path) return null;
+        return this.evaluate(`this.${path}`, { this: obj });
+    }
+
+    getNestedValue(obj, path) {
+        if (!obj || !path) return null;
 
         try {
-            // Use Function constructor for safer evaluation
-            const func = new Function(...Object.keys(allowedGlobals), `return (${expression});`);
-            return func(...Object.values(allowedGlobals));
+            return this.evaluateNode(this.parse(path), obj);
         } catch (error) {
-            console.warn(`Safe evaluation failed for "${expression}":`, error.message);
+            console.warn(`Could not resolve path "${path}":`, error.message);
             return null;
         }
     }
-
-    isJavaScriptKeyword(word) {
-        const keywords = [
-            'true', 'false', 'null', 'undefined',
-            'Math', 'Date', 'parseInt', 'parseFloat',
-            'isNaN', 'isFinite', 'typeof', 'instanceof'
-        ];
-        return keywords.includes(word);
-    }
-
-    escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
 }
 
-module.exports = ExpressionEvaluator;
\ No newline at end of file
+module.exports = ExpressionEvaluator;
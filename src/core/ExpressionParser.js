@@ -0,0 +1,475 @@
+// src/core/ExpressionParser.js
+
+class ExpressionSyntaxError extends Error {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} expression - The expression being parsed
+     * @param {number} column - 1-based column where the problem was found
+     */
+    constructor(message, expression, column) {
+        super(`${message} at column ${column} in expression "${expression}"`);
+        this.name = 'ExpressionSyntaxError';
+        this.expression = expression;
+        this.column = column;
+    }
+}
+
+// Multi-character operators must come before their single-character prefixes
+const OPERATORS = [
+    '===', '!==', '==', '!=', '>=', '<=', '&&', '||', '??',
+    '>', '<', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']', '|'
+];
+
+// Word operators accepted in conditions, mapped to their symbolic form
+const WORD_OPERATORS = {
+    and: '&&',
+    or: '||',
+    not: '!',
+    is: '==',
+    "isn't": '!=',
+    equals: '=='
+};
+
+const LITERALS = {
+    true: true,
+    false: false,
+    null: null,
+    undefined: null
+};
+
+// Word processors like to turn straight quotes into curly ones
+const QUOTE_PAIRS = {
+    '"': '"',
+    "'": "'",
+    '“': '”',
+    '‘': '’'
+};
+
+class ExpressionParser {
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Expression source
+     * @returns {Array<Object>} - Tokens with type, value and start/end offsets
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < expression.length) {
+            const char = expression[pos];
+
+            if (/\s/.test(char)) {
+                pos++;
+                continue;
+            }
+
+            // Parent scope traversal: ../ (or ..\ as typed on Windows)
+            if (expression.startsWith('../', pos) || expression.startsWith('..\\', pos)) {
+                tokens.push({ type: 'parent', value: '../', start: pos, end: pos + 3 });
+                pos += 3;
+                continue;
+            }
+
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[pos + 1] || ''))) {
+                const match = expression.slice(pos).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                tokens.push({ type: 'number', value: Number(match[0]), raw: match[0], start: pos, end: pos + match[0].length });
+                pos += match[0].length;
+                continue;
+            }
+
+            if (QUOTE_PAIRS[char]) {
+                const token = this.readString(expression, pos);
+                tokens.push(token);
+                pos = token.end;
+                continue;
+            }
+
+            if (/[A-Za-z_$]/.test(char)) {
+                let word = expression.slice(pos).match(/^[A-Za-z_$][A-Za-z0-9_$]*/)[0];
+
+                // "isn't" would otherwise start a string literal
+                if (word === 'isn' && expression.startsWith("'t", pos + 3)) {
+                    word = "isn't";
+                }
+
+                const token = { start: pos, end: pos + word.length };
+                if (Object.prototype.hasOwnProperty.call(WORD_OPERATORS, word)) {
+                    Object.assign(token, { type: 'operator', value: WORD_OPERATORS[word], raw: word });
+                } else if (Object.prototype.hasOwnProperty.call(LITERALS, word)) {
+                    Object.assign(token, { type: 'literal', value: LITERALS[word], raw: word });
+                } else {
+                    Object.assign(token, { type: 'identifier', value: word });
+                }
+
+                tokens.push(token);
+                pos = token.end;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => expression.startsWith(op, pos));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, start: pos, end: pos + operator.length });
+                pos += operator.length;
+                continue;
+            }
+
+            throw new ExpressionSyntaxError(`Unexpected character "${char}"`, expression, pos + 1);
+        }
+
+        tokens.push({ type: 'eof', value: null, start: expression.length, end: expression.length });
+        return tokens;
+    }
+
+    readString(expression, start) {
+        const closingQuote = QUOTE_PAIRS[expression[start]];
+        let value = '';
+        let pos = start + 1;
+
+        while (pos < expression.length) {
+            const char = expression[pos];
+
+            if (char === '\\' && pos + 1 < expression.length) {
+                const escaped = expression[pos + 1];
+                value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                pos += 2;
+                continue;
+            }
+
+            if (char === closingQuote) {
+                return { type: 'string', value, start, end: pos + 1 };
+            }
+
+            value += char;
+            pos++;
+        }
+
+        throw new ExpressionSyntaxError('Unterminated string literal', expression, start + 1);
+    }
+
+    /**
+     * Parse an expression into an AST
+     * @param {string} expression - Expression source
+     * @returns {Object} - Root AST node
+     * @throws {ExpressionSyntaxError} - When the expression is malformed
+     */
+    parse(expression) {
+        const state = {
+            expression,
+            tokens: this.tokenize(expression),
+            index: 0
+        };
+
+        if (state.tokens[0].type === 'eof') {
+            throw new ExpressionSyntaxError('Empty expression', expression, 1);
+        }
+
+        const ast = this.parseTernary(state);
+
+        const trailing = this.peek(state);
+        if (trailing.type !== 'eof') {
+            this.fail(state, trailing);
+        }
+
+        return ast;
+    }
+
+    parseTernary(state) {
+        const test = this.parseNullish(state);
+
+        if (this.match(state, '?')) {
+            const consequent = this.parseTernary(state);
+            this.expect(state, ':');
+            const alternate = this.parseTernary(state);
+            return { type: 'Conditional', test, consequent, alternate };
+        }
+
+        return test;
+    }
+
+    parseNullish(state) {
+        return this.parseBinary(state, ['??'], () => this.parseLogicalOr(state), 'Logical');
+    }
+
+    parseLogicalOr(state) {
+        return this.parseBinary(state, ['||'], () => this.parseLogicalAnd(state), 'Logical');
+    }
+
+    parseLogicalAnd(state) {
+        return this.parseBinary(state, ['&&'], () => this.parseEquality(state), 'Logical');
+    }
+
+    parseEquality(state) {
+        let left = this.parseComparison(state);
+
+        while (true) {
+            const token = this.peek(state);
+            if (token.type !== 'operator' || !['==', '!=', '===', '!=='].includes(token.value)) break;
+            state.index++;
+
+            // "is not" reads naturally in conditions
+            let operator = token.value;
+            if (token.raw === 'is' && this.match(state, '!')) {
+                operator = '!=';
+            }
+
+            const right = this.parseComparison(state);
+            left = { type: 'Binary', operator, left, right };
+        }
+
+        return left;
+    }
+
+    parseComparison(state) {
+        return this.parseBinary(state, ['>', '<', '>=', '<='], () => this.parseAdditive(state), 'Binary');
+    }
+
+    parseAdditive(state) {
+        return this.parseBinary(state, ['+', '-'], () => this.parseMultiplicative(state), 'Binary');
+    }
+
+    parseMultiplicative(state) {
+        return this.parseBinary(state, ['*', '/', '%'], () => this.parseUnary(state), 'Binary');
+    }
+
+    parseBinary(state, operators, parseOperand, type) {
+        let left = parseOperand();
+
+        while (true) {
+            const token = this.peek(state);
+            if (token.type !== 'operator' || !operators.includes(token.value)) break;
+            state.index++;
+            const right = parseOperand();
+            left = { type, operator: token.value, left, right };
+        }
+
+        return left;
+    }
+
+    parseUnary(state) {
+        const token = this.peek(state);
+
+        if (token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+            state.index++;
+            return { type: 'Unary', operator: token.value, argument: this.parseUnary(state) };
+        }
+
+        return this.parsePipe(state);
+    }
+
+    // value|formatter:arg pipes, as used in tags like ${#if guarantors|count > 0}
+    parsePipe(state) {
+        let node = this.parsePostfix(state);
+
+        while (this.match(state, '|')) {
+            const nameToken = this.peek(state);
+            if (nameToken.type !== 'identifier') {
+                this.fail(state, nameToken, 'Expected formatter name after "|"');
+            }
+            state.index++;
+
+            const args = [];
+            // Formatter arguments are glued to the name (sum:amount), which keeps
+            // them apart from the ":" of a ternary
+            while (this.peek(state).value === ':' && this.peek(state).start === this.previous(state).end) {
+                state.index++;
+                const argToken = this.peek(state);
+                if (!['identifier', 'number', 'string', 'literal'].includes(argToken.type)) {
+                    this.fail(state, argToken, 'Expected formatter argument');
+                }
+                state.index++;
+                args.push(argToken.type === 'string' ? argToken.value : (argToken.raw || argToken.value));
+            }
+
+            node = { type: 'Pipe', formatter: nameToken.value, args, input: node };
+        }
+
+        return node;
+    }
+
+    parsePostfix(state) {
+        let node = this.parsePrimary(state);
+
+        while (true) {
+            if (this.match(state, '.')) {
+                const property = this.peek(state);
+                if (property.type !== 'identifier' && property.type !== 'literal' && !(property.type === 'operator' && property.raw)) {
+                    this.fail(state, property, 'Expected property name after "."');
+                }
+                state.index++;
+                node = { type: 'Member', object: node, property: { type: 'Literal', value: property.raw || property.value } };
+            } else if (this.match(state, '[')) {
+                const property = this.parseTernary(state);
+                this.expect(state, ']');
+                node = { type: 'Member', object: node, property };
+            } else if (this.peek(state).value === '(' && this.peek(state).type === 'operator') {
+                const openParen = this.peek(state);
+                const name = this.getCalleeName(node);
+                if (!name) {
+                    this.fail(state, openParen, 'Only named functions can be called');
+                }
+                state.index++;
+                node = { type: 'Call', name, args: this.parseArguments(state, ')') };
+            } else {
+                break;
+            }
+        }
+
+        return node;
+    }
+
+    parseArguments(state, closing) {
+        const args = [];
+
+        if (this.match(state, closing)) {
+            return args;
+        }
+
+        do {
+            args.push(this.parseTernary(state));
+        } while (this.match(state, ','));
+
+        this.expect(state, closing);
+        return args;
+    }
+
+    parsePrimary(state) {
+        const token = this.peek(state);
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'literal':
+                state.index++;
+                return { type: 'Literal', value: token.value };
+
+            case 'identifier':
+                state.index++;
+                return { type: 'Identifier', name: token.value, parents: 0 };
+
+            case 'parent': {
+                let parents = 0;
+                while (this.peek(state).type === 'parent') {
+                    state.index++;
+                    parents++;
+                }
+                const name = this.peek(state);
+                if (name.type !== 'identifier') {
+                    this.fail(state, name, 'Expected property name after "../"');
+                }
+                state.index++;
+                return { type: 'Identifier', name: name.value, parents };
+            }
+
+            case 'operator':
+                if (token.value === '(') {
+                    state.index++;
+                    const expression = this.parseTernary(state);
+                    this.expect(state, ')');
+                    return expression;
+                }
+                if (token.value === '[') {
+                    state.index++;
+                    return { type: 'Array', elements: this.parseArguments(state, ']') };
+                }
+                break;
+        }
+
+        this.fail(state, token);
+    }
+
+    // Functions are looked up by their dotted name (max, Math.round), never through the data
+    getCalleeName(node) {
+        if (node.type === 'Identifier' && node.parents === 0) {
+            return node.name;
+        }
+        if (node.type === 'Member' && node.property.type === 'Literal' && typeof node.property.value === 'string') {
+            const objectName = this.getCalleeName(node.object);
+            return objectName ? `${objectName}.${node.property.value}` : null;
+        }
+        return null;
+    }
+
+    peek(state) {
+        return state.tokens[state.index];
+    }
+
+    previous(state) {
+        return state.tokens[state.index - 1];
+    }
+
+    match(state, operator) {
+        const token = this.peek(state);
+        if (token.type === 'operator' && token.value === operator) {
+            state.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(state, operator) {
+        if (!this.match(state, operator)) {
+            this.fail(state, this.peek(state), `Expected "${operator}"`);
+        }
+    }
+
+    fail(state, token, message) {
+        const found = token.type === 'eof'
+            ? 'end of expression'
+            : `"${state.expression.slice(token.start, token.end)}"`;
+        throw new ExpressionSyntaxError(
+            message ? `${message} but found ${found}` : `Unexpected ${found}`,
+            state.expression,
+            token.start + 1
+        );
+    }
+
+    /**
+     * Split a tag body into its expression and formatter chain, ignoring "|"
+     * inside strings, brackets and the "||" operator
+     * @param {string} text - Tag content, e.g. "a || b|currency|bold"
+     * @returns {Array<string>} - Expression followed by the formatter expressions
+     */
+    splitPipes(text) {
+        const segments = [];
+        let current = '';
+        let depth = 0;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+                continue;
+            }
+
+            // Formatter arguments are free text (date:DD MMM, join: - ), so quotes
+            // only count in the expression itself
+            if (QUOTE_PAIRS[char] && segments.length === 0) {
+                quote = QUOTE_PAIRS[char];
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (char === '|' && depth === 0) {
+                if (text[i + 1] === '|' && segments.length === 0) {
+                    current += '||';
+                    i++;
+                    continue;
+                }
+                segments.push(current);
+                current = '';
+                continue;
+            }
+
+            current += char;
+        }
+
+        segments.push(current);
+        return segments.map(segment => segment.trim());
+    }
+}
+
+module.exports = ExpressionParser;
+module.exports.ExpressionSyntaxError = ExpressionSyntaxError;
@@ -1,9 +1,12 @@
 // src/core/FormatHelper.js
 const moment = require('moment');
+const { marked } = require('marked');
+const BarcodeGenerator = require('./BarcodeGenerator');
 
 class FormatHelper {
     constructor() {
         this.formatters = new Map();
+        this.barcodeGenerator = new BarcodeGenerator();
         this.setupDefaultFormatters();
     }
 
@@ -125,6 +128,54 @@ class FormatHelper {
         this.formatters.set('underline', (value) => ({ value, format: { underline: true } }));
         this.formatters.set('size', (value, size) => ({ value, format: { size: parseInt(size) } }));
         this.formatters.set('color', (value, color) => ({ value, format: { color: color } }));
+
+        // Rich text formatters, converted to paragraphs and runs (handled by the template engine)
+        this.formatters.set('html', (value) => {
+            if (value === null || value === undefined || value === '') return '';
+            return { html: String(value) };
+        });
+        this.formatters.set('markdown', (value) => {
+            if (value === null || value === undefined || value === '') return '';
+            return { html: marked.parse(String(value), { async: false }) };
+        });
+
+        // Link formatters, written as hyperlinks (handled by the template engine)
+        this.formatters.set('link', (value, text) => {
+            if (value === null || value === undefined || value === '') return '';
+
+            // Bare domains such as www.example.com open as web addresses
+            const target = String(value).trim();
+            const url = /^[a-z][a-z0-9+.-]*:|^#/i.test(target) ? target : `https://${target}`;
+            return { link: { target: url, text: text || target } };
+        });
+        this.formatters.set('mailto', (value, text) => {
+            if (value === null || value === undefined || value === '') return '';
+
+            const address = String(value).trim().replace(/^mailto:/i, '');
+            return { link: { target: `mailto:${address}`, text: text || address } };
+        });
+
+        // Picture formatters, drawn locally and embedded as PNG (handled by the template engine)
+        this.formatters.set('qr', (value, size = '2.5cm', errorCorrection = 'M') => {
+            if (value === null || value === undefined || value === '') return '';
+
+            const symbol = this.barcodeGenerator.qrCode(value, { errorCorrection });
+            return { image: { data: symbol.buffer, width: size, height: size, description: String(value) } };
+        });
+        this.formatters.set('barcode', (value, type = 'code128', width, height) => {
+            if (value === null || value === undefined || value === '') return '';
+
+            const symbol = this.barcodeGenerator.barcode(value, type);
+            return {
+                image: {
+                    data: symbol.buffer,
+                    // Without a size the symbol is printed at its natural size
+                    width: width || (height ? undefined : this.barcodeGenerator.getNaturalWidth(symbol)),
+                    height,
+                    description: String(value)
+                }
+            };
+        });
     }
 
     applyFormatters(value, formatters) {
@@ -135,6 +186,12 @@ class FormatHelper {
             const [name, ...args] = formatterExpr.split(':');
             const formatter = this.formatters.get(name.trim());
             
+            // Pictures (qr, barcode), rich text (html, markdown) and links cannot be formatted any further
+            if (result && typeof result === 'object' && (result.image || result.link || typeof result.html === 'string')) {
+                console.warn(`Formatter "${name}" ignored after a picture, rich text or link formatter`);
+                continue;
+            }
+            
             if (formatter) {
                 try {
                     const formattedResult = formatter(result, ...args.map(arg => arg.trim()));
@@ -0,0 +1,500 @@
+// src/core/HtmlConverter.js
+const { parseDocument } = require('htmlparser2');
+const DocxXmlFormatter = require('./DocxXmlFormatter');
+const HyperlinkRenderer = require('./HyperlinkRenderer');
+
+// Inline elements → run formatting
+const INLINE_FORMATS = {
+    strong: { bold: true },
+    b: { bold: true },
+    em: { italic: true },
+    i: { italic: true },
+    cite: { italic: true },
+    u: { underline: true },
+    ins: { underline: true },
+    s: { strike: true },
+    strike: { strike: true },
+    del: { strike: true },
+    sub: { subscript: true },
+    sup: { superscript: true },
+    code: { font: 'Courier New' },
+    kbd: { font: 'Courier New' },
+    samp: { font: 'Courier New' },
+    mark: { highlight: 'yellow' }
+};
+
+// Elements that make a value block-level, it then replaces the host paragraph
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'
+]);
+
+const IGNORED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'template', 'img']);
+
+// Headings use the template's Heading styles, or this size in points when it has none
+const HEADING_SIZES = { h1: 16, h2: 14, h3: 13, h4: 12, h5: 11, h6: 11 };
+
+const ALIGNMENTS = { left: 'left', center: 'center', right: 'right', justify: 'both' };
+
+// Child order of <w:pPr> required by the WordprocessingML schema
+const PARAGRAPH_PROPERTY_ORDER = [
+    'w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl',
+    'w:numPr', 'w:suppressLineNumbers', 'w:pBdr', 'w:shd', 'w:tabs', 'w:suppressAutoHyphens',
+    'w:kinsoku', 'w:wordWrap', 'w:overflowPunct', 'w:topLinePunct', 'w:autoSpaceDE', 'w:autoSpaceDN',
+    'w:bidi', 'w:adjustRightInd', 'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing',
+    'w:mirrorIndents', 'w:suppressOverlap', 'w:jc', 'w:textDirection', 'w:textAlignment',
+    'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle', 'w:rPr', 'w:sectPr', 'w:pPrChange'
+];
+
+// Host paragraph properties that belong to the host only
+const HOST_ONLY_PROPERTIES = ['w:numPr', 'w:sectPr', 'w:pPrChange'];
+
+const LIST_INDENT = 720;
+const BULLETS = ['•', '◦', '▪'];
+const ORDERED_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+
+// Width tables are spread over, A4 with 2cm margins in twips
+const TABLE_WIDTH = 9638;
+
+class HtmlConverter {
+    constructor(options = {}) {
+        this.docxXmlFormatter = options.docxXmlFormatter || new DocxXmlFormatter();
+        this.hyperlinkRenderer = options.hyperlinkRenderer || new HyperlinkRenderer({ docxXmlFormatter: this.docxXmlFormatter });
+    }
+
+    /**
+     * Convert HTML to WordprocessingML
+     * @param {string} html - HTML fragment, e.g. clause text from the CMS
+     * @param {Object} options - { runProperties, paragraphProperties } of the host run and
+     *   paragraph, inherited by the output, and the render context for lists and links
+     * @returns {{block: boolean, xml: string}} - Runs when the HTML is inline only,
+     *   otherwise paragraphs and tables that replace the host paragraph
+     */
+    convert(html, options = {}) {
+        const nodes = parseDocument(String(html)).children;
+        const state = {
+            context: options.context || {},
+            runProperties: options.runProperties || '',
+            paragraphProperties: this.docxXmlFormatter.parseChildElements(options.paragraphProperties)
+                .filter(property => !HOST_ONLY_PROPERTIES.includes(property.name))
+        };
+
+        if (!nodes.some(node => this.containsBlock(node))) {
+            return { block: false, xml: this.renderSegments(this.collectInline(nodes, {}, null, []), state) };
+        }
+
+        return { block: true, xml: this.renderBlocks(nodes, state, { formatting: {}, indent: 0 }).join('') };
+    }
+
+    containsBlock(node) {
+        if (node.type !== 'tag' || IGNORED_ELEMENTS.has(node.name)) return false;
+        return BLOCK_ELEMENTS.has(node.name) || node.children.some(child => this.containsBlock(child));
+    }
+
+    /**
+     * Turn block-level nodes into paragraphs and tables
+     * @param {Array<Object>} nodes - Parsed HTML nodes
+     * @param {Object} state - Conversion state
+     * @param {Object} block - Inherited block settings { formatting, indent, align, listItem }
+     * @returns {Array<string>} - <w:p> and <w:tbl> elements
+     */
+    renderBlocks(nodes, state, block) {
+        const blocks = [];
+        let inline = [];
+
+        // Loose text and inline elements between blocks form a paragraph of their own
+        const flushInline = () => {
+            const segments = this.collectInline(inline, block.formatting, null, []);
+            if (segments.some(segment => segment.type !== 'text' || segment.text.trim())) {
+                blocks.push(this.renderParagraph(segments, state, block));
+            }
+            inline = [];
+        };
+
+        for (const node of nodes) {
+            if (!this.containsBlock(node)) {
+                inline.push(node);
+                continue;
+            }
+
+            flushInline();
+            blocks.push(...this.renderBlock(node, state, block).filter(Boolean));
+        }
+
+        flushInline();
+        return blocks;
+    }
+
+    renderBlock(node, state, block) {
+        const align = this.getAlignment(node) || block.align;
+
+        switch (node.name) {
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+                const styleId = `Heading${node.name[1]}`;
+                const heading = this.hasStyle(state, styleId)
+                    ? { ...block, align, styleId }
+                    : { ...block, align, formatting: { ...block.formatting, bold: true, size: HEADING_SIZES[node.name] } };
+                return [this.renderParagraph(this.collectInline(node.children, heading.formatting, null, []), state, heading)];
+            }
+            case 'p':
+                if (!node.children.some(child => this.containsBlock(child))) {
+                    return [this.renderParagraph(this.collectInline(node.children, block.formatting, null, []), state, { ...block, align })];
+                }
+                return this.renderBlocks(node.children, state, { ...block, align });
+            case 'ul':
+            case 'ol':
+                return this.renderList(node, state, block);
+            case 'li':
+                // List items without a list around them
+                return this.renderList({ name: 'ul', attribs: {}, children: [node] }, state, block);
+            case 'table':
+                return [this.renderTable(node, state, block)];
+            case 'thead': case 'tbody': case 'tfoot': case 'tr': case 'td': case 'th':
+                return [this.renderTable({ name: 'table', attribs: {}, children: [node] }, state, block)];
+            case 'blockquote':
+                return this.renderBlocks(node.children, state, { ...block, align, indent: block.indent + LIST_INDENT });
+            case 'pre': {
+                const formatting = { ...block.formatting, font: 'Courier New' };
+                const segments = this.collectInline(node.children, formatting, null, [], true);
+                return [this.renderParagraph(segments, state, { ...block, align })];
+            }
+            case 'hr':
+                return [this.renderParagraph([], state, {
+                    ...block,
+                    border: '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>'
+                })];
+            default:
+                return this.renderBlocks(node.children, state, { ...block, align });
+        }
+    }
+
+    renderList(node, state, block) {
+        const ordered = node.name === 'ol';
+        const level = block.listLevel === undefined ? 0 : Math.min(block.listLevel + 1, 8);
+        const start = parseInt(node.attribs.start) || 1;
+        const numId = this.createListNumbering(state, ordered, level, start);
+        const blocks = [];
+        let number = start;
+
+        for (const child of node.children) {
+            if (child.type === 'text' && !child.data.trim()) continue;
+
+            const items = child.type === 'tag' && child.name === 'li' ? child.children : [child];
+            const listItem = {
+                numId,
+                level,
+                used: false,
+                // Without a numbering part the marker is written as text
+                marker: ordered ? `${number++}. ` : `${BULLETS[level % BULLETS.length]} `
+            };
+
+            const itemBlocks = this.renderBlocks(items, state, { ...block, listLevel: level, listItem });
+            blocks.push(...(itemBlocks.length > 0 ? itemBlocks : [this.renderParagraph([], state, { ...block, listLevel: level, listItem })]));
+        }
+
+        return blocks;
+    }
+
+    renderTable(node, state, block) {
+        const rows = [];
+        const collectRows = (parent, header) => {
+            for (const child of parent.children) {
+                if (child.type !== 'tag') continue;
+                if (child.name === 'tr') rows.push({ node: child, header: header || child.children.every(cell => cell.type !== 'tag' || cell.name === 'th') });
+                else if (['thead', 'tbody', 'tfoot'].includes(child.name)) collectRows(child, child.name === 'thead');
+            }
+        };
+        collectRows(node, false);
+        if (rows.length === 0) return '';
+
+        const getCells = (row) => row.node.children.filter(cell => cell.type === 'tag' && ['td', 'th'].includes(cell.name));
+        const getSpan = (cell) => Math.max(1, parseInt(cell.attribs.colspan) || 1);
+        const columns = Math.max(1, ...rows.map(row => getCells(row).reduce((total, cell) => total + getSpan(cell), 0)));
+        const columnWidth = Math.floor(TABLE_WIDTH / columns);
+
+        const rowsXml = rows.map(row => {
+            const cellsXml = getCells(row).map(cell => {
+                const span = getSpan(cell);
+                const cellBlock = {
+                    formatting: cell.name === 'th' ? { ...block.formatting, bold: true } : block.formatting,
+                    indent: 0,
+                    align: this.getAlignment(cell)
+                };
+                const content = this.renderBlocks(cell.children, state, cellBlock);
+
+                // A cell must end with a paragraph
+                if (content.length === 0 || content[content.length - 1].startsWith('<w:tbl>')) {
+                    content.push('<w:p/>');
+                }
+
+                const gridSpan = span > 1 ? `<w:gridSpan w:val="${span}"/>` : '';
+                return `<w:tc><w:tcPr><w:tcW w:w="${columnWidth * span}" w:type="dxa"/>${gridSpan}</w:tcPr>${content.join('')}</w:tc>`;
+            });
+
+            const rowProperties = row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+            return `<w:tr>${rowProperties}${cellsXml.join('')}</w:tr>`;
+        });
+
+        const style = this.hasStyle(state, 'TableGrid') ? '<w:tblStyle w:val="TableGrid"/>' : '';
+        const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+        const borders = `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>`;
+        const grid = `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>`;
+
+        return `<w:tbl><w:tblPr>${style}<w:tblW w:w="0" w:type="auto"/>${borders}<w:tblLook w:val="04A0"/></w:tblPr>${grid}${rowsXml.join('')}</w:tbl>`;
+    }
+
+    renderParagraph(segments, state, block) {
+        const properties = {};
+        const listItem = block.listItem;
+        const indent = block.indent;
+
+        if (block.styleId) properties['w:pStyle'] = `<w:pStyle w:val="${block.styleId}"/>`;
+        if (block.border) properties['w:pBdr'] = block.border;
+        if (block.align) properties['w:jc'] = `<w:jc w:val="${block.align}"/>`;
+
+        if (listItem && !listItem.used && listItem.numId) {
+            // The first paragraph of an item carries the list marker, indented by the list level
+            listItem.used = true;
+            if (this.hasStyle(state, 'ListParagraph')) properties['w:pStyle'] = '<w:pStyle w:val="ListParagraph"/>';
+            properties['w:numPr'] = `<w:numPr><w:ilvl w:val="${listItem.level}"/><w:numId w:val="${listItem.numId}"/></w:numPr>`;
+            properties['w:ind'] = indent > 0
+                ? `<w:ind w:left="${indent + LIST_INDENT * (listItem.level + 1)}" w:hanging="360"/>`
+                : null;
+        } else if (listItem && !listItem.used) {
+            // Without a numbering part the marker is written as text
+            listItem.used = true;
+            segments = [{ type: 'text', text: listItem.marker, formatting: block.formatting, link: null, preformatted: true }, ...segments];
+            properties['w:ind'] = `<w:ind w:left="${indent + LIST_INDENT * listItem.level}"/>`;
+        } else if (listItem) {
+            // Further paragraphs of an item line up with its text
+            properties['w:ind'] = `<w:ind w:left="${indent + LIST_INDENT * (listItem.level + 1)}"/>`;
+        } else if (indent > 0) {
+            properties['w:ind'] = `<w:ind w:left="${indent}"/>`;
+        }
+
+        return `<w:p>${this.buildParagraphProperties(state, properties)}${this.renderSegments(segments, state)}</w:p>`;
+    }
+
+    buildParagraphProperties(state, properties) {
+        // Properties set here replace the host's, null removes them
+        const elements = state.paragraphProperties.filter(property => !(property.name in properties));
+        for (const [name, xml] of Object.entries(properties)) {
+            if (xml) elements.push({ name, xml });
+        }
+
+        const orderOf = (name) => {
+            const index = PARAGRAPH_PROPERTY_ORDER.indexOf(name);
+            return index === -1 ? PARAGRAPH_PROPERTY_ORDER.length : index;
+        };
+        elements.sort((a, b) => orderOf(a.name) - orderOf(b.name));
+
+        return elements.length > 0 ? `<w:pPr>${elements.map(element => element.xml).join('')}</w:pPr>` : '';
+    }
+
+    /**
+     * Flatten inline HTML into text segments with their formatting
+     * @param {Array<Object>} nodes - Parsed HTML nodes
+     * @param {Object} formatting - Inherited run formatting
+     * @param {string|null} link - Inherited link target
+     * @param {Array<Object>} segments - Collected segments, extended in place
+     * @param {boolean} [preformatted] - Keep white space as written (<pre>)
+     * @returns {Array<Object>} - { type: 'text' | 'break', text, formatting, link, preformatted }
+     */
+    collectInline(nodes, formatting, link, segments, preformatted = false) {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                segments.push({ type: 'text', text: node.data, formatting, link, preformatted });
+                continue;
+            }
+            if (node.type !== 'tag' || IGNORED_ELEMENTS.has(node.name)) continue;
+
+            if (node.name === 'br') {
+                segments.push({ type: 'break' });
+                continue;
+            }
+
+            const childFormatting = { ...formatting, ...INLINE_FORMATS[node.name], ...this.parseStyle(node.attribs.style) };
+            let childLink = link;
+
+            if (node.name === 'a' && node.attribs.href && this.hyperlinkRenderer.isSupported(node.attribs.href.trim())) {
+                childLink = node.attribs.href.trim();
+            }
+
+            this.collectInline(node.children, childFormatting, childLink, segments, preformatted || node.name === 'pre');
+        }
+
+        return segments;
+    }
+
+    // Formatting from the inline CSS editors put on spans
+    parseStyle(style) {
+        const formatting = {};
+        if (!style) return formatting;
+
+        for (const declaration of style.split(';')) {
+            const [property, ...rest] = declaration.split(':');
+            const value = rest.join(':').trim().toLowerCase();
+
+            switch ((property || '').trim().toLowerCase()) {
+                case 'font-weight':
+                    if (value === 'bold' || parseInt(value) >= 600) formatting.bold = true;
+                    break;
+                case 'font-style':
+                    if (value === 'italic') formatting.italic = true;
+                    break;
+                case 'text-decoration':
+                    if (value.includes('underline')) formatting.underline = true;
+                    if (value.includes('line-through')) formatting.strike = true;
+                    break;
+                case 'color': {
+                    const short = value.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+                    if (short) formatting.color = `${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+                    else if (/^#?[0-9a-f]{6}$|^[a-z]+$/.test(value)) formatting.color = value;
+                    break;
+                }
+            }
+        }
+
+        return formatting;
+    }
+
+    getAlignment(node) {
+        const style = ((node.attribs && node.attribs.style) || '').match(/text-align\s*:\s*(\w+)/i);
+        const align = (node.attribs && node.attribs.align) || (style && style[1]);
+        return align ? ALIGNMENTS[align.toLowerCase()] : undefined;
+    }
+
+    /**
+     * Turn text segments into runs, collapsing white space like a browser
+     * @param {Array<Object>} segments - Result of collectInline
+     * @param {Object} state - Conversion state
+     * @returns {string} - Runs, linked ones wrapped in <w:hyperlink>
+     */
+    renderSegments(segments, state) {
+        let afterSpace = true;
+        const normalized = [];
+
+        for (const segment of segments) {
+            if (segment.type === 'break') {
+                afterSpace = true;
+                normalized.push(segment);
+                continue;
+            }
+            if (segment.preformatted) {
+                afterSpace = false;
+                normalized.push(segment);
+                continue;
+            }
+
+            let text = segment.text.replace(/[ \t\n\r\f]+/g, ' ');
+            if (afterSpace && text.startsWith(' ')) text = text.substring(1);
+            if (!text) continue;
+
+            afterSpace = text.endsWith(' ');
+            normalized.push({ ...segment, text });
+        }
+
+        const last = normalized[normalized.length - 1];
+        if (last && last.type === 'text' && !last.preformatted) {
+            last.text = last.text.replace(/ $/, '');
+        }
+
+        let xml = '';
+        let index = 0;
+        while (index < normalized.length) {
+            const link = normalized[index].link;
+            let runs = '';
+
+            for (; index < normalized.length && normalized[index].link === link; index++) {
+                runs += this.renderRun(normalized[index], state);
+            }
+
+            xml += link ? this.hyperlinkRenderer.wrap(runs, link, state.context) : runs;
+        }
+
+        return xml;
+    }
+
+    renderRun(segment, state) {
+        if (segment.type === 'break') {
+            return `<w:r>${state.runProperties}<w:br/></w:r>`;
+        }
+
+        const properties = segment.link
+            ? this.hyperlinkRenderer.getRunProperties(state.runProperties, segment.formatting || {}, state.context)
+            : this.docxXmlFormatter.mergeRunProperties(state.runProperties, segment.formatting || {});
+        const text = segment.preformatted ? segment.text.replace(/\r\n?/g, '\n').replace(/^\n|\n$/g, '') : segment.text;
+        if (!text) return '';
+
+        return `<w:r>${properties}${this.docxXmlFormatter.renderSpecialText(text)}</w:r>`;
+    }
+
+    /**
+     * Add a list instance to the numbering part, so every HTML list starts counting anew
+     * @param {Object} state - Conversion state
+     * @param {boolean} ordered - Numbered (ol) or bulleted (ul)
+     * @param {number} level - List level the list starts at
+     * @param {number} start - First number
+     * @returns {number|null} - numId, or null outside a DOCX package
+     */
+    createListNumbering(state, ordered, level, start) {
+        const { docxPackage } = state.context;
+        if (!docxPackage) return null;
+
+        const maxId = (xml, regex) => Math.max(0, ...[...xml.matchAll(regex)].map(match => Number(match[1])));
+        let numbering = docxPackage.ensureNumbering();
+
+        // One abstract definition per list kind and document
+        const kind = ordered ? 'ordered' : 'bullet';
+        state.context.listDefinitions = state.context.listDefinitions || {};
+        let abstractNumId = state.context.listDefinitions[kind];
+
+        if (abstractNumId === undefined) {
+            abstractNumId = maxId(numbering, /<w:abstractNum\s[^>]*?w:abstractNumId="(\d+)"/g) + 1;
+            state.context.listDefinitions[kind] = abstractNumId;
+
+            // Abstract definitions must precede all list instances
+            const firstNum = numbering.search(/<w:num[\s>]/);
+            const insertAt = firstNum === -1 ? numbering.lastIndexOf('</w:numbering>') : firstNum;
+            numbering = numbering.substring(0, insertAt) + this.createAbstractNumbering(abstractNumId, ordered) + numbering.substring(insertAt);
+        }
+
+        const numId = maxId(numbering, /<w:num\s[^>]*?w:numId="(\d+)"/g) + 1;
+        const num = `<w:num w:numId="${numId}"><w:abstractNumId w:val="${abstractNumId}"/>` +
+            (ordered ? `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="${start}"/></w:lvlOverride>` : '') +
+            '</w:num>';
+
+        const cleanupIndex = numbering.indexOf('<w:numIdMacAtCleanup');
+        const insertAt = cleanupIndex === -1 ? numbering.lastIndexOf('</w:numbering>') : cleanupIndex;
+        docxPackage.write('word/numbering.xml', numbering.substring(0, insertAt) + num + numbering.substring(insertAt));
+
+        return numId;
+    }
+
+    createAbstractNumbering(abstractNumId, ordered) {
+        const levels = Array.from({ length: 9 }, (_, level) => {
+            const format = ordered ? ORDERED_FORMATS[level % ORDERED_FORMATS.length] : 'bullet';
+            const text = ordered ? `%${level + 1}.` : BULLETS[level % BULLETS.length];
+            const indent = LIST_INDENT * (level + 1);
+
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>` +
+                `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${indent}" w:hanging="360"/></w:pPr></w:lvl>`;
+        });
+
+        return `<w:abstractNum w:abstractNumId="${abstractNumId}"><w:multiLevelType w:val="hybridMultilevel"/>${levels.join('')}</w:abstractNum>`;
+    }
+
+    hasStyle(state, styleId) {
+        const { docxPackage } = state.context;
+        if (!docxPackage) return false;
+
+        if (state.context.styles === undefined) {
+            state.context.styles = docxPackage.readText('word/styles.xml') || '';
+        }
+        return state.context.styles.includes(`w:styleId="${styleId}"`);
+    }
+}
+
+module.exports = HtmlConverter;
@@ -0,0 +1,98 @@
+// src/core/HyperlinkRenderer.js
+const DocxPackage = require('./DocxPackage');
+const DocxXmlFormatter = require('./DocxXmlFormatter');
+
+const STYLES_PART = 'word/styles.xml';
+const HYPERLINK_STYLE_ID = 'Hyperlink';
+
+// Word's built-in definition, added to templates that never used a link
+const HYPERLINK_STYLE = `<w:style w:type="character" w:styleId="${HYPERLINK_STYLE_ID}">` +
+    '<w:name w:val="Hyperlink"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/>' +
+    '<w:rPr><w:color w:val="0563C1" w:themeColor="hyperlink"/><w:u w:val="single"/></w:rPr></w:style>';
+
+// Look of links outside a DOCX package, where the style cannot be added
+const LINK_FORMAT = { color: '0563C1', underline: true };
+
+const LINK_PROTOCOLS = /^(https?:|mailto:|tel:)/i;
+
+class HyperlinkRenderer {
+    constructor(options = {}) {
+        this.docxXmlFormatter = options.docxXmlFormatter || new DocxXmlFormatter();
+    }
+
+    /**
+     * Check whether a link target may be written to the document
+     * @param {string} target - URL, mailto:/tel: link or #bookmark
+     * @returns {boolean}
+     */
+    isSupported(target) {
+        return LINK_PROTOCOLS.test(target) || /^#\S/.test(target);
+    }
+
+    /**
+     * Build a linked run
+     * @param {string} text - Display text
+     * @param {string} target - Link target
+     * @param {string} baseRunProperties - <w:rPr> of the run the link replaces
+     * @param {Object} context - Render context { docxPackage, partName, relationships }
+     * @returns {string} - <w:hyperlink> with one run
+     */
+    render(text, target, baseRunProperties, context = {}) {
+        const run = `<w:r>${this.getRunProperties(baseRunProperties, {}, context)}` +
+            `${this.docxXmlFormatter.renderSpecialText(text)}</w:r>`;
+        return this.wrap(run, target, context);
+    }
+
+    // Run properties of link text: the Hyperlink style on top of the inherited formatting
+    getRunProperties(baseRunProperties, formatting, context = {}) {
+        const linkFormatting = this.ensureStyle(context) ? { style: HYPERLINK_STYLE_ID } : LINK_FORMAT;
+        return this.docxXmlFormatter.mergeRunProperties(baseRunProperties, { ...formatting, ...linkFormatting });
+    }
+
+    /**
+     * Wrap runs in a hyperlink, adding the external relationship of the rendered part
+     * @param {string} runs - Run XML
+     * @param {string} target - Link target, #name links to a bookmark
+     * @param {Object} context - Render context
+     * @returns {string} - <w:hyperlink>, or the runs alone outside a DOCX package
+     */
+    wrap(runs, target, context = {}) {
+        if (target.startsWith('#')) {
+            return `<w:hyperlink w:anchor="${this.docxXmlFormatter.escapeXml(target.substring(1))}" w:history="1">${runs}</w:hyperlink>`;
+        }
+
+        const { docxPackage, partName } = context;
+        if (!docxPackage || !partName) return runs;
+
+        // One relationship per part and target
+        const key = `${partName}\nlink:${target}`;
+        if (!context.relationships.has(key)) {
+            context.relationships.set(key, docxPackage.addRelationship(partName, DocxPackage.RELATIONSHIP_TYPES.hyperlink, target, 'External'));
+        }
+
+        return `<w:hyperlink r:id="${context.relationships.get(key)}" w:history="1">${runs}</w:hyperlink>`;
+    }
+
+    // Adds the Hyperlink character style to the document when it has none
+    ensureStyle(context) {
+        const { docxPackage } = context;
+        if (!docxPackage) return false;
+
+        if (context.hyperlinkStyle === undefined) {
+            const styles = docxPackage.readText(STYLES_PART);
+
+            if (!styles) {
+                context.hyperlinkStyle = false;
+            } else {
+                if (!styles.includes(`w:styleId="${HYPERLINK_STYLE_ID}"`)) {
+                    docxPackage.write(STYLES_PART, styles.replace('</w:styles>', `${HYPERLINK_STYLE}</w:styles>`));
+                }
+                context.hyperlinkStyle = true;
+            }
+        }
+
+        return context.hyperlinkStyle;
+    }
+}
+
+module.exports = HyperlinkRenderer;
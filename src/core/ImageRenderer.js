@@ -0,0 +1,380 @@
+// src/core/ImageRenderer.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DocxPackage = require('./DocxPackage');
+
+// EMU (English Metric Units) per length unit, DrawingML sizes are in EMU
+const EMU_PER_UNIT = {
+    cm: 360000,
+    mm: 36000,
+    in: 914400,
+    pt: 12700,
+    px: 9525
+};
+
+const IMAGE_FORMATS = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml'
+};
+
+// Size options of an image tag, e.g. ${%image logo|width:3cm|maxHeight:2cm}
+const SIZE_OPTIONS = ['width', 'height', 'maxWidth', 'maxHeight'];
+
+// Images without a requested size are scaled down to the text width of an A4 page
+const DEFAULT_MAX_WIDTH = 16 * EMU_PER_UNIT.cm;
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Transparent 1×1 PNG shown by Word versions that cannot render SVG
+const SVG_FALLBACK_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR4nGNgAAIAAAUAAXpeqz8AAAAASUVORK5CYII=',
+    'base64'
+);
+
+const NAMESPACES = {
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    asvg: 'http://schemas.microsoft.com/office/drawing/2016/SVG/main'
+};
+
+class ImageRenderer {
+    /**
+     * @param {Object} options - { imageRoot } directory local image paths are resolved in,
+     *   local files are refused when it is not set
+     */
+    constructor(options = {}) {
+        this.imageRoot = options.imageRoot ? path.resolve(options.imageRoot) : null;
+    }
+
+    /**
+     * Read an image from a data value
+     * @param {Buffer|string|Object} source - Buffer, data URI, base64 text, local path,
+     *   or { data | base64 | src | path, width, height, description }
+     * @returns {Object} - { buffer, format, width, height (pixels), size, description }
+     */
+    load(source) {
+        let settings = {};
+        let input = source;
+
+        if (source && typeof source === 'object' && !Buffer.isBuffer(source)) {
+            settings = source;
+            input = source.data ?? source.base64 ?? source.src ?? source.path;
+        }
+
+        const buffer = this.readSource(input);
+        if (buffer.length > MAX_IMAGE_BYTES) {
+            throw new Error(`Image is too large (${buffer.length} bytes), the limit is ${MAX_IMAGE_BYTES} bytes`);
+        }
+
+        const format = this.detectFormat(buffer);
+        if (!format) {
+            throw new Error('Unsupported image format, use PNG, JPEG, GIF or SVG');
+        }
+
+        const { width, height } = this.getPixelSize(buffer, format);
+
+        return {
+            buffer,
+            format,
+            width,
+            height,
+            size: this.pickSizeOptions(settings),
+            description: settings.description || settings.alt || ''
+        };
+    }
+
+    readSource(input) {
+        if (Buffer.isBuffer(input)) return input;
+        if (typeof input !== 'string' || !input.trim()) {
+            throw new Error('Image value must be a data URI, base64 text or a file path');
+        }
+
+        const text = input.trim();
+
+        const dataUri = text.match(/^data:([^;,]*)((?:;[^;,]*)*?),([\s\S]*)$/);
+        if (dataUri) {
+            return /;base64$/i.test(dataUri[2])
+                ? Buffer.from(dataUri[3], 'base64')
+                : Buffer.from(decodeURIComponent(dataUri[3]), 'utf8');
+        }
+
+        if (/^https?:\/\//i.test(text)) {
+            throw new Error('Remote images are not supported, pass the image as base64 or a data URI');
+        }
+
+        // Long text of base64 characters only is image data, file names have a dot
+        if (text.length > 64 && /^[A-Za-z0-9+/=\s]+$/.test(text)) {
+            return Buffer.from(text, 'base64');
+        }
+
+        return this.readLocalFile(text);
+    }
+
+    readLocalFile(filePath) {
+        if (!this.imageRoot) {
+            throw new Error('Local image files are disabled, set IMAGE_ROOT to the directory they are read from');
+        }
+
+        const resolved = path.resolve(this.imageRoot, filePath);
+        if (resolved !== this.imageRoot && !resolved.startsWith(this.imageRoot + path.sep)) {
+            throw new Error(`Image path "${filePath}" is outside the image directory`);
+        }
+
+        try {
+            return fs.readFileSync(resolved);
+        } catch (error) {
+            throw new Error(`Image file "${filePath}" cannot be read: ${error.code || error.message}`);
+        }
+    }
+
+    detectFormat(buffer) {
+        if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) return 'png';
+        if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpg';
+        if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) return 'gif';
+
+        const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, '').trim();
+        if (/^(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'svg';
+
+        return null;
+    }
+
+    /**
+     * Read the pixel dimensions from the image header
+     * @param {Buffer} buffer - Image data
+     * @param {string} format - png, jpg, gif or svg
+     * @returns {{width: number, height: number}}
+     */
+    getPixelSize(buffer, format) {
+        let size = null;
+
+        if (format === 'png' && buffer.length >= 24) {
+            size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        } else if (format === 'gif' && buffer.length >= 10) {
+            size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        } else if (format === 'jpg') {
+            size = this.getJpegSize(buffer);
+        } else if (format === 'svg') {
+            size = this.getSvgSize(buffer.toString('utf8'));
+        }
+
+        if (!size || !(size.width > 0) || !(size.height > 0)) {
+            throw new Error(`Cannot read the size of the ${format.toUpperCase()} image`);
+        }
+        return size;
+    }
+
+    getJpegSize(buffer) {
+        let offset = 2;
+
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = buffer[offset + 1];
+            // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+            }
+
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+
+        return null;
+    }
+
+    getSvgSize(svg) {
+        const root = (svg.match(/<svg[\s\S]*?>/i) || [''])[0];
+        const attribute = (name) => (root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`)) || [])[1];
+        const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+
+        let width = this.svgLengthToPixels(attribute('width'));
+        let height = this.svgLengthToPixels(attribute('height'));
+
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            if (!width && !height) {
+                width = viewBox[2];
+                height = viewBox[3];
+            } else if (!height) {
+                height = width * viewBox[3] / viewBox[2];
+            } else if (!width) {
+                width = height * viewBox[2] / viewBox[3];
+            }
+        }
+
+        return { width: width || 300, height: height || 150 };
+    }
+
+    // Percentages and unknown units leave the size to the viewBox
+    svgLengthToPixels(value) {
+        const match = String(value || '').trim().match(/^([\d.]+)(px|pt|cm|mm|in)?$/);
+        if (!match) return null;
+        return Number(match[1]) * EMU_PER_UNIT[match[2] || 'px'] / EMU_PER_UNIT.px;
+    }
+
+    /**
+     * Convert a length such as "3cm", "25mm", "1.5in", "72pt" or "200px" to EMU
+     * @param {string|number} value - Length, plain numbers are pixels
+     * @returns {number} - Length in EMU
+     */
+    parseLength(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(cm|mm|in|pt|px)?$/i);
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid image size "${value}", use e.g. 3cm, 25mm, 1in, 72pt or 200px`);
+        }
+        return Math.round(Number(match[1]) * EMU_PER_UNIT[(match[2] || 'px').toLowerCase()]);
+    }
+
+    /**
+     * Read the size options of an image tag
+     * @param {Array<string>} formatters - e.g. ['width:3cm', 'maxHeight:2cm']
+     * @returns {Object} - { width, height, maxWidth, maxHeight } as written
+     */
+    parseSizeOptions(formatters) {
+        const options = {};
+
+        for (const formatter of formatters) {
+            const [name, ...args] = formatter.split(':').map(part => part.trim());
+            if (!SIZE_OPTIONS.includes(name)) {
+                throw new Error(`Unknown image option "${name}", use ${SIZE_OPTIONS.join(', ')}`);
+            }
+            options[name] = args.join(':');
+        }
+
+        return options;
+    }
+
+    pickSizeOptions(settings) {
+        const size = {};
+        SIZE_OPTIONS.forEach(name => {
+            if (settings[name] !== undefined && settings[name] !== null && settings[name] !== '') {
+                size[name] = settings[name];
+            }
+        });
+        return size;
+    }
+
+    /**
+     * Work out the displayed size, keeping the aspect ratio unless both sides are given
+     * @param {Object} image - Loaded image
+     * @param {Object} sizeOptions - { width, height, maxWidth, maxHeight }
+     * @returns {{cx: number, cy: number}} - Size in EMU
+     */
+    getDisplaySize(image, sizeOptions = {}) {
+        // Sizes given with the data replace the tag's own
+        const options = Object.keys(image.size).length > 0 ? image.size : sizeOptions;
+        const ratio = image.height / image.width;
+        let cx;
+        let cy;
+
+        if (options.width && options.height) {
+            cx = this.parseLength(options.width);
+            cy = this.parseLength(options.height);
+        } else if (options.width) {
+            cx = this.parseLength(options.width);
+            cy = cx * ratio;
+        } else if (options.height) {
+            cy = this.parseLength(options.height);
+            cx = cy / ratio;
+        } else {
+            cx = image.width * EMU_PER_UNIT.px;
+            cy = image.height * EMU_PER_UNIT.px;
+        }
+
+        const maxWidth = options.maxWidth
+            ? this.parseLength(options.maxWidth)
+            : (options.width ? null : DEFAULT_MAX_WIDTH);
+        const maxHeight = options.maxHeight ? this.parseLength(options.maxHeight) : null;
+
+        const scale = Math.min(1, maxWidth ? maxWidth / cx : 1, maxHeight ? maxHeight / cy : 1);
+        return { cx: Math.round(cx * scale), cy: Math.round(cy * scale) };
+    }
+
+    /**
+     * Build the run holding an inline picture, adding its media part and relationship
+     * @param {Object} image - Loaded image
+     * @param {Object} sizeOptions - Size options of the tag
+     * @param {Object} context - Render context { docxPackage, partName, media, relationships, nextDrawingId }
+     * @returns {string} - <w:r> with a <w:drawing>
+     */
+    render(image, sizeOptions, context) {
+        if (!context || !context.docxPackage) {
+            throw new Error('Images can only be rendered into a DOCX package');
+        }
+
+        const { cx, cy } = this.getDisplaySize(image, sizeOptions);
+        const id = context.nextDrawingId++;
+        const name = `Picture ${id}`;
+
+        let blip;
+        if (image.format === 'svg') {
+            // Word shows the SVG and falls back to the PNG, LibreOffice reads the SVG as well
+            const fallbackId = this.embed(context, SVG_FALLBACK_PNG, 'png');
+            const svgId = this.embed(context, image.buffer, 'svg');
+            blip = `<a:blip r:embed="${fallbackId}" xmlns:r="${NAMESPACES.r}"><a:extLst>` +
+                `<a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip xmlns:asvg="${NAMESPACES.asvg}" r:embed="${svgId}"/></a:ext>` +
+                '</a:extLst></a:blip>';
+        } else {
+            blip = `<a:blip r:embed="${this.embed(context, image.buffer, image.format)}" xmlns:r="${NAMESPACES.r}"/>`;
+        }
+
+        return '<w:r><w:drawing>' +
+            `<wp:inline distT="0" distB="0" distL="0" distR="0" xmlns:wp="${NAMESPACES.wp}">` +
+            `<wp:extent cx="${cx}" cy="${cy}"/>` +
+            '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+            `<wp:docPr id="${id}" name="${name}" descr="${this.escapeAttribute(image.description)}"/>` +
+            `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${NAMESPACES.a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+            `<a:graphic xmlns:a="${NAMESPACES.a}"><a:graphicData uri="${NAMESPACES.pic}">` +
+            `<pic:pic xmlns:pic="${NAMESPACES.pic}">` +
+            `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill>${blip}<a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    }
+
+    /**
+     * Store image data as a media part once per document and link it from the rendered part
+     * @param {Object} context - Render context
+     * @param {Buffer} buffer - Image data
+     * @param {string} format - png, jpg, gif or svg
+     * @returns {string} - Relationship id from context.partName to the media part
+     */
+    embed(context, buffer, format) {
+        const { docxPackage, partName } = context;
+        const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+        let mediaPartName = context.media.get(hash);
+        if (!mediaPartName) {
+            mediaPartName = docxPackage.getUniquePartName(`word/media/image1.${format}`);
+            docxPackage.write(mediaPartName, buffer);
+            docxPackage.registerContentType(mediaPartName, IMAGE_FORMATS[format]);
+            context.media.set(hash, mediaPartName);
+        }
+
+        const relationshipKey = `${partName}\n${mediaPartName}`;
+        if (!context.relationships.has(relationshipKey)) {
+            context.relationships.set(relationshipKey, docxPackage.addRelationship(
+                partName,
+                DocxPackage.RELATIONSHIP_TYPES.image,
+                docxPackage.relativeTarget(partName, mediaPartName)
+            ));
+        }
+
+        return context.relationships.get(relationshipKey);
+    }
+
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = ImageRenderer;
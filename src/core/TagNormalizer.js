@@ -0,0 +1,153 @@
+// src/core/TagNormalizer.js
+
+class TagNormalizer {
+    /**
+     * Join ${...} tags that Word split over several runs, touching only those runs
+     * @param {string} xml - WordprocessingML part
+     * @returns {string} - XML where every tag sits inside a single <w:t>
+     */
+    normalize(xml) {
+        const edits = [];
+
+        for (const nodes of this.collectParagraphTextNodes(xml)) {
+            if (nodes.length < 2) continue;
+
+            const texts = this.redistributeTagText(nodes);
+            if (!texts) continue;
+
+            nodes.forEach((node, index) => {
+                if (texts[index] === node.text) return;
+                edits.push(this.createTextEdit(xml, node, texts[index]));
+            });
+        }
+
+        if (edits.length === 0) return xml;
+
+        console.log(`🔗 Rejoined split tags (${edits.length} text nodes updated)`);
+
+        // Apply from the end so earlier offsets stay valid
+        let result = xml;
+        edits.sort((a, b) => b.start - a.start);
+        for (const edit of edits) {
+            result = result.substring(0, edit.start) + edit.replacement + result.substring(edit.end);
+        }
+
+        return result;
+    }
+
+    /**
+     * Collect the <w:t> nodes of each paragraph
+     * @param {string} xml - WordprocessingML part
+     * @returns {Array<Array<Object>>} - Text nodes ({ start, end, openTag, text }) per paragraph
+     */
+    collectParagraphTextNodes(xml) {
+        const tokenRegex = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<\/?w:p[\s>\/]/g;
+        const paragraphs = [];
+        let current = [];
+        let match;
+
+        while ((match = tokenRegex.exec(xml)) !== null) {
+            if (match[1] === undefined) {
+                // Paragraph boundary (including paragraphs nested in text boxes)
+                if (current.length > 0) paragraphs.push(current);
+                current = [];
+                continue;
+            }
+
+            const openTag = match[0].substring(0, match[0].indexOf('>') + 1);
+            current.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                openTag,
+                text: match[1]
+            });
+        }
+
+        if (current.length > 0) paragraphs.push(current);
+        return paragraphs;
+    }
+
+    /**
+     * Move every character of a tag into the text node where the tag starts
+     * @param {Array<Object>} nodes - Text nodes of one paragraph
+     * @returns {Array<string>|null} - New text per node, or null when no tag spans nodes
+     */
+    redistributeTagText(nodes) {
+        const fullText = nodes.map(node => node.text).join('');
+        if (!fullText.includes('${')) return null;
+
+        // Owner node of every character in the paragraph text
+        const owners = [];
+        nodes.forEach((node, index) => {
+            for (let i = 0; i < node.text.length; i++) owners.push(index);
+        });
+
+        let spansNodes = false;
+        let position = fullText.indexOf('${');
+
+        while (position !== -1) {
+            const end = fullText.indexOf('}', position);
+            if (end === -1) break;
+
+            const owner = owners[position];
+            for (let i = position; i <= end; i++) {
+                if (owners[i] !== owner) {
+                    owners[i] = owner;
+                    spansNodes = true;
+                }
+            }
+
+            position = fullText.indexOf('${', end + 1);
+        }
+
+        if (!spansNodes) return null;
+
+        const texts = nodes.map(() => '');
+        for (let i = 0; i < fullText.length; i++) {
+            texts[owners[i]] += fullText[i];
+        }
+
+        return texts;
+    }
+
+    createTextEdit(xml, node, text) {
+        if (text.length > 0) {
+            return {
+                start: node.start,
+                end: node.end,
+                replacement: `<w:t xml:space="preserve">${text}</w:t>`
+            };
+        }
+
+        // A run that only held part of a tag disappears entirely
+        const run = this.findEnclosingRun(xml, node);
+        if (run) {
+            const runContent = xml.substring(run.contentStart, run.end - '</w:r>'.length);
+            const withoutProperties = runContent.replace(/^<w:rPr\/>|^<w:rPr>[\s\S]*?<\/w:rPr>/, '');
+            if (withoutProperties === xml.substring(node.start, node.end)) {
+                return { start: run.start, end: run.end, replacement: '' };
+            }
+        }
+
+        return { start: node.start, end: node.end, replacement: `${node.openTag}</w:t>` };
+    }
+
+    findEnclosingRun(xml, node) {
+        let start = xml.lastIndexOf('<w:r', node.start);
+        while (start !== -1 && !/[\s>]/.test(xml[start + 4])) {
+            start = xml.lastIndexOf('<w:r', start - 1);
+        }
+        if (start === -1) return null;
+
+        const end = xml.indexOf('</w:r>', node.end);
+        if (end === -1) return null;
+
+        return {
+            start,
+            contentStart: xml.indexOf('>', start) + 1,
+            end: end + '</w:r>'.length
+        };
+    }
+}
+
+module.exports = TagNormalizer;
@@ -0,0 +1,434 @@
+// src/core/TemplateCompiler.js
+const WordXmlScanner = require('./WordXmlScanner');
+
+// ${#each}, ${#eachColumn}, ${#group}, ${#if}, ${#unless}, ${#elseif} / ${#else if}, ${#else}, ${#switch}, ${#case},
+// ${#default}, their closing tags, ${#set}, ${#let} and ${#include}
+const CONTROL_TAG_REGEX = /^\s*(#each|#eachColumn|#group|#if|#unless|#elseif|#else\s+if|#else|#switch|#case|#default|\/each|\/eachColumn|\/group|\/if|\/unless|\/switch|#set|#let|#include)(?=\s|$)\s*([\s\S]*?)\s*$/;
+
+// ${#set monthlyInterest = loan.principalAmount * loan.interestRate / 12}
+const DEFINITION_REGEX = /^([A-Za-z_$][\w$]*)\s*=(?!=)\s*([\s\S]+)$/;
+
+// Loop variables a definition must not hide
+const RESERVED_NAMES = ['this', 'parent', '_parentContext', 'index', 'first', 'last', 'count', 'group'];
+
+// ${#include "signature-block@2" with borrower}, the version and the data are optional
+const INCLUDE_ARGUMENT_REGEX = /^(?:"([^"]+)"|“([^”]+)”|'([^']+)')(?:\s+with\s+([\s\S]+))?$/;
+const INCLUDE_REFERENCE_REGEX = /^(.+?)(?:@(\d+))?$/;
+
+// ${#group loans by branch}
+const GROUP_ARGUMENT_REGEX = /^([\s\S]+?)\s+by\s+([\s\S]+)$/;
+
+// Modifiers after a loop's collection: ${#each deals where this.amount > 1000 sortBy amount desc limit 5}
+const LOOP_MODIFIER_REGEX = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\b(where|sortBy|offset|limit)\b/g;
+
+// ${#each 1..n}
+const RANGE_REGEX = /^([^.\s]\S*?)\s*\.\.\s*(\S+)$/;
+
+// ${%image expr|width:3cm}, the "image" keyword is optional: ${%logo}
+const IMAGE_TAG_REGEX = /^\s*%(?:image(?=\s))?\s*/;
+
+// ${%chart sales type:column x:month y:amount}
+const CHART_TAG_REGEX = /^\s*%chart\s+/;
+
+// Opening quote → closing quote, curly ones included as in ExpressionParser
+const QUOTE_PAIRS = {
+    '"': '"',
+    "'": "'",
+    '“': '”',
+    '‘': '’'
+};
+
+// Closing tag → block it closes
+const CLOSING_TAGS = {
+    '/each': 'each',
+    '/eachColumn': 'eachColumn',
+    '/group': 'group',
+    '/switch': 'switch',
+    '/if': 'if',
+    '/unless': 'unless'
+};
+
+class TemplateCompiler {
+    constructor(options = {}) {
+        this.expressionEvaluator = options.expressionEvaluator;
+        this.wordXmlScanner = options.wordXmlScanner || new WordXmlScanner();
+    }
+
+    /**
+     * Turn prepared part XML into a render tree
+     * @param {string} xml - Cleaned WordprocessingML with block tags already lifted
+     * @param {Array<Object>} [issues] - Collects block structure errors as { tag, message }
+     * @returns {Array<Object>} - Nodes: text, variable, image, chart, each, condition, switch, set and include;
+     *   blocks keep the { start, end } of their tags in the XML
+     */
+    compile(xml, issues = []) {
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const tagRegex = /\$\{([^}]+)\}/g;
+        let cursor = 0;
+        let match;
+
+        // Misplaced tags stay in the output as text
+        const reject = (tag, message) => {
+            console.warn(`${message}, keeping it as text`);
+            issues.push({ tag, message });
+            this.appendText(children(), tag);
+        };
+
+        const current = () => stack[stack.length - 1];
+        const children = () => {
+            const node = current();
+            if (node.type === 'condition') return node.branches[node.branches.length - 1].children;
+            // Content before the first ${#case} is not rendered
+            if (node.type === 'switch') return node.cases.length > 0 ? node.cases[node.cases.length - 1].children : node.leading;
+            return node.elseChildren || node.children;
+        };
+
+        while ((match = tagRegex.exec(xml)) !== null) {
+            this.appendText(children(), xml.substring(cursor, match.index));
+            cursor = match.index + match[0].length;
+
+            const [tag, content] = match;
+            const control = content.match(CONTROL_TAG_REGEX);
+
+            if (!control) {
+                if (CHART_TAG_REGEX.test(content)) {
+                    children().push(this.createChartNode(xml, tag, content, match.index));
+                } else {
+                    children().push(IMAGE_TAG_REGEX.test(content)
+                        ? this.createImageNode(xml, tag, content, match.index)
+                        : this.createVariableNode(xml, tag, content, match.index));
+                }
+                continue;
+            }
+
+            const keyword = control[1].replace(/\s+/, ' ');
+            const argument = control[2];
+
+            if (keyword === '#include') {
+                const include = this.createIncludeNode(xml, tag, argument, match.index);
+                if (include) {
+                    children().push(include);
+                } else {
+                    this.appendText(children(), tag);
+                }
+            } else if (keyword === '#set' || keyword === '#let') {
+                const definition = this.createDefinitionNode(tag, keyword, argument, stack.length > 1);
+                if (definition) {
+                    children().push(definition);
+                } else {
+                    this.appendText(children(), tag);
+                }
+            } else if (keyword === '#each') {
+                stack.push({ type: 'each', tag, start: match.index, ...this.parseLoopArgument(argument), children: [] });
+            } else if (keyword === '#eachColumn') {
+                // Rendered parts have their column loops expanded into row cells already, templates being validated do not
+                stack.push({ type: 'each', block: 'eachColumn', tag, start: match.index, ...this.parseLoopArgument(argument), children: [] });
+            } else if (keyword === '#group') {
+                // Modifiers select the items before they are grouped
+                const loop = this.parseLoopArgument(argument);
+                const group = loop.expression.match(GROUP_ARGUMENT_REGEX);
+                if (!group) {
+                    reject(tag, `${tag} does not say what to group by, e.g. \${#group loans by branch}`);
+                    continue;
+                }
+                // A loop over the groups, each one with its key and items
+                stack.push({ type: 'each', block: 'group', tag, start: match.index, ...loop, expression: group[1], groupBy: group[2], children: [] });
+            } else if (keyword === '#if' || keyword === '#unless') {
+                const type = keyword.substring(1);
+                stack.push({ type: 'condition', block: type, tag, start: match.index, branches: [{ type, tag, condition: argument, children: [] }] });
+            } else if (keyword === '#switch') {
+                stack.push({ type: 'switch', tag, start: match.index, expression: argument, leading: [], cases: [] });
+            } else if (keyword === '#case' || keyword === '#default') {
+                const node = current();
+                const hasDefault = node.type === 'switch' && node.cases.some(branch => branch.type === 'default');
+
+                if (node.type !== 'switch') {
+                    reject(tag, `${tag} is not inside a \${#switch} block`);
+                    continue;
+                }
+                if (hasDefault) {
+                    reject(tag, keyword === '#default'
+                        ? `${node.tag} has more than one \${#default}`
+                        : `${tag} comes after \${#default} and is never used`);
+                    continue;
+                }
+                if (keyword === '#case' && !argument) {
+                    reject(tag, `${tag} has no value`);
+                    continue;
+                }
+                node.cases.push(keyword === '#case'
+                    ? { type: 'case', tag, values: this.splitArguments(argument), children: [] }
+                    : { type: 'default', tag, children: [] });
+            } else if (keyword === '#else' || keyword === '#elseif' || keyword === '#else if') {
+                const branchType = keyword === '#else' ? 'else' : 'elseif';
+                const node = current();
+
+                // ${#else} of a loop renders when there is nothing to repeat
+                if (node.type === 'each' && branchType === 'else' && !node.elseChildren) {
+                    node.elseTag = tag;
+                    node.elseChildren = [];
+                    continue;
+                }
+
+                const lastBranch = node.type === 'condition' ? node.branches[node.branches.length - 1] : null;
+
+                if (!lastBranch) {
+                    reject(tag, `${tag} is not inside an \${#if} or \${#unless} block`);
+                    continue;
+                }
+                if (lastBranch.type === 'else') {
+                    reject(tag, `${tag} comes after the \${#else} of ${node.tag}`);
+                    continue;
+                }
+                if (node.block === 'unless' && branchType === 'elseif') {
+                    reject(tag, `${node.tag} cannot have ${tag}, only \${#else}`);
+                    continue;
+                }
+                node.branches.push({ type: branchType, tag, condition: branchType === 'else' ? null : argument, children: [] });
+            } else {
+                const node = current();
+                const blockName = node.block || node.type;
+
+                if (blockName !== CLOSING_TAGS[keyword]) {
+                    reject(tag, node.type === 'root'
+                        ? `Closing tag ${tag} has no matching opening tag`
+                        : `Closing tag ${tag} does not match ${node.tag}`);
+                    continue;
+                }
+
+                stack.pop();
+                node.end = match.index + tag.length;
+                if (node.type === 'each') this.trimLoopContent(node.children);
+                if (node.type === 'switch' && node.leading.some(child => child.type !== 'text' || /<w:t(?:\s[^>]*)?>[^<]*\S/.test(child.xml))) {
+                    console.warn(`Content between ${node.tag} and its first \${#case} is not rendered`);
+                }
+                children().push(node);
+            }
+        }
+
+        this.appendText(children(), xml.substring(cursor));
+
+        // Blocks that were never closed stay in the output as written
+        while (stack.length > 1) {
+            const node = stack.pop();
+            const message = `No matching closing tag found for ${node.tag}`;
+            console.warn(message);
+            issues.push({ tag: node.tag, message });
+            this.flattenNode(node).forEach(child => {
+                if (child.type === 'text') this.appendText(children(), child.xml);
+                else children().push(child);
+            });
+        }
+
+        return root.children;
+    }
+
+    createVariableNode(xml, tag, content, offset) {
+        const { expression, formatters } = this.expressionEvaluator.parseTag(content);
+        const openElements = this.wordXmlScanner.getOpenElements(xml, offset);
+        const runElements = this.wordXmlScanner.getRunElements(openElements);
+
+        return {
+            type: 'variable',
+            tag,
+            content,
+            expression,
+            formatters,
+            // Run that holds the tag, needed to split it around styled values
+            runElements,
+            // Paragraph down to the tag, split around block values (html, markdown)
+            paragraphElements: runElements ? openElements : null
+        };
+    }
+
+    createImageNode(xml, tag, content, offset) {
+        const { expression, formatters } = this.expressionEvaluator.parseTag(content.replace(IMAGE_TAG_REGEX, ''));
+
+        return {
+            type: 'image',
+            tag,
+            content,
+            expression,
+            // Size options such as width:3cm
+            formatters,
+            // The picture gets a run of its own, splitting the one that holds the tag
+            runElements: this.wordXmlScanner.getRunElements(this.wordXmlScanner.getOpenElements(xml, offset))
+        };
+    }
+
+    createChartNode(xml, tag, content, offset) {
+        return {
+            type: 'chart',
+            tag,
+            content,
+            // Data array and chart options, read when the chart is rendered
+            definition: content.replace(CHART_TAG_REGEX, ''),
+            runElements: this.wordXmlScanner.getRunElements(this.wordXmlScanner.getOpenElements(xml, offset))
+        };
+    }
+
+    /**
+     * Build the node of a ${#include} tag
+     * @param {string} xml - Part XML
+     * @param {string} tag - Whole tag
+     * @param {string} argument - e.g. "signature-block@2" with borrower
+     * @param {number} offset - Position of the tag
+     * @returns {Object|null} - { type: 'include', reference, name, version, expression }, null for a malformed tag
+     */
+    createIncludeNode(xml, tag, argument, offset) {
+        const include = argument.match(INCLUDE_ARGUMENT_REGEX);
+        if (!include) {
+            console.warn(`${tag} should look like #include "template-name" with data, keeping it as text`);
+            return null;
+        }
+
+        const reference = (include[1] || include[2] || include[3]).trim();
+        const [, name, version] = reference.match(INCLUDE_REFERENCE_REGEX);
+        const openElements = this.wordXmlScanner.getOpenElements(xml, offset);
+        const runElements = this.wordXmlScanner.getRunElements(openElements);
+
+        return {
+            type: 'include',
+            tag,
+            content: tag.slice(2, -1),
+            reference,
+            name: name.trim(),
+            version: version ? Number(version) : null,
+            // Data the included template is rendered with, the current data without "with"
+            expression: include[4] ? include[4].trim() : null,
+            // The included body replaces the tag's paragraph, like block values do
+            paragraphElements: runElements ? openElements : null
+        };
+    }
+
+    /**
+     * Build the node of a ${#set} or ${#let} tag
+     * @param {string} tag - Whole tag
+     * @param {string} keyword - "#set" or "#let"
+     * @param {string} argument - e.g. "monthlyInterest = loan.principalAmount * loan.interestRate / 12"
+     * @param {boolean} nested - Whether the tag is inside a block
+     * @returns {Object|null} - { type: 'set', scope, name, expression, formatters }, null for a malformed tag
+     */
+    createDefinitionNode(tag, keyword, argument, nested) {
+        const definition = argument.match(DEFINITION_REGEX);
+        if (!definition) {
+            console.warn(`${tag} should look like ${keyword} name = expression, keeping it as text`);
+            return null;
+        }
+
+        const [, name, value] = definition;
+        if (RESERVED_NAMES.includes(name)) {
+            console.warn(`${tag} would hide the loop variable "${name}", keeping it as text`);
+            return null;
+        }
+
+        let scope = keyword === '#let' ? 'document' : 'block';
+        if (scope === 'document' && nested) {
+            console.warn(`${tag} is inside a block, ${keyword} belongs at the top of the template, treating it as #set`);
+            scope = 'block';
+        }
+
+        const { expression, formatters } = this.expressionEvaluator.parseTag(value);
+        return { type: 'set', scope, tag, name, expression, formatters };
+    }
+
+    /**
+     * Read the collection of a loop tag and its modifiers
+     * @param {string} argument - e.g. "deals where this.amount > 1000 sortBy amount desc limit 5" or "1..n"
+     * @returns {Object} - { expression, range, where, sortBy: [{ expression, descending }], offset, limit }
+     */
+    parseLoopArgument(argument) {
+        const keywords = [...argument.matchAll(LOOP_MODIFIER_REGEX)].filter(match => match[1]);
+        const loop = { expression: (keywords.length > 0 ? argument.substring(0, keywords[0].index) : argument).trim() };
+
+        keywords.forEach((keyword, index) => {
+            const end = index + 1 < keywords.length ? keywords[index + 1].index : argument.length;
+            const value = argument.substring(keyword.index + keyword[0].length, end).trim();
+
+            if (loop[keyword[1]] !== undefined) {
+                console.warn(`Loop modifier "${keyword[1]}" is used twice in "${argument}", keeping the first one`);
+            } else if (keyword[1] === 'sortBy') {
+                loop.sortBy = this.splitArguments(value).map(field => {
+                    const [, expression, direction] = field.match(/^([\s\S]*?)(?:\s+(asc|desc))?$/i);
+                    return { expression, descending: /^desc$/i.test(direction || '') };
+                });
+            } else {
+                loop[keyword[1]] = value;
+            }
+        });
+
+        const range = loop.expression.match(RANGE_REGEX);
+        if (range) loop.range = { from: range[1], to: range[2] };
+
+        return loop;
+    }
+
+    // Split at commas outside brackets and strings
+    splitArguments(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (quote) {
+                if (char === '\\') index++;
+                else if (char === quote) quote = null;
+            } else if (QUOTE_PAIRS[char]) {
+                quote = QUOTE_PAIRS[char];
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                parts.push(text.substring(start, index).trim());
+                start = index + 1;
+            }
+        }
+
+        parts.push(text.substring(start).trim());
+        return parts.filter(Boolean);
+    }
+
+    appendText(nodes, xml) {
+        if (!xml) return;
+
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text') {
+            last.xml += xml;
+        } else {
+            nodes.push({ type: 'text', xml });
+        }
+    }
+
+    // Loop content loses one leading and one trailing line break
+    trimLoopContent(nodes) {
+        const first = nodes[0];
+        if (first && first.type === 'text') {
+            first.xml = first.xml.replace(/^\r?\n/, '');
+        }
+
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text') {
+            last.xml = last.xml.replace(/\r?\n$/, '');
+        }
+    }
+
+    flattenNode(node) {
+        if (node.type === 'each') {
+            const elseNodes = node.elseChildren ? [{ type: 'text', xml: node.elseTag }, ...node.elseChildren] : [];
+            return [{ type: 'text', xml: node.tag }, ...node.children, ...elseNodes];
+        }
+
+        if (node.type === 'switch') {
+            return [{ type: 'text', xml: node.tag }, ...node.leading,
+                ...node.cases.flatMap(branch => [{ type: 'text', xml: branch.tag }, ...branch.children])];
+        }
+
+        return node.branches.flatMap(branch => [{ type: 'text', xml: branch.tag }, ...branch.children]);
+    }
+}
+
+module.exports = TemplateCompiler;
@@ -1,12 +1,57 @@
+const crypto = require('crypto');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
 const FormatHelper = require('./FormatHelper');
 const ExpressionEvaluator = require('./ExpressionEvaluator');
+const DocxXmlFormatter = require('./DocxXmlFormatter');
+const WordXmlScanner = require('./WordXmlScanner');
+const TagNormalizer = require('./TagNormalizer');
+const BlockTagNormalizer = require('./BlockTagNormalizer');
+const TemplateCompiler = require('./TemplateCompiler');
+const ImageRenderer = require('./ImageRenderer');
+const DocxPackage = require('./DocxPackage');
+const HtmlConverter = require('./HtmlConverter');
+const HyperlinkRenderer = require('./HyperlinkRenderer');
+const ChartRenderer = require('./ChartRenderer');
+const DocumentMerger = require('../generators/DocumentMerger');
+
+// Mark where block values (html, markdown) split their host paragraph
+const BLOCK_START = '<!--block-start-->';
+const BLOCK_END = '<!--block-end-->';
+
+// Longest ${#each from..to} loop, guards against typos such as 1..100000000
+const MAX_RANGE_LENGTH = 10000;
+
+// Package parts that are run through the template pipeline
+const TEMPLATE_PART_PATTERN = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+// Included templates contribute the body of their main document
+const DOCUMENT_PART = 'word/document.xml';
 
 class TemplateEngine {
-    constructor() {
+    constructor(options = {}) {
         this.formatHelper = new FormatHelper();
-        this.expressionEvaluator = new ExpressionEvaluator();
+        this.expressionEvaluator = new ExpressionEvaluator({ formatHelper: this.formatHelper });
+        this.docxXmlFormatter = new DocxXmlFormatter();
+        this.wordXmlScanner = new WordXmlScanner();
+        this.tagNormalizer = new TagNormalizer();
+        this.blockTagNormalizer = new BlockTagNormalizer();
+        this.templateCompiler = new TemplateCompiler({
+            expressionEvaluator: this.expressionEvaluator,
+            wordXmlScanner: this.wordXmlScanner
+        });
+        this.imageRenderer = new ImageRenderer({ imageRoot: options.imageRoot || process.env.IMAGE_ROOT });
+        this.chartRenderer = new ChartRenderer({ imageRenderer: this.imageRenderer });
+        this.hyperlinkRenderer = new HyperlinkRenderer({ docxXmlFormatter: this.docxXmlFormatter });
+        this.htmlConverter = new HtmlConverter({
+            docxXmlFormatter: this.docxXmlFormatter,
+            hyperlinkRenderer: this.hyperlinkRenderer
+        });
+        this.documentMerger = new DocumentMerger();
+
+        // Compiled templates by template hash or stored template id/version
+        this.compiledTemplates = new Map();
+        this.maxCompiledTemplates = 20;
 
         // Register custom modules
         this.modules = [];
@@ -38,9 +83,7 @@ class TemplateEngine {
             suffix: '\\}',
 
             parse: (tag) => {
-                const parts = tag.value.split('|');
-                const expression = parts[0].trim();
-                const formatters = parts.slice(1).map(f => f.trim());
+                const { expression, formatters } = this.expressionEvaluator.parseTag(tag.value);
 
                 return {
                     value: expression,
@@ -117,10 +160,10 @@ class TemplateEngine {
         this.modules.push(variableModule, conditionModule, loopModule);
     }
 
-    async processTemplate(templateBuffer, data) {
+    async processTemplate(templateBuffer, data, options = {}) {
         try {
             console.log('🚀 Starting template processing...');
-            return await this.processAdvancedTemplate(templateBuffer, data);
+            return await this.processAdvancedTemplate(templateBuffer, data, options);
         } catch (error) {
             throw new Error(`Template processing failed: ${error.message}`);
         }
@@ -160,747 +203,750 @@ class TemplateEngine {
         // 2. Remove spell check and grammar markers
         xml = xml.replace(/<w:proofErr[^>]*\/>/g, '');
 
-        // 3. Merge consecutive text runs (the key part!)
-        // Pattern: </w:t></w:r> followed by <w:r [attributes]><w:t [attributes]>
-        let iterations = 0;
-        let previousLength;
-
-        do {
-            previousLength = xml.length;
-
-            // Merge runs with attributes
-            xml = xml.replace(
-                /<\/w:t><\/w:r><w:r\s+[^>]*><w:t>/g,
-                ''
-            );
-
-            // Merge runs without attributes
-            xml = xml.replace(
-                /<\/w:t><\/w:r><w:r><w:t>/g,
-                ''
-            );
-
-            // Merge runs with xml:space attribute
-            xml = xml.replace(
-                /<\/w:t><\/w:r><w:r[^>]*><w:t\s+xml:space="preserve">/g,
-                ''
-            );
-
-            iterations++;
-
-            // Safety check to prevent infinite loops
-            if (iterations > 20) {
-                console.warn('⚠️  Stopped merging after 20 iterations');
-                break;
-            }
-
-        } while (xml.length < previousLength); // Continue while we're making changes
+        // 3. Rejoin tags split over several runs; runs without tags keep their formatting
+        xml = this.tagNormalizer.normalize(xml);
 
         // 4. Clean up empty runs
         xml = xml.replace(/<w:r><\/w:r>/g, '');
         xml = xml.replace(/<w:r\s+[^>]*><\/w:r>/g, '');
         xml = xml.replace(/<w:r><w:rPr\/><\/w:r>/g, '');
 
-        console.log(`✅ XML cleaned (${iterations} merge iterations)`);
+        console.log('✅ XML cleaned');
 
         return xml;
     }
 
 
     // Custom template processing for complex syntax
-    async processAdvancedTemplate(templateBuffer, data) {
+    async processAdvancedTemplate(templateBuffer, data, options = {}) {
         try {
-            const zip = new PizZip(templateBuffer);
+            const compiledTemplate = this.compileTemplate(templateBuffer, options);
+            return this.renderTemplate(compiledTemplate, data, options);
+        } catch (error) {
+            throw new Error(`Advanced template processing failed: ${error.message}`);
+        }
+    }
 
-            // Extract document.xml
-            let documentXml = zip.files['word/document.xml'].asText();
-            // Added for cleaning windows ms word prepared template        
-            documentXml = this.cleanWordXmlLikeLibreOffice(documentXml);
+    getTemplateHash(templateBuffer) {
+        return crypto.createHash('sha256').update(templateBuffer).digest('hex');
+    }
 
+    getCompiledTemplate(cacheKey) {
+        const compiledTemplate = this.compiledTemplates.get(cacheKey);
+        if (!compiledTemplate) return null;
 
-            // Show all template markers for debugging
-            this.debugShowTemplateMarkers(documentXml);
+        // Keep recently used templates at the end so the oldest is evicted first
+        this.compiledTemplates.delete(cacheKey);
+        this.compiledTemplates.set(cacheKey, compiledTemplate);
+        return compiledTemplate;
+    }
 
-            // Debug log to show full document content
-            // console.log('📄 Full document content:');
-            // console.log('='.repeat(80));
-            // console.log(documentXml);
-            // console.log('='.repeat(80));
+    /**
+     * Compile a template into render trees for each of its parts, or reuse the cached ones
+     * @param {Buffer} templateBuffer - DOCX template
+     * @param {Object} options - { cacheKey } to cache under, defaults to the template hash
+     * @returns {Object} - Compiled template ({ cacheKey, zip, parts, definitions, includes, maxDrawingId })
+     */
+    compileTemplate(templateBuffer, options = {}) {
+        const cacheKey = options.cacheKey || this.getTemplateHash(templateBuffer);
+
+        const cached = this.getCompiledTemplate(cacheKey);
+        if (cached) {
+            console.log(`♻️ Using compiled template ${cacheKey}`);
+            return cached;
+        }
 
-            console.log('🔄 Starting enhanced template processing pipeline...');
+        console.log(`🛠️ Compiling template ${cacheKey}`);
+        const zip = new PizZip(templateBuffer);
+
+        // Headers, footers, footnotes, endnotes and comments carry their own
+        // placeholders, so every templated part goes through the same pipeline
+        const partNames = TemplateEngine.getTemplateParts(zip);
+        console.log(`📦 Template parts to compile: ${partNames.join(', ')}`);
+
+        const parts = {};
+        const definitions = [];
+        let maxDrawingId = 0;
+        for (const partName of partNames) {
+            console.log(`📄 Compiling part: ${partName}`);
+            const xml = zip.files[partName].asText();
+
+            // ${#let} values are computed once and seen by every part
+            const { nodes, definitions: partDefinitions } = this.extractDefinitions(this.compileXmlPart(xml));
+            parts[partName] = nodes;
+            definitions.push(...partDefinitions);
+
+            // Inserted pictures are numbered after the drawings of the template
+            for (const match of xml.matchAll(/<wp:docPr\s[^>]*?id="(\d+)"/g)) {
+                maxDrawingId = Math.max(maxDrawingId, Number(match[1]));
+            }
+        }
 
-            // ENHANCED PROCESSING ORDER:
-            // 1. Process loops first (including advanced table loops)
-            // 2. Process advanced tables with loop marker removal
-            // 3. Process conditions
-            // 4. Clean up remaining variables
+        // One entry per included template, loaded by resolveIncludes before rendering
+        const includeNodes = this.collectIncludes(Object.values(parts).flat());
+        const includes = [...new Map(includeNodes.map(node => [node.reference, node])).values()];
 
-            console.log('📝 Step 1: Processing loops...');
-            let processedXml = this.processLoops(documentXml, data);
+        const compiledTemplate = { cacheKey, zip, parts, definitions, includes, maxDrawingId };
 
-            console.log('📝 Step 2: Processing advanced tables...');
-            processedXml = this.processAdvancedTable(processedXml, data);
+        if (this.compiledTemplates.size >= this.maxCompiledTemplates) {
+            this.compiledTemplates.delete(this.compiledTemplates.keys().next().value);
+        }
+        this.compiledTemplates.set(cacheKey, compiledTemplate);
 
-            console.log('📝 Step 3: Processing tables and removing empty control rows...');
-            processedXml = this.processTables(processedXml, data);
+        return compiledTemplate;
+    }
 
-            console.log('📝 Step 4: Processing conditions...');
-            processedXml = this.processConditions(processedXml, data);
+    /**
+     * Render a compiled template with one dataset
+     * @param {Object} compiledTemplate - Result of compileTemplate
+     * @param {Object} data - Template data
+     * @param {Object} [options] - { paragraphBreaks } to start a new paragraph at blank lines in values,
+     *   { includes } from resolveIncludes
+     * @returns {Buffer} - Generated DOCX
+     */
+    renderTemplate(compiledTemplate, data, options = {}) {
+        const zip = this.copyZip(compiledTemplate.zip);
+
+        // Media and relationships added while rendering go to the new package only
+        const context = {
+            docxPackage: new DocxPackage(zip),
+            partName: null,
+            media: new Map(),
+            relationships: new Map(),
+            nextDrawingId: compiledTemplate.maxDrawingId + 1,
+            paragraphBreaks: Boolean(options.paragraphBreaks),
+            includes: options.includes || new Map()
+        };
 
-            console.log('📝 Step 5: Processing remaining variables...');
-            processedXml = this.processRemainingVariables(processedXml, data);
+        const documentData = this.applyDefinitions(compiledTemplate.definitions, data);
 
-            console.log('✅ Enhanced template processing complete');
+        for (const [partName, nodes] of Object.entries(compiledTemplate.parts)) {
+            console.log(`📄 Rendering part: ${partName}`);
+            context.partName = partName;
+            zip.file(partName, this.renderXmlPart(nodes, documentData, context));
+        }
 
-            // Update the zip with processed content
-            zip.file('word/document.xml', processedXml);
+        return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
 
-            return zip.generate({ type: 'nodebuffer' });
-        } catch (error) {
-            throw new Error(`Advanced template processing failed: ${error.message}`);
+    // Untouched files keep their compressed data, only rendered parts are deflated again
+    copyZip(source) {
+        const zip = new PizZip();
+        for (const [name, file] of Object.entries(source.files)) {
+            zip.files[name] = file;
         }
+        return zip;
     }
 
-    processRemainingVariables(xml, data) {
-        const variableRegex = /\$\{([^}]+)\}/g;
+    /**
+     * Load the templates a compiled template includes, and the ones they include in turn
+     * @param {Object} compiledTemplate - Result of compileTemplate
+     * @param {Function} [resolver] - async ({ name, version }) => { id, name, version, cacheKey, buffer }, null when not found
+     * @param {Map} [includes] - Templates resolved so far
+     * @param {Array<Object>} [chain] - Templates being resolved, from the outermost one
+     * @returns {Promise<Map>} - Compiled templates by include reference, null for the ones that could not be loaded
+     */
+    async resolveIncludes(compiledTemplate, resolver, includes = new Map(), chain = null) {
+        // Stored templates are compiled as id@version
+        const path = chain || [{ id: compiledTemplate.cacheKey.replace(/@\d+$/, '') }];
+
+        for (const include of compiledTemplate.includes) {
+            if (includes.has(include.reference)) continue;
+
+            if (!resolver) {
+                console.warn(`No template store to load ${include.tag} from`);
+                includes.set(include.reference, null);
+                continue;
+            }
 
-        return xml.replace(variableRegex, (match, expression) => {
+            let stored;
             try {
-                // Skip template control structures (they should already be processed)
-                if (expression.includes('#each') || expression.includes('#if') || expression.includes('/each') || expression.includes('/if')) {
-                    console.log(`Skipping control structure: ${expression}`);
-                    return match; // Leave as-is
-                }
-
-                const parts = expression.split('|');
-                const varPath = parts[0].trim();
-                const formatters = parts.slice(1).map(f => f.trim());
-
-                // Skip 'this.' variables (should be processed in loops)
-                if (varPath.startsWith('this.')) {
-                    console.log(`Warning: Found unprocessed loop variable: ${varPath}`);
-                    return ''; // Remove unprocessed loop variables
-                }
-
-                console.log(`Processing remaining variable: ${varPath}`);
-                let value = this.expressionEvaluator.evaluate(varPath, data);
-
-                // Apply formatters
-                if (formatters.length > 0) {
-                    value = this.formatHelper.applyFormatters(value, formatters);
-                }
-
-                // Handle formatting objects
-                if (value && typeof value === 'object' && value.formatting) {
-                    return this.escapeXml(String(value.value || ''));
-                }
-
-                // Handle XML entities
-                return this.escapeXml(String(value || ''));
+                stored = await resolver({ name: include.name, version: include.version });
             } catch (error) {
-                console.warn(`Remaining variable processing error for "${expression}":`, error.message);
-                return `[ERROR: ${expression}]`;
+                console.warn(`Cannot load ${include.tag}: ${error.message}`);
+            }
+            if (!stored) {
+                console.warn(`Included template "${include.reference}" not found`);
+                includes.set(include.reference, null);
+                continue;
             }
-        });
-    }
 
-    processVariables(xml, data) {
-        // If we're not in a loop context, use the regular processing
-        if (!data.this) {
-            return this.processRegularVariables(xml, data);
+            const cycleStart = path.findIndex(entry => entry.id === stored.id);
+            if (cycleStart !== -1) {
+                const names = [stored.name, ...path.slice(cycleStart + 1).map(entry => entry.name), stored.name];
+                throw new Error(`Include cycle: ${names.join(' → ')}`);
+            }
+
+            console.log(`📎 Including ${stored.name} (version ${stored.version})`);
+            const template = this.compileTemplate(stored.buffer, { cacheKey: stored.cacheKey });
+            await this.resolveIncludes(template, resolver, includes, [...path, { id: stored.id, name: stored.name }]);
+            includes.set(include.reference, template);
         }
 
-        // We're in a loop context, use enhanced processing
-        return this.processVariablesInLoop(xml, data);
+        return includes;
     }
 
-    processRegularVariables(xml, data) {
-        const variableRegex = /\$\{([^}]+)\}/g;
+    // ${#include} tags anywhere in a render tree
+    collectIncludes(nodes) {
+        return nodes.flatMap(node => {
+            if (node.type === 'include') return [node];
 
-        return xml.replace(variableRegex, (match, expression) => {
-            try {
-                const parts = expression.split('|');
-                const varPath = parts[0].trim();
-                const formatters = parts.slice(1).map(f => f.trim());
+            const branches = (node.branches || node.cases || []).map(branch => branch.children);
+            return [node.children, node.elseChildren, node.leading, ...branches]
+                .filter(Boolean)
+                .flatMap(children => this.collectIncludes(children));
+        });
+    }
 
-                let value = this.expressionEvaluator.evaluate(varPath, data);
+    compileXmlPart(xml) {
+        // Added for cleaning windows ms word prepared template
+        let documentXml = this.cleanWordXmlLikeLibreOffice(xml);
 
-                // Apply formatters
-                if (formatters.length > 0) {
-                    value = this.formatHelper.applyFormatters(value, formatters);
-                }
+        // Blocks spanning paragraphs or rows work on whole elements
+        documentXml = this.blockTagNormalizer.normalize(documentXml);
 
-                // Handle formatting objects
-                if (value && typeof value === 'object' && value.formatting) {
-                    return this.escapeXml(String(value.value || ''));
-                }
+        // Show all template markers for debugging
+        this.debugShowTemplateMarkers(documentXml);
 
-                // Handle XML entities
-                return this.escapeXml(String(value || ''));
-            } catch (error) {
-                console.warn(`Variable processing error for "${expression}":`, error.message);
-                return `[ERROR: ${expression}]`;
-            }
-        });
+        return this.templateCompiler.compile(documentXml);
     }
 
-    processConditions(xml, data) {
-        // Match conditions: ${#if condition}...${#else}...${/if}
-        const conditionRegex = /\$\{#if\s+([^}]+)\}([\s\S]*?)(?:\$\{#else\}([\s\S]*?))?\$\{\/if\}/g;
+    /**
+     * Render the nodes of one part
+     * @param {Array<Object>} nodes - Compiled part
+     * @param {Object} data - Template data
+     * @param {Object} [context] - Package being generated and the part's name, needed for images
+     * @returns {string} - Part XML
+     */
+    renderXmlPart(nodes, data, context = {}) {
+        let processedXml = this.renderNodes(nodes, data, context);
 
-        return xml.replace(conditionRegex, (match, condition, ifContent, elseContent = '') => {
-            try {
-                console.log(`Processing condition: ${condition}`);
+        processedXml = this.replaceHostParagraphs(processedXml);
 
-                // Enhanced condition evaluation for loop context
-                let result;
+        // Tables with repeated columns get their template width back
+        processedXml = this.blockTagNormalizer.fitColumnLoopTables(processedXml);
 
-                // Handle 'this' context in conditions
-                const processedCondition = condition.replace(/\bthis\.(\w+)/g, (match, prop) => {
-                    if (data.this && data.this[prop] !== undefined) {
-                        const value = data.this[prop];
-                        return typeof value === 'string' ? `"${value}"` : String(value);
-                    }
-                    return 'null';
-                });
-
-                result = this.expressionEvaluator.evaluateCondition(processedCondition, data);
+        // Rows left empty by inline loop markers
+        processedXml = this.removeEmptyControlRows(processedXml);
 
-                console.log(`Condition "${condition}" evaluated to: ${result}`);
-                return result ? ifContent : elseContent;
+        processedXml = this.blockTagNormalizer.ensureCellParagraphs(processedXml);
+        processedXml = this.preserveTextSpaces(processedXml);
 
-            } catch (error) {
-                console.error(`Condition processing error for "${condition}":`, error);
-                return ifContent; // Default to showing content on error
-            }
-        });
+        return processedXml;
     }
 
+    /**
+     * Compile and render a single XML part
+     * @param {string} xml - Part XML, e.g. a fragment outside a DOCX package
+     * @param {Object} data - Template data
+     * @param {Object} [options] - { paragraphBreaks }, and { docxPackage, partName } for a part written to
+     *   a package, so links and pictures get relationships of that part
+     * @returns {string} - Part XML
+     */
+    processXmlPart(xml, data, options = {}) {
+        const { nodes, definitions } = this.extractDefinitions(this.compileXmlPart(xml));
+        const context = { paragraphBreaks: Boolean(options.paragraphBreaks) };
+
+        if (options.docxPackage) {
+            Object.assign(context, {
+                docxPackage: options.docxPackage,
+                partName: options.partName,
+                media: new Map(),
+                relationships: new Map(),
+                nextDrawingId: this.getMaxDrawingId(options.docxPackage) + 1
+            });
+        }
 
-    processLoops(xml, data) {
-        let resultXml = xml;
-        const loopStartMarker = '${#each ';
-        const loopEndMarker = '${/each}';
-
-        let startIndex = 0;
-
-        while (true) {
-            // Find the next start marker
-            const openIndex = resultXml.indexOf(loopStartMarker, startIndex);
-            if (openIndex === -1) break;
-
-            // Find the end of the opening tag "}"
-            const openTagEndIndex = resultXml.indexOf('}', openIndex);
-            if (openTagEndIndex === -1) break;
-
-            // Extract array path: ${#each arrayPath}
-            const arrayPath = resultXml.substring(openIndex + loopStartMarker.length, openTagEndIndex).trim();
-
-            // Find the BALANCED closing tag
-            let depth = 1;
-            let currentIndex = openTagEndIndex + 1;
-            let closeIndex = -1;
-
-            while (depth > 0 && currentIndex < resultXml.length) {
-                const searchStr = resultXml.substring(currentIndex);
-                const nextOpen = searchStr.indexOf(loopStartMarker);
-                const nextClose = searchStr.indexOf(loopEndMarker);
-
-                if (nextClose === -1) break; // No closing tag found at all
-
-                // Adjust relative indices to absolute
-                const absNextOpen = nextOpen !== -1 ? currentIndex + nextOpen : -1;
-                const absNextClose = currentIndex + nextClose;
-
-                if (absNextOpen !== -1 && absNextOpen < absNextClose) {
-                    // Found a nested loop start before the next close
-                    depth++;
-                    currentIndex = absNextOpen + 1;
-                } else {
-                    // Found a closing tag
-                    depth--;
-                    if (depth === 0) {
-                        closeIndex = absNextClose;
-                    } else {
-                        currentIndex = absNextClose + 1;
-                    }
-                }
-            }
-
-            if (closeIndex === -1) {
-                console.warn(`No matching closing tag found for loop: ${arrayPath}`);
-                startIndex = openTagEndIndex + 1;
-                continue;
-            }
+        return this.renderXmlPart(nodes, this.applyDefinitions(definitions, data), context);
+    }
 
-            // Extract content between tags
-            let content = resultXml.substring(openTagEndIndex + 1, closeIndex);
+    // Highest wp:docPr id in the parts of a package
+    getMaxDrawingId(docxPackage) {
+        return Object.keys(docxPackage.zip.files)
+            .filter(name => /^word\/[^/]+\.xml$/.test(name))
+            .reduce((max, name) => Math.max(max, ...[...docxPackage.readText(name).matchAll(/<wp:docPr\s[^>]*?id="(\d+)"/g)]
+                .map(match => Number(match[1]))), 0);
+    }
 
-            // Trim leading newline/whitespace from content to prevent excessive gaps
-            if (content.startsWith('\n')) content = content.substring(1);
-            else if (content.startsWith('\r\n')) content = content.substring(2);
+    renderNodes(nodes, data, context = {}) {
+        // ${#set} values are seen by the tags after it in the same block
+        let scope = data;
+
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text': return node.xml;
+                case 'variable': return this.renderVariable(node, scope, context);
+                case 'image': return this.renderImage(node, scope, context);
+                case 'chart': return this.renderChart(node, scope, context);
+                case 'each': return this.renderLoop(node, scope, context);
+                case 'condition': return this.renderCondition(node, scope, context);
+                case 'switch': return this.renderSwitch(node, scope, context);
+                case 'include': return this.renderInclude(node, scope, context);
+                case 'set':
+                    scope = this.applyDefinitions([node], scope);
+                    return '';
+                default: throw new Error(`Unknown template node: ${node.type}`);
+            }
+        }).join('');
+    }
 
-            // Trim trailing newline/whitespace from content
-            if (content.endsWith('\n')) content = content.substring(0, content.length - 1);
-            else if (content.endsWith('\r\n')) content = content.substring(0, content.length - 2);
+    renderSwitch(node, data, context = {}) {
+        let value;
+        try {
+            value = this.expressionEvaluator.evaluate(node.expression, data);
+        } catch (error) {
+            console.warn(`Switch evaluation error for "${node.expression}":`, error.message);
+        }
 
-            // Process the loop
-            let loopResult = '';
+        const match = node.cases.find(branch => branch.type === 'case' && branch.values.some(caseValue => {
             try {
-                console.log(`Processing loop for array: ${arrayPath}`);
-                const arrayData = this.expressionEvaluator.evaluate(arrayPath, data);
-
-                if (Array.isArray(arrayData)) {
-                    console.log(`Found ${arrayData.length} items in loop: ${arrayPath}`);
-                    loopResult = arrayData.map((item, index) => {
-                        const contextData = {
-                            ...data,
-                            this: item,
-                            parent: data.this, // Allow access to immediate parent scope
-                            _parentContext: data, // Allow recursively accessing ancestors via ../
-                            index: index,
-                            first: index === 0,
-                            last: index === arrayData.length - 1,
-                            count: arrayData.length
-                        };
-
-                        let processedContent = content;
-
-                        // 1. Handle nested loops recursively (First priority)
-                        processedContent = this.processLoops(processedContent, contextData);
-
-                        // 2. Process conditions (with loop context)
-                        processedContent = this.processConditionsInLoop(processedContent, contextData);
-
-                        // 3. Process variables (with loop context)
-                        processedContent = this.processVariablesInLoop(processedContent, contextData);
-
-                        return processedContent;
-                    }).join('\n'); // Join with newline to maintain list structure?
-                    // NOTE: The previous join('') might be better if the content already has newlines.
-                    // If we stripped the newlines from start/end, and we join with '', we assume the user put newlines inside.
-                    // User's example: 
-                    // ${#each ...}
-                    // ${index}. ${name}
-                    // ${/each}
-                    // Content after strip is "${index}. ${name}".
-                    // If we join with null, we get "1. Foo2. Bar".
-                    // So we probably DO want to join with '\n'.
-                    // OR, we rely on the specific content.
-                    // The user complained about *unnecessary* newlines.
-                    // If the content is ONE line: "${index}. foo".
-                    // The user wants:
-                    // 1. foo
-                    // 2. bar
-                    // That implies a newline between them.
-                    // If the content is:
-                    // Line 1
-                    // Line 2
-                    // Then for 2 items we want:
-                    // Line 1
-                    // Line 2
-                    // Line 1
-                    // Line 2
-                    // (which implies joining with \n if the content itself didn't have a trailing one?)
-                    // Let's stick to known behavior: The loop content represents ONE item's block.
-                    // Usually blocks are stacked vertically.
-                    // However, sometimes loops are inline: "Items: ${#each items}${this}, ${/each}" -> "Items: a, b, "
-                    // If we force \n join, inline loops break.
-                    // So: join with '' is safer for inline loops.
-                    // But for block loops, we need the newline.
-                    // The user's newlines that we stripped were valid separators.
-                    // Let's TRY restoring the trailing newline logic OR checking usage.
-                    // Actually, if we strip the *surrounding* newlines of the tags, we keep the internal content logic.
-                    // The "content" is what's repeated.
-                    // If the template was:
-                    // <start>
-                    // content-line-1
-                    // <end>
-                    // logic: remove <start>\n. content is "content-line-1\n". remove \n<end>. content is "content-line-1".
-                    // result: "content-line-1content-line-1". BAD.
-                    // So we should ONLY trim the leading newline.
-                    // AND let the user manage the trailing one?
-                    // Or keep the trailing one.
-
-                } else {
-                    console.warn(`Loop data is not an array for path: ${arrayPath}`, arrayData);
-                }
+                return this.matchesCase(value, this.expressionEvaluator.evaluate(caseValue, data));
             } catch (error) {
-                console.error(`Loop processing error for "${arrayPath}":`, error);
-                loopResult = `[ERROR: Loop ${arrayPath} - ${error.message}]`;
+                console.warn(`Case evaluation error for "${caseValue}":`, error.message);
+                return false;
             }
+        })) || node.cases.find(branch => branch.type === 'default');
 
-            // Replace the whole loop block with result
-            const beforeLoop = resultXml.substring(0, openIndex);
-            const afterLoop = resultXml.substring(closeIndex + loopEndMarker.length);
+        console.log(`Switch "${node.expression}" matched ${match ? match.tag : 'no case'}`);
+        return match ? this.renderNodes(match.children, data, context) : '';
+    }
 
-            resultXml = beforeLoop + loopResult + afterLoop;
+    /**
+     * Render the body of an included template and bring its styles, lists and media along
+     * @param {Object} node - Include node
+     * @param {Object} data - Current data, the included template sees the "with" value instead when given
+     * @param {Object} context - Render context with the templates loaded by resolveIncludes
+     * @returns {string} - Body XML in place of the tag's paragraph
+     */
+    renderInclude(node, data, context = {}) {
+        try {
+            const template = context.includes && context.includes.get(node.reference);
+            if (!template) throw new Error(`template "${node.reference}" is not loaded`);
+            if (!context.docxPackage) throw new Error('includes need a DOCX package');
+
+            let includeData = data;
+            if (node.expression) {
+                includeData = this.expressionEvaluator.evaluate(node.expression, data);
+                // Other values are available as ${this}
+                if (includeData === null || typeof includeData !== 'object') includeData = { this: includeData };
+            }
 
-            // Continue searching from the end of the processed content
-            startIndex = beforeLoop.length + loopResult.length;
+            // Rendered in a copy of its own package, so its relationships stay valid until the body is moved over
+            const source = new DocxPackage(this.copyZip(template.zip));
+            const xml = this.renderXmlPart(template.parts[DOCUMENT_PART], this.applyDefinitions(template.definitions, includeData), {
+                docxPackage: source,
+                partName: DOCUMENT_PART,
+                media: new Map(),
+                relationships: new Map(),
+                nextDrawingId: template.maxDrawingId + 1,
+                paragraphBreaks: context.paragraphBreaks,
+                includes: context.includes
+            });
+
+            const state = this.documentMerger.createMergeState(context.docxPackage);
+            Object.assign(state, { partMap: new Map(), numberingMap: new Map(), styleMap: new Map(), recordNumber: 2 });
+            state.nextDrawingId = Math.max(state.nextDrawingId, context.nextDrawingId);
+
+            const body = this.documentMerger.importContent(source, context.docxPackage,
+                this.documentMerger.splitBody(xml).content, state, context.partName);
+            this.documentMerger.writeMergeState(context.docxPackage, state);
+            context.nextDrawingId = state.nextDrawingId;
+
+            if (!node.paragraphElements) return body;
+            return this.wordXmlScanner.closeElements(node.paragraphElements) + BLOCK_START + body + BLOCK_END +
+                this.wordXmlScanner.reopenElements(node.paragraphElements);
+        } catch (error) {
+            console.warn(`Include error for ${node.tag}: ${error.message}`);
+            return `[ERROR: ${node.content}]`;
         }
-
-        return resultXml;
     }
 
-    processConditionsInLoop(xml, data) {
-        const conditionRegex = /\$\{#if\s+([^}]+)\}([\s\S]*?)(?:\$\{#else\}([\s\S]*?))?\$\{\/if\}/g;
+    // Cases match the same value, numbers also match their text ("1" and 1)
+    matchesCase(value, caseValue) {
+        if (value === caseValue) return true;
+        if (value === null || value === undefined || caseValue === null || caseValue === undefined) return false;
+        return typeof value !== 'object' && typeof caseValue !== 'object' && String(value) === String(caseValue);
+    }
 
-        return xml.replace(conditionRegex, (match, condition, ifContent, elseContent = '') => {
+    /**
+     * Evaluate ${#set} / ${#let} definitions in order, each one can use the ones before it
+     * @param {Array<Object>} definitions - Set nodes
+     * @param {Object} data - Data the definitions are evaluated against
+     * @returns {Object} - Data with the defined values added
+     */
+    applyDefinitions(definitions, data) {
+        return definitions.reduce((scope, definition) => {
             try {
-                console.log(`Processing condition in loop: ${condition}`);
-
-                // Enhanced condition evaluation for loop context
-                let result = this.evaluateConditionInLoop(condition, data);
-
-                console.log(`Loop condition "${condition}" evaluated to: ${result}`);
-                return result ? ifContent : elseContent;
-
+                let value = this.expressionEvaluator.evaluate(definition.expression, scope);
+                if (definition.formatters.length > 0) {
+                    value = this.formatHelper.applyFormatters(value, definition.formatters);
+                }
+                return { ...scope, [definition.name]: value };
             } catch (error) {
-                console.error(`Loop condition processing error for "${condition}":`, error);
-                return ifContent; // Default to showing content on error
+                console.warn(`Definition error for ${definition.tag}:`, error.message);
+                return scope;
             }
-        });
+        }, data);
     }
 
-    evaluateConditionInLoop(condition, data) {
-        let processedCondition = condition;
+    // Takes the ${#let} definitions off the top level of a part
+    extractDefinitions(nodes) {
+        const definitions = nodes.filter(node => node.type === 'set' && node.scope === 'document');
+        return { nodes: nodes.filter(node => !definitions.includes(node)), definitions };
+    }
 
-        // Enhanced regex to capture full property paths (this.prop.subprop)
-        processedCondition = processedCondition.replace(/\bthis\.([a-zA-Z0-9_.]+)\b/g, (match, propertyPath) => {
-            // Remove 'this.' prefix if present in the captured group (regex above doesn't include it in group 1, but verifies 'this.')
-            // Actually my regex group 1 is just the path after 'this.'.
+    renderVariable(node, data, context = {}) {
+        try {
+            let value = this.expressionEvaluator.evaluate(node.expression, data);
 
-            if (data.this) {
-                // Use resolver to get deep value
-                const value = this.expressionEvaluator.getNestedValue(data.this, propertyPath);
+            // Apply formatters
+            if (node.formatters.length > 0) {
+                value = this.formatHelper.applyFormatters(value, node.formatters);
+            }
 
-                if (value !== null && value !== undefined) {
-                    const serialized = typeof value === 'string' ? `"${value}"` : String(value);
-                    // console.log(`Replacing ${match} with ${serialized} in condition`);
-                    return serialized;
-                }
+            // Picture formatters (qr, barcode) return { image }
+            if (value && typeof value === 'object' && value.image) {
+                return this.renderImageSource(value.image, {}, node, context);
             }
-            return 'null';
-        });
 
-        // Simple evaluation for common comparison operators
-        try {
-            // Handle >= <= == != comparisons
-            // We need to support spaces in string values which the previous regex didn't handle well?
-            // The previous regex was: /^(.+?)\s*(>=|<=|==|!=|>|<)\s*(.+?)$/
-            // It uses loose matching on left/right.
-            const comparisonMatch = processedCondition.match(/^(.+?)\s*(>=|<=|==|!=|>|<)\s*(.+?)$/);
-            if (comparisonMatch) {
-                const [, left, operator, right] = comparisonMatch;
-                const leftVal = this.parseValue(left.trim());
-                const rightVal = this.parseValue(right.trim());
-
-                switch (operator) {
-                    case '>=': return leftVal >= rightVal;
-                    case '<=': return leftVal <= rightVal;
-                    case '>': return leftVal > rightVal;
-                    case '<': return leftVal < rightVal;
-                    case '==': return leftVal == rightVal;
-                    case '!=': return leftVal != rightVal;
-                }
+            // Link formatters (link, mailto) return { link }
+            if (value && typeof value === 'object' && value.link) {
+                return this.renderLink(value.link, node, context);
             }
 
-            // Fallback to simple truthiness
-            const value = this.parseValue(processedCondition);
-            return Boolean(value);
+            // Rich text formatters (html, markdown) return { html }
+            if (value && typeof value === 'object' && typeof value.html === 'string') {
+                return this.renderRichText(value.html, node, context);
+            }
 
+            return this.renderVariableValue(value, node, context);
         } catch (error) {
-            console.error(`Condition evaluation error: ${error.message}`);
-            return false;
+            console.warn(`Variable processing error for "${node.content}":`, error.message);
+            return `[ERROR: ${node.content}]`;
         }
     }
 
+    renderImage(node, data, context = {}) {
+        try {
+            const source = this.expressionEvaluator.evaluate(node.expression, data);
 
-    parseValue(str) {
-        const trimmed = str.trim();
-
-        // Number
-        if (/^-?\d+\.?\d*$/.test(trimmed)) {
-            return parseFloat(trimmed);
-        }
+            // No image in the data leaves the spot empty
+            if (source === null || source === undefined || source === '') return '';
 
-        // String (quoted)
-        if ((trimmed.startsWith('"') && trimmed.endsWith('"')) ||
-            (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
-            return trimmed.slice(1, -1);
+            return this.renderImageSource(source, this.imageRenderer.parseSizeOptions(node.formatters), node, context);
+        } catch (error) {
+            // One argument only, the % of the tag would be read as a format specifier
+            console.warn(`Image processing error for ${node.tag}: ${error.message}`);
+            return `[ERROR: ${node.content}]`;
         }
-
-        // Boolean
-        if (trimmed === 'true') return true;
-        if (trimmed === 'false') return false;
-        if (trimmed === 'null') return null;
-
-        // Default to the string value
-        return trimmed;
     }
 
+    // Puts an inline picture where the tag was, splitting the run around it
+    renderImageSource(source, sizeOptions, node, context) {
+        const image = this.imageRenderer.load(source);
+        return this.insertDrawing(this.imageRenderer.render(image, sizeOptions, context), node);
+    }
 
-    processVariablesInLoop(xml, data) {
-        // Enhanced variable regex that handles 'this' context better
-        const variableRegex = /\$\{([^}]+)\}/g;
-
-        return xml.replace(variableRegex, (match, expression) => {
-            try {
-                // Skip template control structures (they will be processed separately)
-                if (expression.trim().startsWith('#each') ||
-                    expression.trim().startsWith('#if') ||
-                    expression.trim().startsWith('/each') ||
-                    expression.trim().startsWith('/if')) {
-                    return match;
-                }
-
-                const parts = expression.split('|');
-                const varPath = parts[0].trim();
-                const formatters = parts.slice(1).map(f => f.trim());
-
-                console.log(`Processing variable in loop: ${varPath}`);
-
-                let value;
-
-                // Special handling for 'this' context in loops
-                if (varPath.startsWith('this.')) {
-                    const propertyPath = varPath.substring(5); // Remove 'this.'
-                    value = this.getNestedProperty(data.this, propertyPath);
-                    console.log(`Loop variable ${varPath} = ${value}`);
-                } else if (varPath === 'this') {
-                    value = data.this;
-                } else if (varPath === 'index') {
-                    value = data.index;
-                } else if (varPath === 'first') {
-                    value = data.first;
-                } else if (varPath === 'last') {
-                    value = data.last;
-                } else if (varPath === 'count') {
-                    value = data.count;
-                } else {
-                    // Regular variable evaluation
-                    value = this.expressionEvaluator.evaluate(varPath, data);
-                }
-
-                // Apply formatters if present
-                if (formatters.length > 0) {
-                    console.log(`Applying formatters: ${formatters.join(', ')}`);
-                    value = this.formatHelper.applyFormatters(value, formatters);
-                }
-
-                // Handle formatting objects with styling
-                if (value && typeof value === 'object' && value.formatting) {
-                    // For now, just return the value (DOCX formatting would be applied differently)
-                    return this.escapeXml(String(value.value || ''));
-                }
+    renderChart(node, data, context = {}) {
+        try {
+            const { expression, options } = this.chartRenderer.parseTag(node.definition);
+            const settings = this.chartRenderer.getSettings(options);
+            const rows = this.expressionEvaluator.evaluate(expression, data);
 
-                return this.escapeXml(String(value !== undefined && value !== null ? value : ''));
+            // No data leaves the spot empty
+            if (rows === null || rows === undefined) return '';
 
-            } catch (error) {
-                console.error(`Variable processing error in loop for "${expression}":`, error);
-                return `[ERROR: ${expression}]`;
-            }
-        });
+            return this.insertDrawing(this.chartRenderer.render(rows, settings, context), node);
+        } catch (error) {
+            console.warn(`Chart processing error for ${node.tag}: ${error.message}`);
+            return `[ERROR: ${node.content}]`;
+        }
     }
 
-    getNestedProperty(obj, path) {
-        if (!obj || !path) return null;
-
-        // Handle array access like "topDeals[0].amount"
-        const normalizedPath = path.replace(/\[(\d+)\]/g, '.$1');
+    // Puts a drawing run (picture, chart) where the tag was, splitting the run around it
+    insertDrawing(drawing, node) {
+        if (!node.runElements) {
+            console.warn(`Drawing ${node.tag} is not inside a text run, wrapping it in a paragraph`);
+            return `<w:p>${drawing}</w:p>`;
+        }
 
-        const keys = normalizedPath.split('.');
-        let current = obj;
+        return this.wordXmlScanner.closeElements(node.runElements) + drawing +
+            this.wordXmlScanner.reopenElements(node.runElements);
+    }
 
-        for (const key of keys) {
-            if (current === null || current === undefined) {
-                return null;
-            }
+    // Puts a hyperlink where the tag was, in a run of its own with the tag's formatting
+    renderLink(link, node, context) {
+        if (!this.hyperlinkRenderer.isSupported(link.target)) {
+            console.warn(`Unsupported link target "${link.target}" for ${node.tag}, inserting the text only`);
+            return this.renderVariableValue(link.text, node, context);
+        }
 
-            // Handle array indices
-            if (/^\d+$/.test(key)) {
-                const index = parseInt(key);
-                if (Array.isArray(current) && index < current.length) {
-                    current = current[index];
-                } else {
-                    return null;
-                }
-            } else {
-                current = current[key];
-            }
+        if (!node.runElements) {
+            console.warn(`Link ${node.tag} is not inside a text run, inserting the text only`);
+            return this.escapeXml(link.text);
         }
 
-        return current;
+        return this.wordXmlScanner.closeElements(node.runElements) +
+            this.hyperlinkRenderer.render(link.text, link.target, node.runElements[0].properties, context) +
+            this.wordXmlScanner.reopenElements(node.runElements);
     }
 
-    processTables(xml, data) {
-        console.log('📊 Processing tables with enhanced loop handling...');
+    // Puts converted HTML where the tag was: runs inside the tag's run, or blocks in place of its paragraph
+    renderRichText(html, node, context) {
+        if (!node.runElements) {
+            console.warn(`Rich text ${node.tag} is not inside a text run, inserting it as plain text`);
+            return this.escapeXml(html.replace(/<[^>]*>/g, ''));
+        }
 
-        // First, let's handle the standard table processing for loops within tables
-        let processedXml = this.processTableLoops(xml, data);
+        const paragraph = node.paragraphElements[0];
+        const { block, xml } = this.htmlConverter.convert(html, {
+            runProperties: node.runElements[0].properties,
+            paragraphProperties: paragraph.properties,
+            context
+        });
 
-        // Then clean up any remaining empty control rows
-        processedXml = this.removeEmptyControlRows(processedXml);
+        if (!block) {
+            return this.wordXmlScanner.closeElements(node.runElements) + xml +
+                this.wordXmlScanner.reopenElements(node.runElements);
+        }
 
-        return processedXml;
+        return this.wordXmlScanner.closeElements(node.paragraphElements) + BLOCK_START + xml + BLOCK_END +
+            this.wordXmlScanner.reopenElements(node.paragraphElements);
     }
 
-    processTableLoops(xml, data) {
-        // Find table rows with template variables
-        const tableRowRegex = /<w:tr[^>]*>([\s\S]*?)<\/w:tr>/g;
+    /**
+     * Drop the parts of split host paragraphs that were left without content,
+     * so a block value alone in its paragraph replaces it
+     * @param {string} xml - Rendered part XML
+     * @returns {string} - XML without block markers
+     */
+    replaceHostParagraphs(xml) {
+        if (!xml.includes(BLOCK_START)) return xml;
+
+        const blockRegex = /(<w:p[\s>](?:(?!<w:p[\s>])[\s\S])*?)?<!--block-start-->([\s\S]*?)<!--block-end-->((?:(?!<\/w:p>)[\s\S])*<\/w:p>)?/g;
+
+        return xml.replace(blockRegex, (match, before = '', content, after = '') => {
+            // The section break of a last paragraph stays with its second half
+            const keepAfter = this.hasParagraphContent(after) || after.includes('<w:sectPr');
+            const keptBefore = this.hasParagraphContent(before)
+                ? this.removeSectionProperties(before)
+                : '';
+
+            return keptBefore + content + (keepAfter ? after : '');
+        });
+    }
 
-        return xml.replace(tableRowRegex, (match, rowContent) => {
-            // Check if this row contains loop start markers
-            const loopStartMatch = rowContent.match(/\$\{#each\s+([^}]+)\}/);
-            if (loopStartMatch) {
-                const arrayPath = loopStartMatch[1];
-                console.log(`Found table loop start for: ${arrayPath}`);
+    // Only the last paragraph of a section may carry its section break
+    removeSectionProperties(xml) {
+        return xml.replace(/<w:sectPr\b[\s\S]*?<\/w:sectPr>/, '').replace(/<w:pPr><\/w:pPr>/, '');
+    }
 
-                try {
-                    const arrayData = this.expressionEvaluator.evaluate(arrayPath, data);
+    hasParagraphContent(xml) {
+        const content = xml.replace(/<w:pPr\b[\s\S]*?<\/w:pPr>/, '');
+        return /<w:t(?:\s[^>]*)?>[^<]*[^<\s][^<]*<\/w:t>|<w:(?:drawing|pict|object|tab|br|sym|fldSimple|fldChar|footnoteReference|endnoteReference)\b/.test(content);
+    }
 
-                    if (!Array.isArray(arrayData)) {
-                        console.warn(`Table loop data is not an array: ${arrayPath}`);
-                        return ''; // Remove the row
-                    }
+    renderLoop(node, data, context = {}) {
+        try {
+            console.log(`Processing loop for array: ${node.expression}`);
+            let arrayData = node.range
+                ? this.getRange(node.range, data)
+                : this.expressionEvaluator.evaluate(node.expression, data);
+
+            if (arrayData === null || arrayData === undefined) {
+                // Missing collections count as empty, so ${#else} shows
+                if (arrayData === undefined) console.warn(`Loop data is missing for path: ${node.expression}`);
+                arrayData = [];
+            } else if (typeof arrayData === 'object' && !Array.isArray(arrayData) && !(arrayData instanceof Date)) {
+                // Objects are repeated per property as { key, value }
+                arrayData = Object.entries(arrayData).map(([key, value]) => ({ key, value }));
+            } else if (!Array.isArray(arrayData)) {
+                console.warn(`Loop data is not an array for path: ${node.expression}`, arrayData);
+                return '';
+            }
 
-                    // This row starts a loop - mark it for processing but don't generate content yet
-                    return match; // Keep the row marker for now
+            arrayData = this.selectItems(arrayData, node, data);
 
-                } catch (error) {
-                    console.warn(`Table loop processing error for "${arrayPath}":`, error.message);
-                    return ''; // Remove problematic row
-                }
+            if (node.groupBy) {
+                arrayData = this.groupItems(arrayData, node.groupBy, data);
+                console.log(`Grouped ${node.expression} by ${node.groupBy} into ${arrayData.length} groups`);
             }
 
-            // Check if this row contains loop end markers
-            if (rowContent.includes('${/each}')) {
-                console.log('Found table loop end marker');
-                return match; // Keep the row marker for now
+            console.log(`Found ${arrayData.length} items in loop: ${node.expression}`);
+            if (arrayData.length === 0 && node.elseChildren) {
+                return this.renderNodes(node.elseChildren, data, context);
             }
 
-            return match; // Regular row, keep as-is
-        });
+            return arrayData.map((item, index) => this.renderNodes(node.children, {
+                ...data,
+                ...(node.groupBy ? { group: item } : {}),
+                this: item,
+                parent: data.this, // Allow access to immediate parent scope
+                _parentContext: data, // Allow recursively accessing ancestors via ../
+                index: index,
+                first: index === 0,
+                last: index === arrayData.length - 1,
+                count: arrayData.length
+            }, context)).join('');
+        } catch (error) {
+            console.error(`Loop processing error for "${node.expression}":`, error);
+            return `[ERROR: Loop ${node.expression} - ${error.message}]`;
+        }
     }
 
-    // Alternative approach: Pre-process table markup before XML processing
-    preprocessTableMarkup(content) {
-        console.log('🔧 Preprocessing table markup to handle loop markers...');
-
-        // Convert table-style markup to a format that's easier to process
-        // This handles the case where users write tables with | separators
+    // Numbers of a ${#each from..to} loop, none when from is larger, so 1..count works for zero
+    getRange(range, data) {
+        const from = Number(this.expressionEvaluator.evaluate(range.from, data));
+        const to = Number(this.expressionEvaluator.evaluate(range.to, data));
 
-        const tablePattern = /(\|[^|\n]+\|[\s\S]*?)(\|[\s\S]*?\|)/g;
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+            throw new Error(`Range ${range.from}..${range.to} needs whole numbers, got ${from}..${to}`);
+        }
+        if (to - from >= MAX_RANGE_LENGTH) {
+            throw new Error(`Range ${range.from}..${range.to} has more than ${MAX_RANGE_LENGTH} numbers`);
+        }
 
-        return content.replace(tablePattern, (match, ...args) => {
-            // Check if this table block contains loop markers
-            if (match.includes('${#each}') || match.includes('${/each}')) {
-                console.log('Found table with loop markers, preprocessing...');
+        return Array.from({ length: Math.max(0, to - from + 1) }, (_, index) => from + index);
+    }
 
-                // Remove loop marker rows that are just empty cells
-                let processed = match;
+    /**
+     * Apply the where, sortBy, offset and limit modifiers of a loop
+     * @param {Array} items - Items of the loop
+     * @param {Object} node - Loop node
+     * @param {Object} data - Data of the loop
+     * @returns {Array} - Selected items
+     */
+    selectItems(items, node, data) {
+        let selected = items;
+
+        if (node.where) {
+            selected = selected.filter(item => this.expressionEvaluator.evaluateCondition(node.where, this.getItemScope(item, data)));
+        }
 
-                // Remove rows that are just loop markers with empty cells
-                processed = processed.replace(/\|\s*\$\{#each[^}]+\}\s*\|[\s\n]*/g, '${#each $1}\n');
-                processed = processed.replace(/\|\s*\$\{\/each\}\s*\|[\s\n]*/g, '${/each}\n');
+        if (node.sortBy) {
+            const keyed = selected.map(item => ({
+                item,
+                keys: node.sortBy.map(field => this.expressionEvaluator.evaluate(field.expression, this.getItemScope(item, data)))
+            }));
+            keyed.sort((a, b) => {
+                for (let index = 0; index < node.sortBy.length; index++) {
+                    const order = this.compareValues(a.keys[index], b.keys[index]);
+                    if (order !== 0) return node.sortBy[index].descending ? -order : order;
+                }
+                return 0;
+            });
+            selected = keyed.map(entry => entry.item);
+        }
 
-                return processed;
-            }
+        const offset = node.offset ? this.getCount(node.offset, data, 'offset') : 0;
+        const limit = node.limit ? this.getCount(node.limit, data, 'limit') : selected.length;
 
-            return match;
-        });
+        return offset > 0 || limit < selected.length ? selected.slice(offset, offset + limit) : selected;
     }
 
-    processTablesWithControlRowRemoval(xml, data) {
-        console.log('Processing tables and removing control rows...');
+    getCount(expression, data, modifier) {
+        const value = Number(this.expressionEvaluator.evaluate(expression, data));
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Loop ${modifier} "${expression}" is not a whole number`);
+        }
+        return value;
+    }
 
-        // First, process loops normally
-        let processedXml = this.processLoops(xml, data);
+    // Empty values sort last, numbers and dates by value, everything else as text
+    compareValues(a, b) {
+        const empty = value => value === null || value === undefined || value === '';
+        if (empty(a) || empty(b)) return empty(a) - empty(b);
 
-        // Then remove empty table rows that were created by control markers
-        processedXml = this.removeTableControlRows(processedXml);
+        const valueOf = value => (value instanceof Date ? value.getTime() : value);
+        a = valueOf(a);
+        b = valueOf(b);
 
-        return processedXml;
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
     }
 
-    removeTableControlRows(xml) {
-        console.log('Removing empty table control rows...');
+    // Expressions about one item see its fields directly and as this
+    getItemScope(item, data) {
+        return item !== null && typeof item === 'object' ? { ...data, ...item, this: item } : { ...data, this: item };
+    }
 
-        // Pattern to match Word table rows
-        const tableRowRegex = /<w:tr[^>]*>([\s\S]*?)<\/w:tr>/g;
+    /**
+     * Split loop items into groups by a key, in the order the keys first appear
+     * @param {Array} items - Items of the loop
+     * @param {string} groupBy - Key expression, evaluated against each item, e.g. "branch"
+     * @param {Object} data - Data of the loop, for keys that use outer values
+     * @returns {Array<Object>} - Groups { key, items, count, sum, avg, min, max } with totals per numeric field
+     */
+    groupItems(items, groupBy, data) {
+        const groups = new Map();
+
+        for (const item of items) {
+            let key = this.expressionEvaluator.evaluate(groupBy, this.getItemScope(item, data));
+            if (key === undefined) key = null;
+            // Dates with the same time are one group
+            const mapKey = key instanceof Date ? key.getTime() : key;
+
+            if (!groups.has(mapKey)) groups.set(mapKey, { key, items: [] });
+            groups.get(mapKey).items.push(item);
+        }
 
-        return xml.replace(tableRowRegex, (match, rowContent) => {
-            // Check if this row contains only empty table cells
-            // This happens when ${#each} or ${/each} markers are processed and removed
+        return [...groups.values()].map(group => ({ ...group, count: group.items.length, ...this.getGroupTotals(group.items) }));
+    }
 
-            // Extract all text content from table cells
-            const cellTextMatches = rowContent.match(/<w:t[^>]*>([^<]*)<\/w:t>/g);
+    // Sum, average, minimum and maximum of every field that holds numbers in all items that have it
+    getGroupTotals(items) {
+        const totals = { sum: {}, avg: {}, min: {}, max: {} };
+        const values = new Map();
 
-            if (cellTextMatches) {
-                // Get the actual text content from all cells
-                const allText = cellTextMatches
-                    .map(match => match.replace(/<[^>]*>/g, '').trim())
-                    .join('');
+        for (const item of items) {
+            if (item === null || typeof item !== 'object') continue;
 
-                // If all cells are empty, remove this row
-                if (allText.length === 0) {
-                    console.log('Removing empty table row');
-                    return '';
-                }
-            }
-
-            // Also check for rows that contain only whitespace
-            const textContent = rowContent.replace(/<[^>]*>/g, '').trim();
-            if (textContent.length === 0) {
-                console.log('Removing whitespace-only table row');
-                return '';
+            for (const [field, value] of Object.entries(item)) {
+                if (value === null || value === undefined || value === '') continue;
+                if (!values.has(field)) values.set(field, []);
+                values.get(field).push(value);
             }
+        }
 
-            return match; // Keep rows with actual content
-        });
-    }
-
-    // Alternative approach: Process table loops with row cleanup
-    processTableLoopsClean(xml, data) {
-        // Find table loop patterns like:
-        // |${#each array}|
-        // |${this.prop}|${this.prop2}|
-        // |${/each}|
-
-        const tableLoopPattern = /(\|[^|\n]*\$\{#each\s+([^}]+)\}[^|\n]*\|[\s\n]*)([\s\S]*?)(\|[^|\n]*\$\{\/each\}[^|\n]*\|)/g;
+        for (const [field, fieldValues] of values) {
+            const numeric = fieldValues.every(value => typeof value === 'number' ||
+                (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))));
+            if (!numeric) continue;
 
-        return xml.replace(tableLoopPattern, (match, startRow, arrayPath, content, endRow) => {
-            try {
-                console.log(`Processing table loop: ${arrayPath}`);
+            const numbers = fieldValues.map(Number);
+            totals.sum[field] = numbers.reduce((total, value) => total + value, 0);
+            totals.avg[field] = totals.sum[field] / numbers.length;
+            totals.min[field] = Math.min(...numbers);
+            totals.max[field] = Math.max(...numbers);
+        }
 
-                const arrayData = this.expressionEvaluator.evaluate(arrayPath, data);
+        return totals;
+    }
 
-                if (!Array.isArray(arrayData)) {
-                    console.warn(`Not an array: ${arrayPath}`);
-                    return '';
-                }
+    renderCondition(node, data, context = {}) {
+        for (const branch of node.branches) {
+            if (branch.type === 'else') return this.renderNodes(branch.children, data, context);
 
-                // Process each item in the array
-                const generatedRows = arrayData.map((item, index) => {
-                    const contextData = {
-                        ...data,
-                        this: item,
-                        index: index
-                    };
+            let result = this.expressionEvaluator.evaluateCondition(branch.condition, data);
+            if (branch.type === 'unless') result = !result;
 
-                    // Process the content between start and end markers
-                    let processedContent = this.processVariablesInLoop(content, contextData);
-                    return processedContent;
-                }).join('');
+            console.log(`Condition "${branch.condition}" evaluated to: ${result}`);
+            if (result) return this.renderNodes(branch.children, data, context);
+        }
 
-                return generatedRows; // Return only the generated content, no control rows
+        return '';
+    }
 
-            } catch (error) {
-                console.error(`Table loop error: ${error.message}`);
-                return '';
-            }
-        });
+    // Returns the names of all package parts that may contain template tags,
+    // with the main document first so its output is logged before the rest
+    static getTemplateParts(zip) {
+        return Object.keys(zip.files)
+            .filter(name => TEMPLATE_PART_PATTERN.test(name))
+            .sort((a, b) => {
+                if (a === 'word/document.xml') return -1;
+                if (b === 'word/document.xml') return 1;
+                return a.localeCompare(b, undefined, { numeric: true });
+            });
     }
 
     removeEmptyControlRows(xml) {
@@ -919,6 +965,11 @@ class TemplateEngine {
         // Pattern for rows that contain only whitespace in table cells
         const whitespaceOnlyRowPattern = /<w:tr[^>]*>([\s\S]*?)<\/w:tr>/g;
         cleaned = cleaned.replace(whitespaceOnlyRowPattern, (match, content) => {
+            // Pictures, symbols and charts are content even without text
+            if (/<w:(?:drawing|pict|object)[\s>]/.test(content)) {
+                return match;
+            }
+
             // Check if the row content contains only whitespace and empty table cell structures
             const hasActualContent = /<w:t[^>]*>([^<]+)<\/w:t>/.test(content);
             const actualText = content.match(/<w:t[^>]*>([^<]*)<\/w:t>/g);
@@ -942,46 +993,80 @@ class TemplateEngine {
     }
 
 
-    processAdvancedTable(xml, data) {
-        console.log('🔧 Processing advanced table with loop markers...');
+    /**
+     * Fill the ${...} tags of a plain text template, e.g. a file name
+     * @param {string} text - Text with tags such as "${loan.agreementNumber}.docx"
+     * @param {Object} data - Template data
+     * @returns {string} - Text with tag values, styling formatters are ignored
+     */
+    renderText(text, data) {
+        return text.replace(/\$\{([^}]+)\}/g, (match, content) => {
+            const { expression, formatters } = this.expressionEvaluator.parseTag(content);
+            let value = this.expressionEvaluator.evaluate(expression, data);
 
-        // Pattern to match table structures with loop markers
-        const tableLoopPattern = /<w:tr[^>]*>[\s\S]*?\$\{#each\s+([^}]+)\}[\s\S]*?<\/w:tr>([\s\S]*?)<w:tr[^>]*>[\s\S]*?\$\{\/each\}[\s\S]*?<\/w:tr>/g;
+            if (formatters.length > 0) {
+                value = this.formatHelper.applyFormatters(value, formatters);
+            }
+            if (value && typeof value === 'object' && value.formatting) {
+                value = value.value;
+            }
+            if (value && typeof value === 'object' && value.link) {
+                value = value.link.text;
+            }
 
-        return xml.replace(tableLoopPattern, (match, arrayPath, contentBetween) => {
-            try {
-                console.log(`Processing advanced table loop for: ${arrayPath}`);
-                const arrayData = this.expressionEvaluator.evaluate(arrayPath, data);
+            return String(value ?? '');
+        });
+    }
 
-                if (!Array.isArray(arrayData)) {
-                    console.warn(`Advanced table loop data is not an array: ${arrayPath}`);
-                    return '';
-                }
+    // Turns an evaluated (and formatted) tag value into the XML that replaces the tag
+    renderVariableValue(value, node, context = {}) {
+        // Styling formatters (bold, color, ...) return { value, formatting }
+        const styled = Boolean(value && typeof value === 'object' && value.formatting);
+        const text = String((styled ? value.value : value) ?? '');
+        const formatting = styled ? value.formatting : null;
 
-                console.log(`Generating ${arrayData.length} table rows for ${arrayPath}`);
+        if (!node.runElements) {
+            if (styled) console.warn('Styled value is not inside a text run, inserting it unformatted');
+            return this.escapeXml(text);
+        }
 
-                // Generate table rows for each data item
-                return arrayData.map((item, index) => {
-                    const contextData = {
-                        ...data,
-                        this: item,
-                        index: index,
-                        first: index === 0,
-                        last: index === arrayData.length - 1
-                    };
+        // With paragraphBreaks a blank line starts a new paragraph like the host one
+        const paragraphs = context.paragraphBreaks ? text.split(/\r?\n[ \t]*\r?\n/) : [text];
+        if (paragraphs.length === 1) {
+            return this.renderValueText(text, formatting, node.runElements);
+        }
 
-                    // Process the content between loop markers with context
-                    let processedRow = this.processVariablesInLoop(contentBetween, contextData);
-                    processedRow = this.processConditionsInLoop(processedRow, contextData);
+        const paragraphProperties = this.removeSectionProperties(node.paragraphElements[0].properties);
+        const middle = paragraphs.slice(1, -1).map(paragraph => `<w:p>${paragraphProperties}` +
+            this.docxXmlFormatter.handleSpecialContent(paragraph, formatting || {}, node.runElements[0].properties) + '</w:p>');
 
-                    return processedRow;
-                }).join('');
+        return this.renderValueText(paragraphs[0], formatting, node.runElements) +
+            this.wordXmlScanner.closeElements(node.paragraphElements) + BLOCK_START + middle.join('') + BLOCK_END +
+            this.wordXmlScanner.reopenElements(node.paragraphElements) +
+            this.renderValueText(paragraphs[paragraphs.length - 1], formatting, node.runElements);
+    }
 
-            } catch (error) {
-                console.error(`Advanced table processing error for "${arrayPath}":`, error);
-                return `[ERROR: Table loop ${arrayPath}]`;
-            }
-        });
+    // Value text in the tag's run, line breaks and tabs become <w:br/> and <w:tab/>
+    renderValueText(text, formatting, runElements) {
+        if (formatting) {
+            // End the template run, add a run with the merged properties, then resume
+            // the template run so the text after the tag keeps its own formatting
+            return this.wordXmlScanner.closeElements(runElements) +
+                this.docxXmlFormatter.handleSpecialContent(text, formatting, runElements[0].properties) +
+                this.wordXmlScanner.reopenElements(runElements);
+        }
+
+        if (!this.docxXmlFormatter.needsSpecialHandling(text)) {
+            return this.escapeXml(text);
+        }
+
+        // Only the text element is split, breaks and tabs stay in the template run
+        return '</w:t>' + this.docxXmlFormatter.renderSpecialText(text) + '<w:t xml:space="preserve">';
+    }
+
+    // Text next to a split-off run may now start or end with a space
+    preserveTextSpaces(xml) {
+        return xml.replace(/<w:t>/g, '<w:t xml:space="preserve">');
     }
 
     escapeXml(text) {
@@ -0,0 +1,128 @@
+// src/core/WordXmlScanner.js
+
+// Elements whose first child carries their formatting properties
+const PROPERTY_ELEMENTS = {
+    'w:p': 'w:pPr',
+    'w:r': 'w:rPr'
+};
+
+class WordXmlScanner {
+    /**
+     * Find the elements that are still open at a position inside a paragraph
+     * @param {string} xml - WordprocessingML fragment
+     * @param {number} offset - Position to inspect (e.g. where a tag starts)
+     * @returns {Array<Object>|null} - Open elements from the enclosing <w:p> inwards,
+     *   each as { name, startTag, properties, start }, or null outside a paragraph
+     */
+    getOpenElements(xml, offset) {
+        let candidate = this.findElementStart(xml, 'w:p', offset);
+
+        // Paragraphs nested in text boxes close before the offset, keep walking
+        // back until we find the paragraph that actually contains it
+        while (candidate !== -1) {
+            const stack = this.scanOpenElements(xml, candidate, offset);
+            if (stack && stack.length > 0 && stack[0].start === candidate) {
+                return stack;
+            }
+            candidate = this.findElementStart(xml, 'w:p', candidate - 1);
+        }
+
+        return null;
+    }
+
+    findElementStart(xml, name, before) {
+        let index = before;
+
+        while (index >= 0) {
+            index = xml.lastIndexOf(`<${name}`, index);
+            if (index === -1) return -1;
+
+            const next = xml[index + name.length + 1];
+            if (next === '>' || next === ' ' || next === '/') {
+                return index;
+            }
+            index--;
+        }
+
+        return -1;
+    }
+
+    scanOpenElements(xml, from, to) {
+        const tagRegex = /<(\/?)([A-Za-z][\w:.-]*)([^>]*?)(\/?)>/g;
+        tagRegex.lastIndex = from;
+
+        const stack = [];
+        let match;
+
+        while ((match = tagRegex.exec(xml)) !== null && match.index < to) {
+            const [startTag, closing, name, , selfClosing] = match;
+
+            if (closing) {
+                const openIndex = stack.map(element => element.name).lastIndexOf(name);
+                if (openIndex === -1) return null;
+                stack.length = openIndex;
+            } else if (!selfClosing) {
+                stack.push({
+                    name,
+                    startTag,
+                    start: match.index,
+                    properties: this.readProperties(xml, name, match.index + startTag.length)
+                });
+            }
+
+            if (stack.length === 0) return stack;
+        }
+
+        return stack;
+    }
+
+    readProperties(xml, name, position) {
+        const propertyName = PROPERTY_ELEMENTS[name];
+        if (!propertyName || !xml.startsWith(`<${propertyName}`, position)) return '';
+
+        if (xml.startsWith(`<${propertyName}/>`, position)) {
+            return `<${propertyName}/>`;
+        }
+
+        const end = xml.indexOf(`</${propertyName}>`, position);
+        return end === -1 ? '' : xml.substring(position, end + propertyName.length + 3);
+    }
+
+    /**
+     * Close open elements, innermost first
+     * @param {Array<Object>} elements - Open elements as returned by getOpenElements
+     * @returns {string} - Closing tags
+     */
+    closeElements(elements) {
+        return elements.slice().reverse().map(element => `</${element.name}>`).join('');
+    }
+
+    /**
+     * Re-open elements with their original attributes and properties
+     * @param {Array<Object>} elements - Open elements as returned by getOpenElements
+     * @returns {string} - Opening tags
+     */
+    reopenElements(elements) {
+        return elements.map(element => {
+            // Text split off from a run may start or end with spaces
+            if (element.name === 'w:t') {
+                return '<w:t xml:space="preserve">';
+            }
+            return element.startTag + element.properties;
+        }).join('');
+    }
+
+    /**
+     * Get the open elements from the innermost run inwards (w:r, w:t)
+     * @param {Array<Object>|null} openElements - Result of getOpenElements
+     * @returns {Array<Object>|null} - Run-level elements, or null when not inside run text
+     */
+    getRunElements(openElements) {
+        if (!openElements || openElements[openElements.length - 1].name !== 'w:t') return null;
+
+        const runIndex = openElements.map(element => element.name).lastIndexOf('w:r');
+        return runIndex === -1 ? null : openElements.slice(runIndex);
+    }
+}
+
+module.exports = WordXmlScanner;
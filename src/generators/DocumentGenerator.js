@@ -4,17 +4,57 @@
 // ======================================================================
 
 const TemplateEngine = require('../core/TemplateEngine');
+const DocumentMerger = require('./DocumentMerger');
+const HeaderFooterWriter = require('./HeaderFooterWriter');
+const LibreOfficeConverter = require('../converters/LibreOfficeConverter');
 const PizZip = require('pizzip');
 
+// Output format → file extension and MIME type of the generated document
+const OUTPUT_FORMATS = {
+    docx: {
+        extension: 'docx',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+    pdf: {
+        extension: 'pdf',
+        contentType: 'application/pdf'
+    }
+};
+
 class DocumentGenerator {
-    constructor() {
+    /**
+     * @param {Object} options - { converter } to replace the LibreOffice converter used for PDF output
+     */
+    constructor(options = {}) {
         this.templateEngine = new TemplateEngine();
+        this.documentMerger = new DocumentMerger();
+        this.headerFooterWriter = new HeaderFooterWriter();
+        this.converter = options.converter || new LibreOfficeConverter();
+    }
+
+    static get OUTPUT_FORMATS() {
+        return OUTPUT_FORMATS;
+    }
+
+    /**
+     * Look up the extension and MIME type of an output format
+     * @param {string} [outputFormat] - "docx" (default) or "pdf"
+     * @returns {{extension: string, contentType: string}}
+     */
+    static getOutputFormat(outputFormat = 'docx') {
+        const format = OUTPUT_FORMATS[String(outputFormat).toLowerCase()];
+        if (!format) {
+            throw new Error(`Unsupported output format: ${outputFormat}. Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        }
+        return format;
     }
 
     async generateDocument(templateBuffer, data, options = {}) {
     try {
-        // Enhanced validation
-        await this.validateDocxBuffer(templateBuffer);
+        DocumentGenerator.getOutputFormat(options.outputFormat);
+
+        // Compiled templates are cached, the buffer is only validated on first use
+        const compiledTemplate = await this.compileTemplate(templateBuffer, options);
         
         // Validate input data
         this.validateGenerationData(data);
@@ -22,12 +62,18 @@ class DocumentGenerator {
         // Pre-process data for better compatibility
         const processedData = this.preprocessData(data, options);
 
+        // Included templates are loaded for every document, unpinned ones may have a new version
+        const includes = await this.templateEngine.resolveIncludes(compiledTemplate, options.includeResolver);
+
         // Generate document using template engine
-        let generatedBuffer = await this.templateEngine.processTemplate(templateBuffer, processedData);
+        let generatedBuffer = this.templateEngine.renderTemplate(compiledTemplate, processedData, {
+            paragraphBreaks: options.paragraphBreaks,
+            includes
+        });
 
         // Post-process if needed
-        if (options.postProcess) {
-            generatedBuffer = await this.postProcessDocument(generatedBuffer, options);
+        if (this.needsPostProcessing(options)) {
+            generatedBuffer = await this.postProcessDocument(generatedBuffer, options, processedData);
         }
 
         return generatedBuffer;
@@ -38,6 +84,20 @@ class DocumentGenerator {
 
 
 
+async compileTemplate(templateBuffer, options = {}) {
+    const cacheKey = options.cacheKey || this.templateEngine.getTemplateHash(templateBuffer);
+
+    const compiledTemplate = this.templateEngine.getCompiledTemplate(cacheKey);
+    if (compiledTemplate) {
+        return compiledTemplate;
+    }
+
+    // Enhanced validation
+    await this.validateDocxBuffer(templateBuffer);
+
+    return this.templateEngine.compileTemplate(templateBuffer, { cacheKey });
+}
+
 async validateDocxBuffer(buffer) {
     console.log('🔍 Validating DOCX buffer...');
     console.log(`Buffer size: ${buffer.length} bytes`);
@@ -238,55 +298,86 @@ async validateDocxBuffer(buffer) {
         }
     }
 
-    async postProcessDocument(documentBuffer, options) {
+    // Explicit postProcess: false skips it
+    needsPostProcessing(options = {}) {
+        if (options.postProcess === false) return false;
+
+        return Boolean(options.postProcess || options.addPageNumbers || options.header || options.footer ||
+            DocumentGenerator.getOutputFormat(options.outputFormat).extension !== 'docx');
+    }
+
+    async postProcessDocument(documentBuffer, options, data = {}) {
         // Implement post-processing features
         let processedBuffer = documentBuffer;
 
-        // Add page numbers if requested
-        if (options.addPageNumbers) {
-            processedBuffer = await this.addPageNumbers(processedBuffer);
+        // Add headers/footers if requested, before page numbers extend the footers
+        if (options.header || options.footer) {
+            processedBuffer = await this.addHeaderFooter(processedBuffer, options, data);
         }
 
-        // Add headers/footers if requested
-        if (options.header || options.footer) {
-            processedBuffer = await this.addHeaderFooter(processedBuffer, options);
+        // Add page numbers if requested
+        if (options.addPageNumbers) {
+            processedBuffer = await this.addPageNumbers(processedBuffer, options.addPageNumbers);
         }
 
         // Convert to PDF if requested
-        if (options.outputFormat === 'pdf') {
+        if (DocumentGenerator.getOutputFormat(options.outputFormat).extension === 'pdf') {
             processedBuffer = await this.convertToPdf(processedBuffer);
         }
 
         return processedBuffer;
     }
 
-    async addPageNumbers(documentBuffer) {
-        // Implement page number addition
-        // This would require more complex DOCX manipulation
-        console.warn('Page numbers feature not yet implemented');
-        return documentBuffer;
+    /**
+     * Add page number fields to the footer of every section
+     * @param {Buffer} documentBuffer - Generated DOCX
+     * @param {boolean|Object} pageNumbers - true for the defaults, or { position, format, start }
+     * @returns {Promise<Buffer>} - DOCX with page numbers
+     */
+    async addPageNumbers(documentBuffer, pageNumbers = true) {
+        const settings = typeof pageNumbers === 'object' && pageNumbers !== null ? pageNumbers : {};
+        return this.headerFooterWriter.addPageNumbers(documentBuffer, settings);
     }
 
-    async addHeaderFooter(documentBuffer, options) {
-        // Implement header/footer addition
-        console.warn('Header/footer feature not yet implemented');
-        return documentBuffer;
+    /**
+     * Add the headers and footers given in the options to every section
+     * @param {Buffer} documentBuffer - Generated DOCX
+     * @param {Object} options - { header, footer }, each a text or { text, align, odd, first, even }
+     * @param {Object} data - Data the ${...} tags of the header and footer texts are filled with
+     * @returns {Promise<Buffer>} - DOCX with the headers and footers
+     */
+    async addHeaderFooter(documentBuffer, options, data = {}) {
+        return this.headerFooterWriter.addHeaderFooter(
+            documentBuffer,
+            { header: options.header, footer: options.footer },
+            (xml, part) => this.templateEngine.processXmlPart(xml, data, { paragraphBreaks: options.paragraphBreaks, ...part })
+        );
     }
 
     async convertToPdf(documentBuffer) {
-        // This would require a library like puppeteer or libre-office
-        console.warn('PDF conversion feature not yet implemented');
-        return documentBuffer;
+        try {
+            return await this.converter.convert(documentBuffer, 'pdf');
+        } catch (error) {
+            throw new Error(`PDF conversion failed: ${error.message}`);
+        }
     }
 
     async batchGenerate(templateBuffer, dataArray, options = {}) {
         const batchSize = options.batchSize || 10;
         const results = [];
 
+        // Hash the template once, every dataset renders the same compiled template
+        options = {
+            ...options,
+            cacheKey: options.cacheKey || this.templateEngine.getTemplateHash(templateBuffer)
+        };
+
         for (let i = 0; i < dataArray.length; i += batchSize) {
             const batch = dataArray.slice(i, i + batchSize);
             const batchResults = await this.generateMultipleDocuments(templateBuffer, batch, options);
-            results.push(...batchResults);
+
+            // Batch results are numbered from zero, report positions in the whole array
+            results.push(...batchResults.map(result => ({ ...result, index: i + result.index })));
 
             // Optional delay between batches to prevent system overload
             if (options.batchDelay && i + batchSize < dataArray.length) {
@@ -297,6 +388,113 @@ async validateDocxBuffer(buffer) {
         return results;
     }
 
+    /**
+     * Mail merge: render every dataset and combine the results into one document
+     * @param {Buffer} templateBuffer - DOCX template
+     * @param {Array<Object>} dataArray - One dataset per record
+     * @param {Object} options - batchGenerate options plus { separator: 'section' | 'page' }
+     * @returns {Promise<{document: Buffer, results: Array<Object>}>} - Merged DOCX and per-record results
+     */
+    async generateMergedDocument(templateBuffer, dataArray, options = {}) {
+        DocumentGenerator.getOutputFormat(options.outputFormat);
+
+        // Headers and footers are filled per record, page numbers and PDF conversion apply to the merged document
+        const results = await this.batchGenerate(templateBuffer, dataArray, {
+            ...options,
+            addPageNumbers: false,
+            outputFormat: 'docx'
+        });
+        const documents = results.filter(result => result.success).map(result => result.document);
+
+        if (documents.length === 0) {
+            throw new Error('Mail merge failed: no document could be generated');
+        }
+
+        let mergedBuffer = this.documentMerger.merge(documents, { separator: options.separator });
+
+        const mergedOptions = { ...options, header: undefined, footer: undefined };
+        if (this.needsPostProcessing(mergedOptions)) {
+            mergedBuffer = await this.postProcessDocument(mergedBuffer, mergedOptions);
+        }
+
+        return { document: mergedBuffer, results };
+    }
+
+    /**
+     * Pack the successful documents of a batch into one ZIP with a report.json
+     * @param {Array<Object>} results - Results of batchGenerate
+     * @param {Array<Object>} dataArray - Datasets the results were generated from
+     * @param {Object} options - { fileNameTemplate, outputFormat }
+     * @returns {Buffer} - ZIP archive
+     */
+    createBulkArchive(results, dataArray, options = {}) {
+        const zip = new PizZip();
+        const usedNames = new Set();
+        const report = {
+            generatedAt: new Date().toISOString(),
+            total: results.length,
+            successful: 0,
+            failed: 0,
+            documents: [],
+            failures: []
+        };
+
+        for (const result of results) {
+            if (!result.success) {
+                report.failed++;
+                report.failures.push({ index: result.index, error: result.error });
+                continue;
+            }
+
+            const fileName = this.buildFileName(options.fileNameTemplate, dataArray[result.index], result.index, options, usedNames);
+            zip.file(fileName, result.document);
+
+            report.successful++;
+            report.documents.push({ index: result.index, fileName, size: result.size });
+        }
+
+        zip.file('report.json', JSON.stringify(report, null, 2));
+
+        console.log(`🗜️ Bulk archive: ${report.successful} documents, ${report.failed} failures`);
+        return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    buildFileName(fileNameTemplate, data, index, options = {}, usedNames = new Set()) {
+        const extension = `.${DocumentGenerator.getOutputFormat(options.outputFormat).extension}`;
+        let baseName = '';
+
+        if (fileNameTemplate) {
+            try {
+                baseName = this.templateEngine.renderText(fileNameTemplate, data || {});
+            } catch (error) {
+                console.warn(`File name template error for document ${index}:`, error.message);
+            }
+        }
+
+        if (baseName.toLowerCase().endsWith(extension)) {
+            baseName = baseName.substring(0, baseName.length - extension.length);
+        }
+
+        // Keep names portable and inside the archive root
+        baseName = baseName
+            .replace(/[\\/:*?"<>|\x00-\x1F]/g, '_')
+            .replace(/^[.\s]+|[.\s]+$/g, '')
+            .substring(0, 150);
+
+        if (!baseName) {
+            baseName = `document_${index + 1}`;
+        }
+
+        // Datasets with the same name get a counter
+        let fileName = `${baseName}${extension}`;
+        for (let counter = 2; usedNames.has(fileName.toLowerCase()); counter++) {
+            fileName = `${baseName} (${counter})${extension}`;
+        }
+        usedNames.add(fileName.toLowerCase());
+
+        return fileName;
+    }
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
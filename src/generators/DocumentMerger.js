@@ -0,0 +1,332 @@
+// src/generators/DocumentMerger.js
+const crypto = require('crypto');
+const DocxPackage = require('../core/DocxPackage');
+
+const DOCUMENT_PART = 'word/document.xml';
+const PAGE_BREAK = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+class DocumentMerger {
+    /**
+     * Concatenate the bodies of several DOCX files into one document
+     * @param {Array<Buffer>} documents - Generated documents, the first one is the base
+     * @param {Object} options - { separator: 'section' (default) or 'page' }
+     * @returns {Buffer} - Merged DOCX
+     */
+    merge(documents, options = {}) {
+        if (!documents || documents.length === 0) {
+            throw new Error('No documents to merge');
+        }
+
+        const separator = options.separator || 'section';
+        if (!['section', 'page'].includes(separator)) {
+            throw new Error(`Unknown separator "${separator}", use "section" or "page"`);
+        }
+
+        console.log(`📚 Merging ${documents.length} documents (${separator} breaks)`);
+
+        const target = new DocxPackage(documents[0]);
+        const documentXml = target.readText(DOCUMENT_PART);
+        const first = this.splitBody(documentXml);
+        const state = this.createMergeState(target);
+
+        const bodies = [first.content];
+        let sectPr = first.sectPr;
+
+        for (let index = 1; index < documents.length; index++) {
+            const source = new DocxPackage(documents[index]);
+            const record = this.splitBody(source.readText(DOCUMENT_PART));
+
+            // Parts, numbering and styles are copied once per record
+            state.partMap = new Map();
+            state.numberingMap = new Map();
+            state.styleMap = new Map();
+            state.recordNumber = index + 1;
+
+            const content = this.importContent(source, target, record.content, state);
+
+            if (separator === 'section') {
+                // The previous record keeps its own page setup, headers and footers
+                bodies.push(`<w:p><w:pPr>${sectPr}</w:pPr></w:p>`);
+                sectPr = this.importContent(source, target, record.sectPr, state)
+                    .replace(/<w:type w:val="continuous"\/>/, '<w:type w:val="nextPage"/>');
+            } else {
+                bodies.push(PAGE_BREAK);
+            }
+
+            bodies.push(content);
+        }
+
+        target.write(DOCUMENT_PART, first.before + bodies.join('') + sectPr + first.after);
+        this.writeMergeState(target, state);
+
+        console.log('✅ Documents merged');
+        return target.generate();
+    }
+
+    // Splits document.xml into what surrounds the body, the body content and the final sectPr
+    splitBody(xml) {
+        const bodyStart = xml.indexOf('<w:body>');
+        const bodyEnd = xml.lastIndexOf('</w:body>');
+        if (bodyStart === -1 || bodyEnd === -1) {
+            throw new Error('Document has no <w:body>');
+        }
+
+        const inner = xml.substring(bodyStart + '<w:body>'.length, bodyEnd);
+        const sectPrStart = inner.lastIndexOf('<w:sectPr');
+        const hasBodySectPr = sectPrStart !== -1 && !/<\/w:(p|tbl|sdt)>/.test(inner.substring(sectPrStart));
+
+        return {
+            before: xml.substring(0, bodyStart + '<w:body>'.length),
+            content: hasBodySectPr ? inner.substring(0, sectPrStart) : inner,
+            sectPr: hasBodySectPr ? inner.substring(sectPrStart) : '<w:sectPr/>',
+            after: xml.substring(bodyEnd)
+        };
+    }
+
+    createMergeState(target) {
+        const maxId = (xml, regex) => Math.max(0, ...[...(xml || '').matchAll(regex)].map(match => Number(match[1])));
+        const wordParts = Object.keys(target.zip.files).filter(name => /^word\/[^/]+\.xml$/.test(name));
+        const allXml = wordParts.map(name => target.readText(name)).join('');
+        const numberingXml = target.readText('word/numbering.xml');
+        const footnotesXml = target.readText('word/footnotes.xml');
+        const endnotesXml = target.readText('word/endnotes.xml');
+
+        return {
+            nextDrawingId: maxId(allXml, /<wp:docPr\s[^>]*?id="(\d+)"/g) + 1,
+            nextBookmarkId: maxId(allXml, /<w:bookmarkStart\s[^>]*?w:id="(\d+)"/g) + 1,
+            numberingXml,
+            nextNumId: maxId(numberingXml, /<w:num\s[^>]*?w:numId="(\d+)"/g) + 1,
+            nextAbstractNumId: maxId(numberingXml, /<w:abstractNum\s[^>]*?w:abstractNumId="(\d+)"/g) + 1,
+            stylesXml: target.readText('word/styles.xml'),
+            notes: {
+                footnote: { xml: footnotesXml, nextId: maxId(footnotesXml, /<w:footnote\s[^>]*?w:id="(\d+)"/g) + 1 },
+                endnote: { xml: endnotesXml, nextId: maxId(endnotesXml, /<w:endnote\s[^>]*?w:id="(\d+)"/g) + 1 }
+            }
+        };
+    }
+
+    writeMergeState(target, state) {
+        if (state.numberingXml) target.write('word/numbering.xml', state.numberingXml);
+        if (state.stylesXml) target.write('word/styles.xml', state.stylesXml);
+        if (state.notes.footnote.xml) target.write('word/footnotes.xml', state.notes.footnote.xml);
+        if (state.notes.endnote.xml) target.write('word/endnotes.xml', state.notes.endnote.xml);
+    }
+
+    /**
+     * Make body XML of another package valid in the target package
+     * @param {DocxPackage} source - Package the XML comes from
+     * @param {DocxPackage} target - Package the XML is merged into
+     * @param {string} xml - Body content or sectPr
+     * @param {Object} state - Id counters and copied definitions
+     * @param {string} [targetPartName] - Part the XML is written to, the main document by default
+     * @returns {string} - XML with relationships, numbering, styles, notes and ids remapped
+     */
+    importContent(source, target, xml, state, targetPartName = DOCUMENT_PART) {
+        let result = this.importRelationships(source, DOCUMENT_PART, target, targetPartName, xml, state);
+        result = this.importNumbering(source, target, result, state);
+        result = this.importStyles(source, result, state);
+        result = this.importNotes(source, result, state);
+        result = this.renumberDrawings(result, state);
+
+        // Bookmark ids must be unique in the whole document
+        const bookmarkIds = new Map();
+        result = result.replace(/(<w:bookmark(?:Start|End)\s[^>]*?w:id=")(\d+)"/g, (match, prefix, id) => {
+            if (!bookmarkIds.has(id)) bookmarkIds.set(id, state.nextBookmarkId++);
+            return `${prefix}${bookmarkIds.get(id)}"`;
+        });
+
+        // Comments stay with the first record only
+        return result.replace(/<w:comment(?:RangeStart|RangeEnd|Reference)\s[^>]*\/>/g, '');
+    }
+
+    importRelationships(source, sourcePartName, target, targetPartName, xml, state) {
+        const relationships = source.getRelationships(sourcePartName);
+        const idMap = new Map();
+
+        return xml.replace(/(\sr:[A-Za-z]+=")([^"]+)"/g, (match, prefix, id) => {
+            if (!idMap.has(id)) {
+                const relationship = relationships.find(candidate => candidate.id === id);
+                if (!relationship) return match;
+
+                idMap.set(id, this.importRelationship(source, sourcePartName, target, targetPartName, relationship, state));
+            }
+            return `${prefix}${idMap.get(id)}"`;
+        });
+    }
+
+    importRelationship(source, sourcePartName, target, targetPartName, relationship, state) {
+        if (relationship.targetMode === 'External') {
+            return target.addRelationship(targetPartName, relationship.type, relationship.target, 'External');
+        }
+
+        const partName = this.importPart(source, source.resolveTarget(sourcePartName, relationship.target), target, state);
+        return target.addRelationship(targetPartName, relationship.type, target.relativeTarget(targetPartName, partName));
+    }
+
+    // Copies a part (media, header, footer, chart, ...) and everything it links to
+    importPart(source, partName, target, state) {
+        if (state.partMap.has(partName)) return state.partMap.get(partName);
+
+        const newPartName = target.getUniquePartName(partName);
+        state.partMap.set(partName, newPartName);
+
+        const contentType = source.getContentType(partName);
+        if (contentType && /xml$/.test(contentType)) {
+            let xml = source.readText(partName);
+            xml = this.importRelationships(source, partName, target, newPartName, xml, state);
+            target.write(newPartName, this.renumberDrawings(xml, state));
+        } else {
+            target.write(newPartName, source.readBinary(partName));
+        }
+
+        target.registerContentType(newPartName, contentType);
+        return newPartName;
+    }
+
+    // Each record gets its own list instances so numbering restarts per record
+    importNumbering(source, target, xml, state) {
+        if (!/<w:numId\s/.test(xml)) return xml;
+
+        const sourceNumbering = source.readText('word/numbering.xml');
+        if (!sourceNumbering) {
+            console.warn('Numbering cannot be merged, a document has no numbering part');
+            return xml;
+        }
+
+        // Lists added while rendering (html, markdown) may exist in later records only
+        if (!state.numberingXml) {
+            state.numberingXml = target.ensureNumbering();
+        }
+
+        return xml.replace(/(<w:numId\s+w:val=")(\d+)"/g, (match, prefix, numId) => {
+            if (numId === '0') return match;
+
+            if (!state.numberingMap.has(numId)) {
+                state.numberingMap.set(numId, this.copyNumberingInstance(sourceNumbering, numId, state));
+            }
+            const newNumId = state.numberingMap.get(numId);
+            return newNumId === null ? match : `${prefix}${newNumId}"`;
+        });
+    }
+
+    copyNumberingInstance(sourceNumbering, numId, state) {
+        const num = sourceNumbering.match(new RegExp(`<w:num\\s[^>]*?w:numId="${numId}"[^>]*>[\\s\\S]*?</w:num>`));
+        const abstractNumId = num && (num[0].match(/<w:abstractNumId\s+w:val="(\d+)"/) || [])[1];
+        const abstractNum = abstractNumId !== undefined && sourceNumbering.match(
+            new RegExp(`<w:abstractNum\\s[^>]*?w:abstractNumId="${abstractNumId}"[^>]*>[\\s\\S]*?</w:abstractNum>`));
+
+        if (!num || !abstractNum) {
+            console.warn(`Numbering definition ${numId} not found, keeping the list id`);
+            return null;
+        }
+
+        const newAbstractNumId = state.nextAbstractNumId++;
+        const newNumId = state.nextNumId++;
+
+        // A fresh nsid keeps Word from joining the copy with the original list
+        const nsid = crypto.randomBytes(4).toString('hex').toUpperCase();
+        const abstractCopy = abstractNum[0]
+            .replace(/(w:abstractNumId=")\d+"/, `$1${newAbstractNumId}"`)
+            .replace(/<w:nsid\s+w:val="[^"]*"\/>/, `<w:nsid w:val="${nsid}"/>`);
+        const numCopy = num[0]
+            .replace(/(w:numId=")\d+"/, `$1${newNumId}"`)
+            .replace(/(<w:abstractNumId\s+w:val=")\d+"/, `$1${newAbstractNumId}"`);
+
+        // Abstract definitions must precede all list instances
+        let numberingXml = state.numberingXml;
+        const lastAbstractEnd = numberingXml.lastIndexOf('</w:abstractNum>');
+        const firstNum = numberingXml.search(/<w:num[\s>]/);
+        const abstractInsert = lastAbstractEnd !== -1 ? lastAbstractEnd + '</w:abstractNum>'.length
+            : (firstNum !== -1 ? firstNum : numberingXml.lastIndexOf('</w:numbering>'));
+        numberingXml = numberingXml.substring(0, abstractInsert) + abstractCopy + numberingXml.substring(abstractInsert);
+
+        const cleanupIndex = numberingXml.indexOf('<w:numIdMacAtCleanup');
+        const numInsert = cleanupIndex === -1 ? numberingXml.lastIndexOf('</w:numbering>') : cleanupIndex;
+        state.numberingXml = numberingXml.substring(0, numInsert) + numCopy + numberingXml.substring(numInsert);
+
+        return newNumId;
+    }
+
+    // Styles missing in the target are copied, conflicting ones are copied under a new id
+    importStyles(source, xml, state) {
+        const sourceStyles = source.readText('word/styles.xml');
+        if (!sourceStyles || !state.stylesXml) return xml;
+
+        return xml.replace(/(<w:(?:pStyle|rStyle|tblStyle)\s+w:val=")([^"]+)"/g, (match, prefix, styleId) =>
+            `${prefix}${this.importStyle(sourceStyles, styleId, state)}"`);
+    }
+
+    importStyle(sourceStyles, styleId, state) {
+        if (state.styleMap.has(styleId)) return state.styleMap.get(styleId);
+
+        const sourceStyle = this.findStyle(sourceStyles, styleId);
+        if (!sourceStyle) {
+            state.styleMap.set(styleId, styleId);
+            return styleId;
+        }
+
+        const targetStyle = this.findStyle(state.stylesXml, styleId);
+        if (targetStyle === sourceStyle) {
+            state.styleMap.set(styleId, styleId);
+            return styleId;
+        }
+
+        let newStyleId = styleId;
+        let style = sourceStyle;
+        if (targetStyle) {
+            let number = state.recordNumber;
+            while (this.findStyle(state.stylesXml, `${styleId}${number}`)) number++;
+            newStyleId = `${styleId}${number}`;
+            style = style
+                .replace(/(w:styleId=")[^"]*"/, `$1${newStyleId}"`)
+                .replace(/(<w:name\s+w:val=")([^"]*)"/, `$1$2 ${number}"`);
+        }
+        state.styleMap.set(styleId, newStyleId);
+
+        // Styles this one builds on are needed as well
+        style = style.replace(/(<w:(?:basedOn|next|link)\s+w:val=")([^"]+)"/g, (match, prefix, relatedId) =>
+            `${prefix}${this.importStyle(sourceStyles, relatedId, state)}"`);
+
+        state.stylesXml = state.stylesXml.replace('</w:styles>', `${style}</w:styles>`);
+        return newStyleId;
+    }
+
+    findStyle(stylesXml, styleId) {
+        const escaped = styleId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = stylesXml.match(new RegExp(`<w:style\\s[^>]*?w:styleId="${escaped}"[^>]*>[\\s\\S]*?</w:style>`));
+        return match ? match[0] : null;
+    }
+
+    importNotes(source, xml, state) {
+        for (const kind of ['footnote', 'endnote']) {
+            const notes = state.notes[kind];
+            const referenceRegex = new RegExp(`(<w:${kind}Reference\\s[^>]*?w:id=")(-?\\d+)"`, 'g');
+            if (!referenceRegex.test(xml)) continue;
+
+            const sourceXml = source.readText(`word/${kind}s.xml`);
+            if (!notes.xml || !sourceXml) {
+                console.warn(`${kind}s cannot be merged, a document has no ${kind}s part`);
+                continue;
+            }
+
+            xml = xml.replace(referenceRegex, (match, prefix, id) => {
+                const note = sourceXml.match(new RegExp(`<w:${kind}\\s[^>]*?w:id="${id}"[^>]*>[\\s\\S]*?</w:${kind}>`));
+                if (!note) return match;
+
+                const newId = notes.nextId++;
+                notes.xml = notes.xml.replace(`</w:${kind}s>`,
+                    `${note[0].replace(/(w:id=")-?\d+"/, `$1${newId}"`)}</w:${kind}s>`);
+                return `${prefix}${newId}"`;
+            });
+        }
+
+        return xml;
+    }
+
+    // Drawing ids (wp:docPr) must be unique across the merged document
+    renumberDrawings(xml, state) {
+        return xml.replace(/(<wp:docPr\s[^>]*?\bid=")\d+"/g, (match, prefix) => `${prefix}${state.nextDrawingId++}"`);
+    }
+}
+
+module.exports = DocumentMerger;
@@ -0,0 +1,441 @@
+// src/generators/HeaderFooterWriter.js
+const DocxPackage = require('../core/DocxPackage');
+
+const DOCUMENT_PART = 'word/document.xml';
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const PART_KINDS = {
+    header: {
+        root: 'w:hdr',
+        reference: 'w:headerReference',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml'
+    },
+    footer: {
+        root: 'w:ftr',
+        reference: 'w:footerReference',
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml'
+    }
+};
+
+// Placeholders of a page number format → field instruction
+const PAGE_FIELDS = {
+    page: 'PAGE',
+    pages: 'NUMPAGES',
+    sectionPages: 'SECTIONPAGES'
+};
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+// Child order of w:sectPr required by the schema
+const SECTION_ELEMENT_ORDER = ['w:headerReference', 'w:footerReference', 'w:footnotePr', 'w:endnotePr', 'w:type',
+    'w:pgSz', 'w:pgMar', 'w:paperSrc', 'w:pgBorders', 'w:lnNumType', 'w:pgNumType', 'w:cols', 'w:formProt',
+    'w:vAlign', 'w:noEndnote', 'w:titlePg', 'w:textDirection', 'w:bidi', 'w:rtlGutter', 'w:docGrid',
+    'w:printerSettings', 'w:sectPrChange'];
+
+// Elements that follow w:evenAndOddHeaders inside w:settings
+const ELEMENTS_AFTER_EVEN_AND_ODD_HEADERS = ['w:bookFoldRevPrinting', 'w:bookFoldPrinting', 'w:bookFoldPrintingSheets',
+    'w:drawingGridHorizontalSpacing', 'w:drawingGridVerticalSpacing', 'w:displayHorizontalDrawingGridEvery',
+    'w:displayVerticalDrawingGridEvery', 'w:doNotUseMarginsForDrawingGridOrigin', 'w:drawingGridHorizontalOrigin',
+    'w:drawingGridVerticalOrigin', 'w:doNotShadeFormData', 'w:noPunctuationKerning', 'w:characterSpacingControl',
+    'w:printTwoOnOne', 'w:strictFirstAndLastChars', 'w:noLineBreaksAfter', 'w:noLineBreaksBefore',
+    'w:savePreviewPicture', 'w:doNotValidateAgainstSchema', 'w:saveInvalidXml', 'w:ignoreMixedContent',
+    'w:alwaysShowPlaceholderText', 'w:doNotDemarcateInvalidXml', 'w:saveXmlDataOnly', 'w:useXSLTWhenSaving',
+    'w:saveThroughXslt', 'w:showXMLTags', 'w:alwaysMergeEmptyNamespace', 'w:updateFields', 'w:hdrShapeDefaults',
+    'w:footnotePr', 'w:endnotePr', 'w:compat', 'w:docVars', 'w:rsids', 'm:mathPr', 'w:attachedSchema',
+    'w:themeFontLang', 'w:clrSchemeMapping', 'w:doNotIncludeSubdocsInStats', 'w:doNotAutoCompressPictures',
+    'w:forceUpgrade', 'w:captions', 'w:readModeInkLockDown', 'w:smartTagType', 'sl:schemaLibrary',
+    'w:shapeDefaults', 'w:doNotEmbedSmartTags', 'w:decimalSymbol', 'w:listSeparator'];
+
+// Option names of the header and footer variants → reference type
+const VARIANTS = {
+    odd: 'default',
+    first: 'first',
+    even: 'even'
+};
+
+class HeaderFooterWriter {
+    /**
+     * Put page numbers in the footer of every section
+     * @param {Buffer} documentBuffer - DOCX document
+     * @param {Object} options - { position: 'left' | 'center' | 'right', format: 'Page {page} of {pages}', start }
+     * @returns {Buffer} - DOCX with page number fields
+     */
+    addPageNumbers(documentBuffer, options = {}) {
+        const position = options.position || 'center';
+        const format = options.format || 'Page {page} of {pages}';
+        const start = options.start === undefined || options.start === null || options.start === ''
+            ? null
+            : Number(options.start);
+
+        if (!ALIGNMENTS.includes(position)) {
+            throw new Error(`Invalid page number position "${position}", use ${ALIGNMENTS.join(', ')}`);
+        }
+        if (start !== null && (!Number.isInteger(start) || start < 0)) {
+            throw new Error(`Invalid page number start "${options.start}", expected a whole number`);
+        }
+
+        const docxPackage = new DocxPackage(documentBuffer);
+        let documentXml = this.ensureSection(docxPackage.readText(DOCUMENT_PART));
+        const paragraph = this.createPageNumberParagraph(format, position);
+
+        // Footers of the template keep their content and get the page number below it
+        const footerParts = new Set();
+        this.getSections(documentXml).forEach(section => {
+            this.getReferences(section.xml, 'footer').forEach(reference => {
+                const partName = this.getReferencedPart(docxPackage, reference.id);
+                if (partName) footerParts.add(partName);
+            });
+        });
+
+        footerParts.forEach(partName => {
+            const footerXml = docxPackage.readText(partName);
+            if (this.hasPageField(footerXml)) return;
+            docxPackage.write(partName, footerXml.replace(/<\/w:ftr>\s*$/, `${paragraph}</w:ftr>`));
+        });
+
+        // Sections that show no footer at all get a new one
+        const types = this.usesEvenAndOddPages(docxPackage) ? ['default', 'even'] : ['default'];
+        let newFooter = null;
+
+        documentXml = this.updateSections(documentXml, (sectionXml, index, shown) => {
+            let result = sectionXml;
+
+            types.forEach(type => {
+                if (shown.footer.has(type)) return;
+                newFooter = newFooter || this.createPart(docxPackage, 'footer', paragraph);
+                result = this.addReference(result, 'footer', type, newFooter.id);
+            });
+
+            if (index === 0 && start !== null) {
+                result = this.setPageNumberStart(result, start);
+            }
+
+            return result;
+        });
+
+        docxPackage.write(DOCUMENT_PART, documentXml);
+
+        console.log(`🔢 Added page numbers to ${footerParts.size} existing and ${newFooter ? 1 : 0} new footer(s)`);
+        return docxPackage.generate();
+    }
+
+    /**
+     * Give every section the requested headers and footers, replacing the template's
+     * header or footer of the same type
+     * @param {Buffer} documentBuffer - DOCX document
+     * @param {Object} options - { header, footer }, each a text or { text, align, odd, first, even }
+     *   where the variants are a text or { text, align }
+     * @param {Function} [renderContent] - Fills the ${...} tags of the part XML, called with the XML and
+     *   { docxPackage, partName } so links and pictures can be added to the new part
+     * @returns {Buffer} - DOCX with the header and footer parts
+     */
+    addHeaderFooter(documentBuffer, options = {}, renderContent = xml => xml) {
+        const docxPackage = new DocxPackage(documentBuffer);
+        let documentXml = this.ensureSection(docxPackage.readText(DOCUMENT_PART));
+
+        // Kind → reference type → relationship id of the new part
+        const parts = {};
+        Object.keys(PART_KINDS).forEach(kind => {
+            if (!options[kind]) return;
+
+            const variants = this.getVariants(options[kind], kind);
+            parts[kind] = {};
+            Object.entries(variants).forEach(([type, variant]) => {
+                const partName = docxPackage.getUniquePartName(`word/${kind}1.xml`);
+                const content = renderContent(this.createParagraphs(docxPackage, kind, variant), { docxPackage, partName });
+                parts[kind][type] = this.createPart(docxPackage, kind, content, partName).id;
+            });
+        });
+
+        const usesFirstPage = Object.values(parts).some(types => types.first);
+        const enablesEvenPages = Object.values(parts).some(types => types.even) && !this.usesEvenAndOddPages(docxPackage);
+
+        documentXml = this.updateSections(documentXml, sectionXml => {
+            let result = sectionXml;
+
+            Object.entries(parts).forEach(([kind, types]) => {
+                Object.entries(types).forEach(([type, id]) => {
+                    result = this.addReference(result, kind, type, id);
+                });
+            });
+
+            // A new first page or even page variant must not blank the other kind on those pages
+            if (usesFirstPage && !/<w:titlePg(?:\s[^>]*)?\/>/.test(result)) {
+                result = this.copyDefaultReferences(result, 'first');
+                result = this.insertSectionElement(result, 'w:titlePg', '<w:titlePg/>');
+            }
+            if (enablesEvenPages) {
+                result = this.copyDefaultReferences(result, 'even');
+            }
+
+            return result;
+        });
+
+        if (enablesEvenPages) {
+            this.enableEvenAndOddPages(docxPackage);
+        }
+
+        docxPackage.write(DOCUMENT_PART, documentXml);
+
+        const created = Object.values(parts).reduce((count, types) => count + Object.keys(types).length, 0);
+        console.log(`📑 Added ${created} header/footer part(s) to the document`);
+        return docxPackage.generate();
+    }
+
+    /**
+     * Normalize a header or footer option into its variants
+     * @param {string|Object} option - Text, or { text, align, odd, first, even }
+     * @param {string} kind - "header" or "footer"
+     * @returns {Object} - Reference type → { text, align }
+     */
+    getVariants(option, kind) {
+        const settings = typeof option === 'object' ? option : { text: option };
+        const align = settings.align || 'left';
+        const variants = {};
+
+        const add = (type, value) => {
+            if (value === undefined || value === null) return;
+
+            const variant = typeof value === 'object' ? value : { text: value };
+            const variantAlign = variant.align || align;
+            if (!ALIGNMENTS.includes(variantAlign)) {
+                throw new Error(`Invalid ${kind} alignment "${variantAlign}", use ${ALIGNMENTS.join(', ')}`);
+            }
+            variants[type] = { text: String(variant.text ?? ''), align: variantAlign };
+        };
+
+        add('default', settings.text);
+        Object.entries(VARIANTS).forEach(([name, type]) => add(type, settings[name]));
+
+        if (Object.keys(variants).length === 0) {
+            throw new Error(`The ${kind} option needs a text or a first, odd or even variant`);
+        }
+
+        return variants;
+    }
+
+    // One paragraph per line, in the Header/Footer style when the document defines it
+    createParagraphs(docxPackage, kind, variant) {
+        const styleId = kind === 'header' ? 'Header' : 'Footer';
+        const styles = docxPackage.readText('word/styles.xml') || '';
+        const style = styles.includes(`w:styleId="${styleId}"`) ? `<w:pStyle w:val="${styleId}"/>` : '';
+
+        return variant.text.split(/\r?\n/).map(line =>
+            `<w:p><w:pPr>${style}<w:jc w:val="${variant.align}"/></w:pPr>${this.createTextRun(line)}</w:p>`
+        ).join('');
+    }
+
+    // Pages of the given type show the default header/footer unless the section has its own
+    copyDefaultReferences(sectionXml, type) {
+        let result = sectionXml;
+
+        Object.keys(PART_KINDS).forEach(kind => {
+            const references = this.getReferences(result, kind);
+            const defaultReference = references.find(reference => reference.type === 'default');
+            if (defaultReference && !references.some(reference => reference.type === type)) {
+                result = this.addReference(result, kind, type, defaultReference.id);
+            }
+        });
+
+        return result;
+    }
+
+    enableEvenAndOddPages(docxPackage) {
+        const settings = docxPackage.readText('word/settings.xml');
+        if (!settings) {
+            console.warn('Document has no settings part, even page headers and footers will not be used');
+            return;
+        }
+
+        const cleaned = settings.replace(/<w:evenAndOddHeaders(?:\s[^>]*)?\/>/, '');
+        const position = this.findInsertPosition(cleaned, ELEMENTS_AFTER_EVEN_AND_ODD_HEADERS, cleaned.lastIndexOf('</w:settings>'));
+        docxPackage.write('word/settings.xml', cleaned.substring(0, position) + '<w:evenAndOddHeaders/>' + cleaned.substring(position));
+    }
+
+    createPageNumberParagraph(format, position) {
+        const tokenRegex = new RegExp(`\\{(${Object.keys(PAGE_FIELDS).join('|')})\\}`, 'g');
+        const runs = [];
+        let cursor = 0;
+        let match;
+
+        while ((match = tokenRegex.exec(format)) !== null) {
+            runs.push(this.createTextRun(format.substring(cursor, match.index)));
+            runs.push(this.createField(PAGE_FIELDS[match[1]]));
+            cursor = match.index + match[0].length;
+        }
+        runs.push(this.createTextRun(format.substring(cursor)));
+
+        return `<w:p><w:pPr><w:jc w:val="${position}"/></w:pPr>${runs.join('')}</w:p>`;
+    }
+
+    createTextRun(text) {
+        if (!text) return '';
+        return `<w:r><w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+    }
+
+    // Simple field, Word and LibreOffice compute its value when the page is laid out
+    createField(instruction) {
+        return `<w:fldSimple w:instr=" ${instruction} "><w:r><w:t>1</w:t></w:r></w:fldSimple>`;
+    }
+
+    hasPageField(xml) {
+        return /w:instr="\s*PAGE\b|<w:instrText(?:\s[^>]*)?>\s*PAGE\b/.test(xml);
+    }
+
+    /**
+     * Add a header or footer part to the package
+     * @param {DocxPackage} docxPackage - Target package
+     * @param {string} kind - "header" or "footer"
+     * @param {string} content - Paragraphs of the part
+     * @param {string} [partName] - Name of the part, the next free headerN.xml or footerN.xml by default
+     * @returns {{partName: string, id: string}} - New part and its relationship id from document.xml
+     */
+    createPart(docxPackage, kind, content, partName = docxPackage.getUniquePartName(`word/${kind}1.xml`)) {
+        const { root, contentType } = PART_KINDS[kind];
+
+        docxPackage.write(partName, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            `<${root} xmlns:w="${WORD_NS}" xmlns:r="${RELATIONSHIP_NS}">${content}</${root}>`);
+        docxPackage.addOverrideContentType(partName, contentType);
+
+        const id = docxPackage.addRelationship(DOCUMENT_PART, DocxPackage.RELATIONSHIP_TYPES[kind],
+            docxPackage.relativeTarget(DOCUMENT_PART, partName));
+
+        return { partName, id };
+    }
+
+    getReferencedPart(docxPackage, id) {
+        const relationship = docxPackage.getRelationships(DOCUMENT_PART).find(candidate => candidate.id === id);
+        if (!relationship || relationship.targetMode === 'External') return null;
+
+        const partName = docxPackage.resolveTarget(DOCUMENT_PART, relationship.target);
+        return docxPackage.hasPart(partName) ? partName : null;
+    }
+
+    /**
+     * List the section properties of document.xml in document order
+     * @param {string} xml - document.xml
+     * @returns {Array<{start: number, end: number, xml: string}>}
+     */
+    getSections(xml) {
+        return [...xml.matchAll(/<w:sectPr(?:\s[^>]*)?\/>|<w:sectPr(?:\s[^>]*)?>[\s\S]*?<\/w:sectPr>/g)]
+            .map(match => ({ start: match.index, end: match.index + match[0].length, xml: match[0] }));
+    }
+
+    getReferences(sectionXml, kind) {
+        const referenceRegex = new RegExp(`<${PART_KINDS[kind].reference}\\s[^>]*?/>`, 'g');
+
+        return [...sectionXml.matchAll(referenceRegex)].map(([element]) => ({
+            type: (element.match(/\sw:type="([^"]+)"/) || [])[1] || 'default',
+            id: (element.match(/\sr:id="([^"]+)"/) || [])[1]
+        }));
+    }
+
+    /**
+     * Rewrite every section, telling the callback which header and footer types the
+     * section shows, either its own or inherited from an earlier section
+     * @param {string} xml - document.xml
+     * @param {Function} update - (sectionXml, index, { header: Set, footer: Set }) → new sectionXml
+     * @returns {string} - Updated document.xml
+     */
+    updateSections(xml, update) {
+        // Types of header and footer shown so far, a section without its own reference inherits them
+        const inherited = { header: new Set(), footer: new Set() };
+        const replacements = this.getSections(xml).map((section, index) => {
+            const kinds = Object.keys(PART_KINDS);
+            kinds.forEach(kind => this.getReferences(section.xml, kind).forEach(reference => inherited[kind].add(reference.type)));
+
+            const result = update(section.xml, index, {
+                header: new Set(inherited.header),
+                footer: new Set(inherited.footer)
+            });
+
+            // Later sections inherit what this one shows
+            kinds.forEach(kind => this.getReferences(result, kind).forEach(reference => inherited[kind].add(reference.type)));
+            return { ...section, xml: result };
+        });
+
+        let result = xml;
+        replacements.reverse().forEach(section => {
+            result = result.substring(0, section.start) + section.xml + result.substring(section.end);
+        });
+        return result;
+    }
+
+    /**
+     * Add or replace a header or footer reference of a section
+     * @param {string} sectionXml - w:sectPr element
+     * @param {string} kind - "header" or "footer"
+     * @param {string} type - "default", "first" or "even"
+     * @param {string} id - Relationship id of the part
+     * @returns {string} - Updated w:sectPr
+     */
+    addReference(sectionXml, kind, type, id) {
+        const { reference } = PART_KINDS[kind];
+        const element = `<${reference} w:type="${type}" r:id="${id}"/>`;
+        const expanded = this.expandSection(sectionXml);
+
+        const existing = new RegExp(`<${reference}\\s[^>]*w:type="${type}"[^>]*/>`);
+        if (existing.test(expanded)) {
+            return expanded.replace(existing, element);
+        }
+
+        return this.insertSectionElement(expanded, reference, element);
+    }
+
+    setPageNumberStart(sectionXml, start) {
+        const expanded = this.expandSection(sectionXml);
+        const existing = expanded.match(/<w:pgNumType(?:\s[^>]*)?\/>/);
+
+        if (existing) {
+            const updated = /\sw:start="/.test(existing[0])
+                ? existing[0].replace(/\sw:start="[^"]*"/, ` w:start="${start}"`)
+                : existing[0].replace(/\s*\/>$/, ` w:start="${start}"/>`);
+            return expanded.replace(existing[0], updated);
+        }
+
+        return this.insertSectionElement(expanded, 'w:pgNumType', `<w:pgNumType w:start="${start}"/>`);
+    }
+
+    // Insert a child of w:sectPr at the position the schema expects
+    insertSectionElement(sectionXml, name, element) {
+        const expanded = this.expandSection(sectionXml);
+        const following = SECTION_ELEMENT_ORDER.slice(SECTION_ELEMENT_ORDER.indexOf(name) + 1);
+        const position = this.findInsertPosition(expanded, following, expanded.lastIndexOf('</w:sectPr>'));
+
+        return expanded.substring(0, position) + element + expanded.substring(position);
+    }
+
+    // Position of the first of the given elements, or the fallback when none is present
+    findInsertPosition(xml, elementNames, fallback) {
+        const positions = elementNames
+            .map(name => xml.search(new RegExp(`<${name}[\\s>/]`)))
+            .filter(position => position !== -1);
+        return positions.length ? Math.min(...positions) : fallback;
+    }
+
+    expandSection(sectionXml) {
+        return sectionXml.replace(/^<w:sectPr((?:\s[^>]*)?)\/>$/, '<w:sectPr$1></w:sectPr>');
+    }
+
+    // Documents without section properties get one for the whole body
+    ensureSection(xml) {
+        if (/<w:sectPr[\s>\/]/.test(xml)) return xml;
+        return xml.replace(/<\/w:body>/, '<w:sectPr></w:sectPr></w:body>');
+    }
+
+    usesEvenAndOddPages(docxPackage) {
+        const settings = docxPackage.readText('word/settings.xml') || '';
+        const match = settings.match(/<w:evenAndOddHeaders(?:\s[^>]*)?\/>/);
+        return Boolean(match) && !/w:val="(0|false|off)"/.test(match[0]);
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+module.exports = HeaderFooterWriter;
@@ -28,7 +28,8 @@ class TemplateManager {
                 conditions: validation.conditions,
                 loops: validation.loops,
                 tables: validation.tables,
-                aggregations: validation.aggregations
+                aggregations: validation.aggregations,
+                includes: validation.includes
             }
         };
 
@@ -38,6 +39,7 @@ class TemplateManager {
         // Store template file in GridFS or similar
         await db.collection('template_files').insertOne({
             templateId: templateId,
+            version: 1,
             buffer: templateData.buffer,
             createdAt: timestamp
         });
@@ -70,7 +72,8 @@ class TemplateManager {
                 conditions: validation.conditions,
                 loops: validation.loops,
                 tables: validation.tables,
-                aggregations: validation.aggregations
+                aggregations: validation.aggregations,
+                includes: validation.includes
             }
         };
 
@@ -80,21 +83,22 @@ class TemplateManager {
             { $set: updatedTemplate }
         );
 
-        // Update file
-        await db.collection('template_files').updateOne(
-            { templateId: templateId },
-            { 
-                $set: {
-                    buffer: templateData.buffer,
-                    updatedAt: new Date()
-                }
-            },
-            { upsert: true }
-        );
+        // Earlier versions are kept, includes may be pinned to them
+        await db.collection('template_files').insertOne({
+            templateId: templateId,
+            version: updatedTemplate.version,
+            buffer: templateData.buffer,
+            createdAt: updatedTemplate.updatedAt
+        });
 
         return this.getTemplate(db, templateId);
     }
 
+    // Compiled templates are cached per stored version, an update gets a new key
+    getCacheKey(template) {
+        return `${template._id}@${template.version}`;
+    }
+
     async listTemplates(db, options = {}) {
         const { limit = 50, skip = 0, sortBy = 'createdAt', sortOrder = -1 } = options;
         
@@ -118,18 +122,56 @@ class TemplateManager {
         };
     }
 
-    async getTemplate(db, templateId) {
+    async getTemplate(db, templateId, version) {
         const template = await db.collection('templates').findOne({ _id: templateId });
         if (!template) return null;
 
-        const file = await db.collection('template_files').findOne({ templateId });
-        
+        const requestedVersion = version || template.version;
+        let file = await db.collection('template_files').findOne({ templateId, version: requestedVersion });
+
+        // Files stored before versions were kept hold the latest version
+        if (!file && requestedVersion === template.version) {
+            file = await db.collection('template_files').findOne({ templateId, version: { $exists: false } });
+        }
+        if (!file && version) return null;
+
         return {
             ...template,
+            version: requestedVersion,
             buffer: file ? file.buffer : null
         };
     }
 
+    /**
+     * Find the template an ${#include} tag refers to
+     * @param {Object} db - Database
+     * @param {Object} reference - { name: template name or id, version: pinned version or null for the latest }
+     * @returns {Promise<Object|null>} - { id, name, version, cacheKey, buffer }, null when there is no such template
+     */
+    async resolveInclude(db, reference) {
+        const templates = db.collection('templates');
+        const template = await templates.findOne({ _id: reference.name }) ||
+            // Uploads are named after their file unless a name is given
+            await templates.findOne(
+                { name: { $in: [reference.name, `${reference.name}.docx`] } },
+                { sort: { updatedAt: -1 } }
+            );
+        if (!template) return null;
+
+        const stored = await this.getTemplate(db, template._id, reference.version);
+        if (!stored || !stored.buffer) {
+            throw new Error(`Template "${template.name}" has no stored version ${reference.version || template.version}`);
+        }
+
+        return {
+            id: stored._id,
+            name: stored.name,
+            version: stored.version,
+            cacheKey: this.getCacheKey(stored),
+            buffer: stored.buffer
+        };
+    }
+
     async deleteTemplate(db, templateId) {
         // Delete metadata
         const deleteResult = await db.collection('templates').deleteOne({ _id: templateId });
@@ -139,7 +181,7 @@ class TemplateManager {
         }
 
         // Delete file
-        await db.collection('template_files').deleteOne({ templateId });
+        await db.collection('template_files').deleteMany({ templateId });
 
         // Delete related document logs
         await db.collection('document_logs').deleteMany({ templateId });
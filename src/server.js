@@ -78,6 +78,12 @@ class DocxTemplateServer {
         const documentGenerator = new DocumentGenerator();
         const templateValidator = new TemplateValidator();
 
+        // ${#include} tags load stored templates, by name or id
+        const includeResolver = (reference) => {
+            if (!this.db) throw new Error('no database connected');
+            return templateManager.resolveInclude(this.db, reference);
+        };
+
         // UI Routes
         // this.app.get('/', (req, res) => {
         //     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -163,6 +169,13 @@ class DocxTemplateServer {
                     return res.status(400).json({ error: 'Template ID and data are required' });
                 }
 
+                let outputFormat;
+                try {
+                    outputFormat = DocumentGenerator.getOutputFormat(options.outputFormat);
+                } catch (formatError) {
+                    return res.status(400).json({ error: formatError.message });
+                }
+
                 const template = await templateManager.getTemplate(this.db, templateId);
                 if (!template) {
                     return res.status(404).json({ error: 'Template not found' });
@@ -171,7 +184,7 @@ class DocxTemplateServer {
                 const generatedDoc = await documentGenerator.generateDocument(
                     template.buffer, 
                     data, 
-                    options
+                    { ...options, cacheKey: templateManager.getCacheKey(template), includeResolver }
                 );
 
                 // Store generation log
@@ -183,8 +196,8 @@ class DocxTemplateServer {
                 });
 
                 res.set({
-                    'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                    'Content-Disposition': `attachment; filename="generated_${Date.now()}.docx"`
+                    'Content-Type': outputFormat.contentType,
+                    'Content-Disposition': `attachment; filename="generated_${Date.now()}.${outputFormat.extension}"`
                 });
                 res.send(generatedDoc);
             } catch (error) {
@@ -304,13 +317,18 @@ class DocxTemplateServer {
             console.log(`🔍 Debug: Saved uploaded file to ${debugPath}`);
         }
 
-        // Initialize document generator
-        const documentGenerator = new DocumentGenerator();
-        
         // Parse options from request
         const options = {
-            addPageNumbers: req.body.addPageNumbers === 'true' || req.body.addPageNumbers === true,
+            addPageNumbers: (req.body.addPageNumbers === 'true' || req.body.addPageNumbers === true) && {
+                position: req.body.pageNumberPosition,
+                format: req.body.pageNumberFormat,
+                start: req.body.pageNumberStart
+            },
+            header: this.parseHeaderFooterOption(req.body.header),
+            footer: this.parseHeaderFooterOption(req.body.footer),
+            paragraphBreaks: req.body.paragraphBreaks === 'true' || req.body.paragraphBreaks === true,
             outputFormat: req.body.outputFormat || 'docx',
+            includeResolver,
             metadata: {
                 originalFilename: req.file.originalname,
                 processedAt: new Date().toISOString(),
@@ -318,6 +336,8 @@ class DocxTemplateServer {
             }
         };
 
+        const outputFormat = DocumentGenerator.getOutputFormat(options.outputFormat);
+
         // Generate document
         console.log('Generating document...');
         const generatedDoc = await documentGenerator.generateDocument(
@@ -329,7 +349,7 @@ class DocxTemplateServer {
         // Prepare filename
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const baseName = req.file.originalname.replace('.docx', '');
-        const filename = `${baseName}_generated_${timestamp}.docx`;
+        const filename = `${baseName}_generated_${timestamp}.${outputFormat.extension}`;
 
         // Log successful generation
         console.log('Document generated successfully:', filename);
@@ -355,7 +375,7 @@ class DocxTemplateServer {
 
         // Return generated document
         res.set({
-            'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Type': outputFormat.contentType,
             'Content-Disposition': `attachment; filename="${filename}"`,
             'Content-Length': generatedDoc.length,
             'X-Generated-At': new Date().toISOString(),
@@ -385,6 +405,14 @@ class DocxTemplateServer {
         } else if (error.message.includes('Data contains circular references') || error.message.includes('Data payload too large')) {
             errorCode = 'INVALID_DATA';
             statusCode = 400;
+        } else if (error.message.includes('Unsupported output format')) {
+            errorCode = 'UNSUPPORTED_FORMAT';
+            statusCode = 400;
+        } else if (error.message.includes('Invalid page number') || /Invalid (header|footer) alignment|The (header|footer) option/.test(error.message)) {
+            errorCode = 'INVALID_OPTIONS';
+            statusCode = 400;
+        } else if (error.message.includes('PDF conversion failed')) {
+            errorCode = 'CONVERSION_FAILED';
         }
         
         // Log failed generation
@@ -515,21 +543,43 @@ this.app.post('/api/generate-bulk', this.upload.single('template'), async (req,
 
         console.log(`Processing ${datasets.length} datasets with template:`, req.file.originalname);
 
-        // Initialize document generator
-        const documentGenerator = new DocumentGenerator();
-        
+        // The shared generator keeps compiled templates between requests
         const options = {
             outputFormat: req.body.outputFormat || 'docx',
             batchSize: Math.min(parseInt(req.body.batchSize) || 10, 50),
-            batchDelay: parseInt(req.body.batchDelay) || 100
+            batchDelay: parseInt(req.body.batchDelay) || 100,
+            responseFormat: req.body.responseFormat || 'json',
+            fileNameTemplate: req.body.fileNameTemplate,
+            separator: req.body.separator || 'section',
+            header: this.parseHeaderFooterOption(req.body.header),
+            footer: this.parseHeaderFooterOption(req.body.footer),
+            paragraphBreaks: req.body.paragraphBreaks === 'true' || req.body.paragraphBreaks === true,
+            includeResolver
         };
 
-        // Generate documents
-        const results = await documentGenerator.batchGenerate(
-            req.file.buffer, 
-            datasets, 
-            options
-        );
+        let outputFormat;
+        try {
+            outputFormat = DocumentGenerator.getOutputFormat(options.outputFormat);
+        } catch (formatError) {
+            return res.status(400).json({ error: formatError.message });
+        }
+
+        // Generate documents, merged into one when mail merge is requested
+        let mergedDocument = null;
+        let results;
+        if (options.responseFormat === 'merge') {
+            ({ document: mergedDocument, results } = await documentGenerator.generateMergedDocument(
+                req.file.buffer,
+                datasets,
+                options
+            ));
+        } else {
+            results = await documentGenerator.batchGenerate(
+                req.file.buffer, 
+                datasets, 
+                options
+            );
+        }
 
         // Prepare response
         const successful = results.filter(r => r.success);
@@ -555,14 +605,42 @@ this.app.post('/api/generate-bulk', this.upload.single('template'), async (req,
             singleDocument: successful.length === 1
         };
 
-        if (successful.length === 1) {
+        if (mergedDocument) {
+            // All records in one document, the header lists which datasets failed
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filename = `${req.file.originalname.replace('.docx', '')}_merged_${timestamp}.${outputFormat.extension}`;
+
+            res.set({
+                'Content-Type': outputFormat.contentType,
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'X-Bulk-Results': JSON.stringify({
+                    ...response.summary,
+                    failedIndexes: failed.map(r => r.index)
+                })
+            });
+
+            res.send(mergedDocument);
+        } else if (options.responseFormat === 'zip') {
+            // Every successful document plus report.json in one archive
+            const archive = documentGenerator.createBulkArchive(results, datasets, options);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filename = `${req.file.originalname.replace('.docx', '')}_bulk_${timestamp}.zip`;
+
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'X-Bulk-Results': JSON.stringify(response.summary)
+            });
+
+            res.send(archive);
+        } else if (successful.length === 1) {
             // Return single document directly
             const result = successful[0];
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `${req.file.originalname.replace('.docx', '')}_bulk_${timestamp}.docx`;
+            const filename = `${req.file.originalname.replace('.docx', '')}_bulk_${timestamp}.${outputFormat.extension}`;
 
             res.set({
-                'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+                'Content-Type': outputFormat.contentType,
                 'Content-Disposition': `attachment; filename="${filename}"`,
                 'X-Bulk-Results': JSON.stringify(response.summary)
             });
@@ -636,7 +714,8 @@ this.app.get('/api/health', (req, res) => {
         limits: {
             maxFileSize: '10MB',
             maxBulkDatasets: 100,
-            supportedFormats: ['.docx']
+            supportedFormats: ['.docx'],
+            outputFormats: Object.keys(DocumentGenerator.OUTPUT_FORMATS)
         }
     });
 });
@@ -654,9 +733,15 @@ this.app.get('/api/docs', (req, res) => {
                     template: 'multipart/form-data file (.docx)',
                     data: 'JSON string or object with template data',
                     addPageNumbers: 'boolean (optional)',
-                    outputFormat: 'string (optional, default: "docx")'
+                    pageNumberPosition: 'string (optional, "left", "center" or "right", default: "center")',
+                    pageNumberFormat: 'string (optional, {page}, {pages} and {sectionPages} are replaced, default: "Page {page} of {pages}")',
+                    pageNumberStart: 'number (optional, number of the first page)',
+                    header: 'string or JSON (optional, text with ${...} tags, or {"text", "align", "first", "odd", "even"})',
+                    footer: 'string or JSON (optional, same as header)',
+                    paragraphBreaks: 'boolean (optional, a blank line in a value starts a new paragraph instead of a line break)',
+                    outputFormat: 'string (optional, "docx" or "pdf", default: "docx")'
                 },
-                returns: 'Generated DOCX file'
+                returns: 'Generated DOCX file, or PDF when outputFormat is "pdf" (needs LibreOffice on the server)'
             },
             'POST /api/generate-bulk': {
                 description: 'Generate multiple documents from one template with different datasets',
@@ -664,9 +749,16 @@ this.app.get('/api/docs', (req, res) => {
                     template: 'multipart/form-data file (.docx)',
                     datasets: 'JSON array of data objects',
                     batchSize: 'number (optional, max: 50)',
-                    batchDelay: 'number in ms (optional)'
+                    batchDelay: 'number in ms (optional)',
+                    outputFormat: 'string (optional, "docx" or "pdf", default: "docx")',
+                    responseFormat: 'string (optional, "json", "zip" or "merge", default: "json")',
+                    fileNameTemplate: 'string (optional, file name per dataset in the ZIP, e.g. "${loan.agreementNumber}.docx")',
+                    separator: 'string (optional, "section" or "page" between merged records, default: "section")',
+                    header: 'string or JSON (optional, filled per dataset, see generate-direct)',
+                    footer: 'string or JSON (optional, filled per dataset, see generate-direct)',
+                    paragraphBreaks: 'boolean (optional, see generate-direct)'
                 },
-                returns: 'Single DOCX file or bulk results summary'
+                returns: 'Single DOCX file or bulk results summary, a ZIP with every document and report.json, or one merged DOCX'
             },
             'POST /api/validate-template': {
                 description: 'Validate template syntax and features without storing',
@@ -685,6 +777,17 @@ this.app.get('/api/docs', (req, res) => {
   -F "template=@template.docx" \\
   -F "data={\\"user\\":{\\"name\\":\\"John\\"},\\"amount\\":1000}" \\
   -o generated.docx`,
+            curl_direct_pdf: `curl -X POST http://localhost:3000/api/generate-direct \\
+  -F "template=@template.docx" \\
+  -F "data={\\"user\\":{\\"name\\":\\"John\\"}}" \\
+  -F "outputFormat=pdf" \\
+  -o generated.pdf`,
+            curl_bulk_zip: `curl -X POST http://localhost:3000/api/generate-bulk \\
+  -F "template=@template.docx" \\
+  -F "datasets=[{\\"loan\\":{\\"agreementNumber\\":\\"LA-001\\"}}]" \\
+  -F "responseFormat=zip" \\
+  -F 'fileNameTemplate=\${loan.agreementNumber}.docx' \\
+  -o documents.zip`,
             curl_validate: `curl -X POST http://localhost:3000/api/validate-template \\
   -F "template=@template.docx"`
         }
@@ -707,6 +810,18 @@ console.log('   GET /api/docs - API documentation');
         });
     }
 
+    // Header/footer form fields hold a plain text or a JSON object with variants
+    parseHeaderFooterOption(value) {
+        if (!value) return undefined;
+        if (typeof value !== 'string' || !value.trim().startsWith('{')) return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
     hashData(data) {
         const crypto = require('crypto');
         return crypto.createHash('md5').update(JSON.stringify(data)).digest('hex');
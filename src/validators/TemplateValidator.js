@@ -1,46 +1,88 @@
 const PizZip = require('pizzip');
 const xml2js = require('xml2js');
+const TemplateEngine = require('../core/TemplateEngine');
+const ExpressionEvaluator = require('../core/ExpressionEvaluator');
+const TagNormalizer = require('../core/TagNormalizer');
+const TemplateCompiler = require('../core/TemplateCompiler');
+const ImageRenderer = require('../core/ImageRenderer');
+const BarcodeGenerator = require('../core/BarcodeGenerator');
+const ChartRenderer = require('../core/ChartRenderer');
 
 class TemplateValidator {
     constructor() {
         this.parser = new xml2js.Parser();
+        this.expressionEvaluator = new ExpressionEvaluator();
+        this.tagNormalizer = new TagNormalizer();
+        this.templateCompiler = new TemplateCompiler({ expressionEvaluator: this.expressionEvaluator });
+        this.imageRenderer = new ImageRenderer();
+        this.chartRenderer = new ChartRenderer({ imageRenderer: this.imageRenderer });
     }
 
     async validateTemplate(templateBuffer) {
         try {
             const zip = new PizZip(templateBuffer);
-            const documentXml = zip.files['word/document.xml'].asText();
             
             const validation = {
                 valid: true,
                 warnings: [],
                 errors: [],
+                parts: [],
                 placeholders: [],
                 conditions: [],
                 loops: [],
+                definitions: [],
+                switches: [],
+                includes: [],
                 tables: [],
                 aggregations: [],
                 formatting: [],
                 statistics: {}
             };
 
-            // Extract and validate placeholders
-            await this.validatePlaceholders(documentXml, validation);
-            
-            // Validate conditions
-            await this.validateConditions(documentXml, validation);
-            
-            // Validate loops
-            await this.validateLoops(documentXml, validation);
-            
-            // Validate tables
-            await this.validateTables(documentXml, validation);
-            
-            // Validate aggregations
-            await this.validateAggregations(documentXml, validation);
-            
-            // Check for formatting issues
-            await this.validateFormatting(documentXml, validation);
+            // Headers, footers, notes and comments are rendered just like the body,
+            // so each of them is validated and reported separately
+            for (const partName of TemplateEngine.getTemplateParts(zip)) {
+                // Tags split over runs are checked the way the engine will see them
+                const xml = this.tagNormalizer.normalize(zip.files[partName].asText());
+                const placeholderCount = validation.placeholders.length;
+
+                // Extract and validate placeholders
+                await this.validatePlaceholders(xml, validation, partName);
+                
+                // Blocks are paired by the compiler, the same way they are rendered
+                const blockIssues = [];
+                const nodes = this.templateCompiler.compile(xml, blockIssues);
+                this.reportBlockIssues(blockIssues, validation);
+                
+                // Validate conditions
+                await this.validateConditions(xml, validation, partName, nodes);
+                
+                // Validate loops
+                await this.validateLoops(xml, validation, partName, nodes);
+                
+                // Validate switch blocks
+                await this.validateSwitches(xml, validation, partName, nodes);
+                
+                // Validate ${#set} and ${#let} definitions
+                await this.validateDefinitions(xml, validation, partName);
+                
+                // Validate ${#include} tags
+                await this.validateIncludes(xml, validation, partName);
+                
+                // Validate tables
+                await this.validateTables(xml, validation, partName);
+                
+                // Validate aggregations
+                await this.validateAggregations(xml, validation, partName);
+                
+                // Check for formatting issues
+                await this.validateFormatting(xml, validation, partName);
+
+                validation.parts.push({
+                    name: partName,
+                    placeholders: validation.placeholders.length - placeholderCount
+                });
+            }
             
             // Generate statistics
             this.generateStatistics(validation);
@@ -51,9 +93,13 @@ class TemplateValidator {
                 valid: false,
                 errors: [`Template validation failed: ${error.message}`],
                 warnings: [],
+                parts: [],
                 placeholders: [],
                 conditions: [],
                 loops: [],
+                definitions: [],
+                switches: [],
+                includes: [],
                 tables: [],
                 aggregations: [],
                 formatting: [],
@@ -62,7 +108,7 @@ class TemplateValidator {
         }
     }
 
-    async validatePlaceholders(xml, validation) {
+    async validatePlaceholders(xml, validation, partName = 'word/document.xml') {
         // Find all variable placeholders: ${...}
         const placeholderRegex = /\$\{([^}]+)\}/g;
         const matches = [...xml.matchAll(placeholderRegex)];
@@ -73,25 +119,42 @@ class TemplateValidator {
             const fullMatch = match[0];
             const expression = match[1].trim();
             
-            // Parse expression and formatters
-            const parts = expression.split('|');
-            const variable = parts[0].trim();
-            const formatters = parts.slice(1).map(f => f.trim());
+            // Block tags (#if, #each, /if, ...) are checked by their own validators
+            const control = /^[#\/]/.test(expression);
+            const chart = /^%chart\s/.test(expression);
+            const image = !chart && expression.startsWith('%');
+
+            // Parse expression and formatters (size options for images), chart options are checked below
+            const { expression: variable, formatters } = control || chart
+                ? { expression: chart ? expression.replace(/^%chart\s+/, '').split(/\s+/)[0] : expression, formatters: [] }
+                : this.expressionEvaluator.parseTag(image ? expression.replace(/^%(?:image(?=\s))?\s*/, '') : expression);
             
             const placeholder = {
                 raw: fullMatch,
+                part: partName,
                 variable: variable,
                 formatters: formatters,
+                control: control,
+                image: image,
+                chart: chart,
                 valid: true,
                 warnings: [],
                 errors: []
             };
             
-            // Validate variable syntax
-            this.validateVariableSyntax(placeholder);
-            
-            // Validate formatters
-            this.validateFormatters(placeholder);
+            if (!control) {
+                // Validate variable syntax
+                this.validateVariableSyntax(placeholder);
+                
+                // Validate formatters
+                if (chart) {
+                    this.validateChartOptions(placeholder, expression.replace(/^%chart\s+/, ''));
+                } else if (image) {
+                    this.validateImageOptions(placeholder);
+                } else {
+                    this.validateFormatters(placeholder);
+                }
+            }
             
             // Check for Unicode issues
             this.checkUnicodeIssues(placeholder);
@@ -99,10 +162,11 @@ class TemplateValidator {
             placeholderMap.set(fullMatch, placeholder);
         }
         
-        validation.placeholders = Array.from(placeholderMap.values());
+        const placeholders = Array.from(placeholderMap.values());
+        validation.placeholders.push(...placeholders);
         
         // Collect warnings and errors
-        validation.placeholders.forEach(p => {
+        placeholders.forEach(p => {
             validation.warnings.push(...p.warnings);
             validation.errors.push(...p.errors);
             if (p.errors.length > 0) validation.valid = false;
@@ -112,9 +176,11 @@ class TemplateValidator {
     validateVariableSyntax(placeholder) {
         const variable = placeholder.variable;
         
-        // Check for valid variable name
-        if (!/^[a-zA-Z_][a-zA-Z0-9_.$\[\]]*$/.test(variable)) {
-            placeholder.errors.push(`Invalid variable syntax: ${variable}`);
+        // Check that the expression parses
+        try {
+            this.expressionEvaluator.parse(variable);
+        } catch (error) {
+            placeholder.errors.push(`Invalid variable syntax: ${error.message}`);
             placeholder.valid = false;
         }
         
@@ -141,7 +207,8 @@ class TemplateValidator {
             'date', 'dateTime', 'fromNow',
             'join', 'length', 'sum', 'count', 'avg',
             'truncate', 'default', 'escape',
-            'bold', 'italic', 'underline', 'size', 'color'
+            'bold', 'italic', 'underline', 'size', 'color',
+            'qr', 'barcode', 'html', 'markdown', 'link', 'mailto'
         ];
         
         for (const formatter of placeholder.formatters) {
@@ -156,6 +223,25 @@ class TemplateValidator {
         }
     }
 
+    validateImageOptions(placeholder) {
+        try {
+            const options = this.imageRenderer.parseSizeOptions(placeholder.formatters);
+            Object.values(options).forEach(value => this.imageRenderer.parseLength(value));
+        } catch (error) {
+            placeholder.errors.push(`Invalid image tag ${placeholder.raw}: ${error.message}`);
+            placeholder.valid = false;
+        }
+    }
+
+    validateChartOptions(placeholder, definition) {
+        try {
+            this.chartRenderer.getSettings(this.chartRenderer.parseTag(definition).options);
+        } catch (error) {
+            placeholder.errors.push(`Invalid chart tag ${placeholder.raw}: ${error.message}`);
+            placeholder.valid = false;
+        }
+    }
+
     validateFormatterParameters(formatter, placeholder) {
         const [name, ...params] = formatter.split(':');
         
@@ -185,6 +271,28 @@ class TemplateValidator {
                     }
                 }
                 break;
+            case 'qr':
+                this.validateImageSizes(params.slice(0, 1), placeholder);
+                if (params.length > 1 && !['L', 'M', 'Q', 'H'].includes(params[1].trim().toUpperCase())) {
+                    placeholder.warnings.push(`Invalid QR error correction level: ${params[1]} (use L, M, Q or H)`);
+                }
+                break;
+            case 'barcode':
+                if (params.length > 0 && !BarcodeGenerator.BARCODE_TYPES[params[0].trim().toLowerCase()]) {
+                    placeholder.warnings.push(`Unsupported barcode type: ${params[0]}`);
+                }
+                this.validateImageSizes(params.slice(1), placeholder);
+                break;
+        }
+    }
+
+    validateImageSizes(sizes, placeholder) {
+        for (const size of sizes.filter(value => value.trim())) {
+            try {
+                this.imageRenderer.parseLength(size);
+            } catch (error) {
+                placeholder.warnings.push(error.message);
+            }
         }
     }
 
@@ -192,7 +300,7 @@ class TemplateValidator {
         const text = placeholder.raw;
         
         // Check for smart quotes and other problematic characters
-        const problematicChars = /[""''–—]/;
+        const problematicChars = /[\u201C\u201D\u2018\u2019\u2013\u2014]/;
         if (problematicChars.test(text)) {
             placeholder.warnings.push('Contains smart quotes or special characters that may cause issues');
         }
@@ -204,61 +312,103 @@ class TemplateValidator {
         }
     }
 
-    async validateConditions(xml, validation) {
-        const conditionRegex = /\$\{#if\s+([^}]+)\}([\s\S]*?)(?:\$\{#else\}([\s\S]*?))?\$\{\/if\}/g;
-        const matches = [...xml.matchAll(conditionRegex)];
-        
-        for (const match of matches) {
+    // Unclosed blocks, stray closing tags and misplaced branches
+    reportBlockIssues(issues, validation) {
+        for (const issue of issues) {
+            validation.errors.push(issue.message);
+            validation.valid = false;
+        }
+    }
+
+    /**
+     * List the compiled blocks of one type, nested ones included, in document order
+     * @param {Array<Object>} nodes - Compiled part
+     * @param {string} type - Node type, e.g. "condition" or "each"
+     * @returns {Array<Object>} - Matching nodes
+     */
+    findBlocks(nodes, type) {
+        return nodes.flatMap(node => {
+            const branches = (node.branches || node.cases || []).map(branch => branch.children);
+            const nested = [node.children, node.elseChildren, node.leading, ...branches]
+                .filter(Boolean)
+                .flatMap(children => this.findBlocks(children, type));
+            return node.type === type ? [node, ...nested] : nested;
+        });
+    }
+
+    // Template source of compiled nodes, blocks as written between their tags
+    getSource(nodes, xml) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.xml;
+            return node.end !== undefined ? xml.substring(node.start, node.end) : node.tag;
+        }).join('');
+    }
+
+    async validateConditions(xml, validation, partName = 'word/document.xml', nodes = this.templateCompiler.compile(xml)) {
+        for (const block of this.findBlocks(nodes, 'condition')) {
+            const elseBranch = block.branches.find(branch => branch.type === 'else');
             const condition = {
-                raw: match[0],
-                expression: match[1].trim(),
-                ifContent: match[2],
-                elseContent: match[3] || '',
+                raw: xml.substring(block.start, block.end),
+                part: partName,
+                type: block.block,
+                expression: block.branches[0].condition,
+                ifContent: this.getSource(block.branches[0].children, xml),
+                elseContent: elseBranch ? this.getSource(elseBranch.children, xml) : '',
+                branches: block.branches.map(branch => ({ type: branch.type, expression: branch.condition })),
                 valid: true,
                 warnings: [],
                 errors: []
             };
             
-            // Validate condition syntax
+            // Validate the syntax of every branch condition
             this.validateConditionSyntax(condition);
             
             validation.conditions.push(condition);
+            if (condition.errors.length > 0) {
+                validation.errors.push(...condition.errors);
+                validation.valid = false;
+            }
         }
     }
 
     validateConditionSyntax(condition) {
-        const expr = condition.expression;
+        const expressions = condition.branches
+            ? condition.branches.filter(branch => branch.expression !== null).map(branch => branch.expression)
+            : [condition.expression];
         
         // Check for valid operators
         const validOperators = ['==', '!=', '>', '<', '>=', '<=', '&&', '||', 'and', 'or', 'not'];
+        const expr = expressions[0];
         const hasOperator = validOperators.some(op => expr.includes(op));
         
         if (!hasOperator && !expr.includes(' ')) {
             condition.warnings.push('Simple boolean condition, consider being more explicit');
         }
         
-        // Check for balanced parentheses
-        let parenCount = 0;
-        for (const char of expr) {
-            if (char === '(') parenCount++;
-            if (char === ')') parenCount--;
-        }
-        
-        if (parenCount !== 0) {
-            condition.errors.push('Unbalanced parentheses in condition');
-            condition.valid = false;
+        // Check that the conditions parse
+        for (const expression of expressions) {
+            try {
+                this.expressionEvaluator.parse(expression);
+            } catch (error) {
+                condition.errors.push(`Invalid condition: ${error.message}`);
+                condition.valid = false;
+            }
         }
     }
 
-    async validateLoops(xml, validation) {
-        const loopRegex = /\$\{#each\s+([^}]+)\}([\s\S]*?)\$\{\/each\}/g;
-        const matches = [...xml.matchAll(loopRegex)];
-        
-        for (const match of matches) {
+    async validateLoops(xml, validation, partName = 'word/document.xml', nodes = this.templateCompiler.compile(xml)) {
+        // Row and paragraph loops, group loops, and column loops in tables
+        for (const block of this.findBlocks(nodes, 'each')) {
+            const body = [...block.children, ...(block.elseChildren || [])];
             const loop = {
-                raw: match[0],
-                array: match[1].trim(),
-                content: match[2],
+                raw: xml.substring(block.start, block.end),
+                part: partName,
+                array: block.expression,
+                // Modifiers (where, sortBy, offset, limit) come after the collection, ${#group loans by branch}
+                modifiers: this.getLoopModifiers(block),
+                groupBy: block.block === 'group' ? block.groupBy : undefined,
+                content: this.getSource(block.children, xml),
+                columns: block.block === 'eachColumn',
                 nested: false,
                 valid: true,
                 warnings: [],
@@ -266,25 +416,72 @@ class TemplateValidator {
             };
             
             // Check for nested loops
-            if (loopRegex.test(loop.content)) {
+            if (this.findBlocks(body, 'each').length > 0) {
                 loop.nested = true;
                 loop.warnings.push('Contains nested loops - ensure data structure supports this');
             }
             
+            // Column loops mark the repeated cells of one table row
+            const before = xml.substring(0, block.start);
+            const inCell = (before.match(/<w:tc[\s>]/g) || []).length > (before.match(/<\/w:tc>/g) || []).length;
+            if (loop.columns && (/<\/w:tr>/.test(loop.content) || !inCell)) {
+                loop.errors.push(`${block.tag} must start and end in cells of the same table row`);
+                loop.valid = false;
+            }
+            
+            // A group without a key is already reported by the compiler
+            if (loop.groupBy) {
+                try {
+                    this.expressionEvaluator.parse(loop.groupBy);
+                } catch (error) {
+                    loop.errors.push(`Invalid group key: ${error.message}`);
+                    loop.valid = false;
+                }
+            }
+            
             // Validate array reference
             this.validateArrayReference(loop);
             
             validation.loops.push(loop);
+            if (loop.errors.length > 0) {
+                validation.errors.push(...loop.errors);
+                validation.valid = false;
+            }
         }
     }
 
+    // Loop modifiers of a compiled loop, as returned by TemplateCompiler.parseLoopArgument
+    getLoopModifiers(block) {
+        return ['expression', 'range', 'where', 'sortBy', 'offset', 'limit']
+            .filter(name => block[name] !== undefined)
+            .reduce((modifiers, name) => ({ ...modifiers, [name]: block[name] }), {});
+    }
+
     validateArrayReference(loop) {
         const arrayRef = loop.array;
+        const { range, where, sortBy, offset, limit } = loop.modifiers || {};
         
-        // Check for valid array syntax
-        if (!/^[a-zA-Z_][a-zA-Z0-9_.$\[\]]*$/.test(arrayRef)) {
-            loop.errors.push(`Invalid array reference: ${arrayRef}`);
-            loop.valid = false;
+        // Check for valid array syntax, or both ends of a 1..n range
+        for (const expression of range ? [range.from, range.to] : [arrayRef]) {
+            try {
+                this.expressionEvaluator.parse(expression);
+            } catch (error) {
+                loop.errors.push(`Invalid array reference: ${error.message}`);
+                loop.valid = false;
+            }
+        }
+        
+        // Check the expressions of the loop modifiers
+        const modifiers = [['where', where], ['offset', offset], ['limit', limit],
+            ...(sortBy || []).map(field => ['sortBy', field.expression])];
+        for (const [name, expression] of modifiers) {
+            if (expression === undefined) continue;
+            try {
+                this.expressionEvaluator.parse(expression);
+            } catch (error) {
+                loop.errors.push(`Invalid ${name} in loop: ${error.message}`);
+                loop.valid = false;
+            }
         }
         
         // Check for 'this' usage in loop content
@@ -293,7 +490,131 @@ class TemplateValidator {
         }
     }
 
-    async validateTables(xml, validation) {
+    async validateSwitches(xml, validation, partName = 'word/document.xml', nodes = this.templateCompiler.compile(xml)) {
+        // Misplaced, empty and extra ${#case}/${#default} tags are reported by the compiler
+        for (const block of this.findBlocks(nodes, 'switch')) {
+            const switchBlock = {
+                raw: block.tag,
+                part: partName,
+                expression: block.expression.trim(),
+                cases: [],
+                hasDefault: block.cases.some(branch => branch.type === 'default'),
+                valid: true,
+                warnings: [],
+                errors: []
+            };
+
+            try {
+                this.expressionEvaluator.parse(switchBlock.expression);
+            } catch (error) {
+                switchBlock.errors.push(`Invalid switch expression: ${error.message}`);
+            }
+
+            for (const value of block.cases.flatMap(branch => branch.values || [])) {
+                let key = value;
+                try {
+                    // "A" and 'A' are the same case
+                    const node = this.expressionEvaluator.parse(value);
+                    if (node.type === 'Literal') key = JSON.stringify(node.value);
+                } catch (error) {
+                    switchBlock.errors.push(`Invalid case value ${value}: ${error.message}`);
+                }
+
+                if (switchBlock.cases.includes(key)) {
+                    switchBlock.errors.push(`Duplicate case ${value} in ${switchBlock.raw}`);
+                }
+                switchBlock.cases.push(key);
+            }
+
+            if (!switchBlock.hasDefault) {
+                switchBlock.warnings.push(`${switchBlock.raw} has no \${#default}, nothing is rendered when no case matches`);
+            }
+
+            switchBlock.valid = switchBlock.errors.length === 0;
+            validation.switches.push(switchBlock);
+            validation.warnings.push(...switchBlock.warnings);
+            validation.errors.push(...switchBlock.errors);
+            if (!switchBlock.valid) validation.valid = false;
+        }
+    }
+
+    async validateDefinitions(xml, validation, partName = 'word/document.xml') {
+        const definitionRegex = /\$\{\s*#(set|let)\s+([^}]*)\}/g;
+
+        for (const match of xml.matchAll(definitionRegex)) {
+            const parts = match[2].match(/^([A-Za-z_$][\w$]*)\s*=(?!=)\s*([\s\S]+)$/);
+            const definition = {
+                raw: match[0],
+                part: partName,
+                scope: match[1] === 'let' ? 'document' : 'block',
+                name: parts ? parts[1] : null,
+                expression: parts ? parts[2].trim() : match[2].trim(),
+                valid: true,
+                warnings: [],
+                errors: []
+            };
+
+            if (!parts) {
+                definition.errors.push(`${match[0]} should look like #${match[1]} name = expression`);
+                definition.valid = false;
+            } else if (['this', 'parent', '_parentContext', 'index', 'first', 'last', 'count', 'group'].includes(definition.name)) {
+                definition.errors.push(`${match[0]} would hide the loop variable "${definition.name}"`);
+                definition.valid = false;
+            } else {
+                try {
+                    this.expressionEvaluator.parse(this.expressionEvaluator.parseTag(definition.expression).expression);
+                } catch (error) {
+                    definition.errors.push(`Invalid expression in ${match[0]}: ${error.message}`);
+                    definition.valid = false;
+                }
+            }
+
+            validation.definitions.push(definition);
+            if (!definition.valid) {
+                validation.errors.push(...definition.errors);
+                validation.valid = false;
+            }
+        }
+    }
+
+    async validateIncludes(xml, validation, partName = 'word/document.xml') {
+        const includeRegex = /\$\{\s*#include(?=[\s}])\s*([^}]*)\}/g;
+
+        for (const match of xml.matchAll(includeRegex)) {
+            const parts = match[1].trim().match(/^(?:"([^"]+)"|“([^”]+)”|'([^']+)')(?:\s+with\s+([\s\S]+))?$/);
+            const reference = parts ? (parts[1] || parts[2] || parts[3]).trim() : null;
+            const version = reference && reference.match(/@(\d+)$/);
+            const include = {
+                raw: match[0],
+                part: partName,
+                template: reference ? reference.replace(/@\d+$/, '') : null,
+                version: version ? Number(version[1]) : null,
+                expression: parts && parts[4] ? parts[4].trim() : null,
+                valid: true,
+                errors: []
+            };
+
+            if (!parts) {
+                include.errors.push(`${match[0]} should look like #include "template-name" with data`);
+                include.valid = false;
+            } else if (include.expression) {
+                try {
+                    this.expressionEvaluator.parse(include.expression);
+                } catch (error) {
+                    include.errors.push(`Invalid expression in ${match[0]}: ${error.message}`);
+                    include.valid = false;
+                }
+            }
+
+            if (!include.valid) {
+                validation.errors.push(...include.errors);
+                validation.valid = false;
+            }
+            validation.includes.push(include);
+        }
+    }
+
+    async validateTables(xml, validation, partName = 'word/document.xml') {
         // Find table structures with template variables
         const tableRegex = /<w:tbl[^>]*>([\s\S]*?)<\/w:tbl>/g;
         const tableMatches = [...xml.matchAll(tableRegex)];
@@ -305,6 +626,7 @@ class TemplateValidator {
             if (/\$\{/.test(tableContent)) {
                 const table = {
                     raw: tableMatch[0],
+                    part: partName,
                     content: tableContent,
                     hasVariables: true,
                     hasLoops: false,
@@ -324,13 +646,14 @@ class TemplateValidator {
         }
     }
 
-    async validateAggregations(xml, validation) {
+    async validateAggregations(xml, validation, partName = 'word/document.xml') {
         const aggregationRegex = /\$\{([^}]*)\|(sum|count|avg|max|min)([^}]*)\}/g;
         const matches = [...xml.matchAll(aggregationRegex)];
         
         for (const match of matches) {
             const aggregation = {
                 raw: match[0],
+                part: partName,
                 variable: match[1].trim(),
                 operation: match[2],
                 parameters: match[3] ? match[3].replace(':', '').trim() : '',
@@ -359,13 +682,14 @@ class TemplateValidator {
         }
     }
 
-    async validateFormatting(xml, validation) {
+    async validateFormatting(xml, validation, partName = 'word/document.xml') {
         const formattingRegex = /\$\{[^}]*\|(bold|italic|underline|size|color)[^}]*\}/g;
         const matches = [...xml.matchAll(formattingRegex)];
         
         for (const match of matches) {
             const formatting = {
                 raw: match[0],
+                part: partName,
                 type: match[1],
                 valid: true,
                 warnings: [],
@@ -378,6 +702,7 @@ class TemplateValidator {
 
     generateStatistics(validation) {
         validation.statistics = {
+            totalParts: validation.parts.length,
             totalPlaceholders: validation.placeholders.length,
             uniqueVariables: new Set(validation.placeholders.map(p => p.variable)).size,
             totalConditions: validation.conditions.length,
@@ -1,4 +1,4 @@
-// Updated test-loops.js with correct processing order
+// test-loops.js - compiles a template fragment and renders it
 const TemplateEngine = require('./src/core/TemplateEngine');
 
 async function testLoopsCorrectOrder() {
@@ -48,25 +48,14 @@ async function testLoopsCorrectOrder() {
     console.log(JSON.stringify(testData, null, 2));
     
     try {
-        // Test the NEW processing pipeline (loops first!)
-        console.log('\n--- Using CORRECT processing order ---');
-        const result = await engine.processAdvancedTemplate(Buffer.from('dummy'), testData);
+        // Compile once, then render the tree with the data
+        console.log('\n--- Compile and render ---');
+        const nodes = engine.compileXmlPart(testXml);
+        console.log('\n1. Compiled nodes:');
+        console.log(nodes.map(node => node.type).join(', '));
         
-        console.log('\nResult should contain proper values now...');
-        
-        // For testing, let's call the individual methods in correct order
-        console.log('\n--- Manual step-by-step processing ---');
-        
-        let step1 = engine.processLoops(testXml, testData);
-        console.log('\n1. After processLoops:');
-        console.log(step1.substring(0, 500) + '...');
-        
-        let step2 = engine.processConditions(step1, testData);  
-        console.log('\n2. After processConditions:');
-        console.log(step2.substring(0, 500) + '...');
-        
-        let step3 = engine.processRemainingVariables(step2, testData);
-        console.log('\n3. After processRemainingVariables:');
+        let step3 = engine.renderXmlPart(nodes, testData);
+        console.log('\n2. After renderXmlPart:');
         console.log(step3.substring(0, 500) + '...');
         
         // Validation
@@ -92,7 +81,7 @@ async function testLoopsCorrectOrder() {
     }
 }
 
-// Simple direct test of the processLoops method
+// Simple direct test of loop processing
 async function testLoopsDirectly() {
     console.log('\n--- Direct Loop Processing Test ---');
     
@@ -116,7 +105,7 @@ async function testLoopsDirectly() {
     console.log('Simple XML:', simpleXml);
     
     try {
-        const result = engine.processLoops(simpleXml, simpleData);
+        const result = engine.processXmlPart(simpleXml, simpleData);
         console.log('\nDirect loop result:');
         console.log(result);
         
@@ -0,0 +1,82 @@
+// test/DocumentMerger.test.js
+const PizZip = require('pizzip');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const DocumentMerger = require('../src/generators/DocumentMerger');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+const NUMBERING = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:abstractNum w:abstractNumId="0"><w:nsid w:val="1A2B3C4D"/><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>`;
+
+// Add a numbering part and a Clause style to a generated test package
+function withNumberingAndStyle(buffer, styleColor) {
+    const zip = new PizZip(buffer);
+    zip.file('word/numbering.xml', NUMBERING);
+    zip.file('word/_rels/document.xml.rels', zip.files['word/_rels/document.xml.rels'].asText().replace('</Relationships>',
+        '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>'));
+    zip.file('[Content_Types].xml', zip.files['[Content_Types].xml'].asText().replace('</Types>',
+        '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/></Types>'));
+    zip.file('word/styles.xml', zip.files['word/styles.xml'].asText().replace('</w:styles>',
+        `<w:style w:type="paragraph" w:styleId="Clause"><w:name w:val="Clause"/><w:rPr><w:color w:val="${styleColor}"/></w:rPr></w:style></w:styles>`));
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+const listItem = (text) => `<w:p><w:pPr><w:pStyle w:val="Clause"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+describe('DocumentMerger', () => {
+    silenceConsole();
+
+    test('puts each record in its own section with its own header', async () => {
+        const template = createDocx({ body: paragraph('Letter to ${name}'), headers: { header1: paragraph('Header ${name}') } });
+        const { document, results } = await new DocumentGenerator().generateMergedDocument(template, [{ name: 'Ann' }, { name: 'Bob' }, { name: 'Cy' }]);
+        const zip = new PizZip(document);
+        const xml = readPart(document);
+
+        expect(results).toHaveLength(3);
+        expect(getText(xml)).toBe('Letter to Ann\n\nLetter to Bob\n\nLetter to Cy');
+        expect(xml.match(/<w:sectPr>/g)).toHaveLength(3);
+
+        // Every section points at a header part of its own
+        const headerIds = [...xml.matchAll(/<w:headerReference w:type="default" r:id="([^"]+)"/g)].map(match => match[1]);
+        expect(new Set(headerIds).size).toBe(3);
+        const relationships = readPart(document, 'word/_rels/document.xml.rels');
+        const headerTexts = headerIds.map(id => {
+            const target = relationships.match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"`))[1];
+            expect(zip.files['[Content_Types].xml'].asText()).toContain(`PartName="/word/${target}"`);
+            return getText(readPart(document, `word/${target}`));
+        });
+        expect(headerTexts).toEqual(['Header Ann', 'Header Bob', 'Header Cy']);
+    });
+
+    test('separates records with page breaks on request', async () => {
+        const template = createDocx({ body: paragraph('Letter to ${name}') });
+        const { document } = await new DocumentGenerator().generateMergedDocument(template, [{ name: 'Ann' }, { name: 'Bob' }], { separator: 'page' });
+        const xml = readPart(document);
+
+        expect(xml.match(/<w:br w:type="page"\/>/g)).toHaveLength(1);
+        expect(xml.match(/<w:sectPr>/g)).toHaveLength(1);
+    });
+
+    test('restarts lists per record and keeps conflicting styles apart', () => {
+        const first = withNumberingAndStyle(createDocx({ body: listItem('One') }), 'FF0000');
+        const second = withNumberingAndStyle(createDocx({ body: listItem('Two') }), '0000FF');
+
+        const merged = new DocumentMerger().merge([first, second]);
+        const xml = readPart(merged);
+        const numbering = readPart(merged, 'word/numbering.xml');
+        const styles = readPart(merged, 'word/styles.xml');
+
+        expect([...xml.matchAll(/<w:numId w:val="(\d+)"\/>/g)].map(match => match[1])).toEqual(['1', '2']);
+        expect(numbering.match(/<w:abstractNum /g)).toHaveLength(2);
+        expect(numbering).toMatch(/<w:num w:numId="2"><w:abstractNumId w:val="1"\/><\/w:num>/);
+
+        expect([...xml.matchAll(/<w:pStyle w:val="([^"]+)"\/>/g)].map(match => match[1])).toEqual(['Clause', 'Clause2']);
+        expect(styles).toContain('<w:style w:type="paragraph" w:styleId="Clause2"><w:name w:val="Clause 2"/><w:rPr><w:color w:val="0000FF"/>');
+    });
+
+    test('rejects unknown separators and empty batches', () => {
+        const merger = new DocumentMerger();
+
+        expect(() => merger.merge([])).toThrow('No documents to merge');
+        expect(() => merger.merge([createDocx()], { separator: 'column' })).toThrow('Unknown separator "column"');
+    });
+});
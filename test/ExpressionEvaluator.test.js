@@ -0,0 +1,120 @@
+// test/ExpressionEvaluator.test.js
+const ExpressionEvaluator = require('../src/core/ExpressionEvaluator');
+const ExpressionParser = require('../src/core/ExpressionParser');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('ExpressionEvaluator', () => {
+    silenceConsole();
+
+    const evaluator = new ExpressionEvaluator();
+    // Throws instead of logging and returning null like evaluate()
+    const run = (expression, data = {}) => evaluator.evaluateNode(evaluator.parse(expression), data);
+
+    test('follows operator precedence', () => {
+        expect(run('1 + 2 * 3')).toBe(7);
+        expect(run('(1 + 2) * 3')).toBe(9);
+        expect(run('10 - 4 - 3')).toBe(3);
+        expect(run('-2 * 3 + 10 % 4')).toBe(-4);
+        expect(run('1 + 2 > 2 && 3 < 2 || 4 == 4')).toBe(true);
+        expect(run('true || false && false')).toBe(true);
+        expect(run('a ?? b || c', { a: null, b: false, c: 'c' })).toBe('c');
+        expect(run('x > 5 ? "big" : x > 2 ? "medium" : "small"', { x: 3 })).toBe('medium');
+    });
+
+    test('resolves paths, indexes, this and parent scopes', () => {
+        const data = {
+            loan: { amount: 1000, guarantors: [{ name: 'Ann' }, { name: 'Bob' }] },
+            this: { rate: 5 },
+            _parentContext: { title: 'Outer' }
+        };
+
+        expect(run('loan.amount * 2', data)).toBe(2000);
+        expect(run('loan.guarantors[1].name', data)).toBe('Bob');
+        expect(run('loan.guarantors.length', data)).toBe(2);
+        expect(run('this.rate', data)).toBe(5);
+        expect(run('rate', data)).toBe(5);
+        expect(run('../title', data)).toBe('Outer');
+        expect(run('loan.missing.deep', data)).toBeNull();
+    });
+
+    test('supports word operators and bare word comparisons in conditions', () => {
+        const data = { type: 'Individual', active: true, balance: 0 };
+
+        expect(evaluator.evaluateCondition('type is Individual and active', data)).toBe(true);
+        expect(evaluator.evaluateCondition('not active or balance > 0', data)).toBe(false);
+        expect(evaluator.evaluateCondition("type isn't 'Company'", data)).toBe(true);
+    });
+
+    test('treats data values as data, never as code', () => {
+        const data = { name: 'O\'Brien"); process.exit(1); ("' };
+
+        expect(run('name', data)).toBe(data.name);
+        expect(run('name == "x"', data)).toBe(false);
+    });
+
+    test('blocks constructor, prototype and __proto__ access', () => {
+        const data = { loan: { amount: 1 }, text: 'abc' };
+
+        expect(() => run('loan.constructor', data)).toThrow('Access to "constructor" is not allowed');
+        expect(() => run('loan.__proto__', data)).toThrow('Access to "__proto__" is not allowed');
+        expect(() => run('text["constructor"]', data)).toThrow('Access to "constructor" is not allowed');
+        expect(() => run('loan.constructor.constructor("return process")()', data)).toThrow();
+        expect(evaluator.evaluate('loan.__proto__', data)).toBeNull();
+    });
+
+    test('has no access to JavaScript globals', () => {
+        expect(run('process')).toBeNull();
+        expect(run('globalThis')).toBeNull();
+        expect(() => run('require("fs")')).toThrow('Unknown function "require"');
+        expect(() => run('eval("1")')).toThrow('Unknown function "eval"');
+    });
+
+    test('only calls whitelisted functions', () => {
+        const data = { items: [{ amount: 2 }, { amount: 4 }], name: ' Ann ' };
+
+        expect(run('sum(items, "amount")', data)).toBe(6);
+        expect(run('avg(items, "amount")', data)).toBe(3);
+        expect(run('count(items)', data)).toBe(2);
+        expect(run('max(1, 5, 3)')).toBe(5);
+        expect(run('Math.round(2.345, 2)')).toBe(2.35);
+        expect(run('upper(trim(name))', data)).toBe('ANN');
+        expect(() => run('fetch("http://example.com")')).toThrow('Unknown function "fetch"');
+
+        evaluator.registerFunction('double', value => value * 2);
+        expect(run('double(21)')).toBe(42);
+    });
+
+    test('reports parse errors with their column', () => {
+        const parser = new ExpressionParser();
+
+        expect(() => parser.parse('a + * b')).toThrow('at column 5 in expression "a + * b"');
+        expect(() => parser.parse('"open')).toThrow('Unterminated string literal at column 1');
+        expect(() => parser.parse('a # b')).toThrow('Unexpected character "#" at column 3');
+        expect(() => parser.parse('(a + b')).toThrow(/column 7/);
+
+        let error;
+        try {
+            parser.parse('x ==');
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toMatchObject({ name: 'ExpressionSyntaxError', expression: 'x ==', column: expect.any(Number) });
+    });
+
+    test('renders values containing quotes and code safely', async () => {
+        const template = createDocx({ body: paragraph('Dear ${name}, ${#if total > 100}large${#else}small${/if}') });
+        const output = await new TemplateEngine().processTemplate(template, { name: 'Ann "x" + \'y\'', total: 150 });
+
+        expect(getText(readPart(output))).toBe('Dear Ann "x" + \'y\', large');
+    });
+
+    test('validation reports conditions that do not parse as errors', async () => {
+        const template = createDocx({ body: paragraph('${#if total > }x${/if}') });
+        const validation = await new TemplateValidator().validateTemplate(template);
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual([expect.stringContaining('Invalid condition')]);
+    });
+});
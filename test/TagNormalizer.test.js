@@ -0,0 +1,42 @@
+// test/TagNormalizer.test.js
+const TagNormalizer = require('../src/core/TagNormalizer');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const { createDocx, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+const run = (text, properties = '') => `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+describe('TagNormalizer', () => {
+    silenceConsole();
+
+    const normalizer = new TagNormalizer();
+
+    test('joins a tag split over runs into the run it starts in', () => {
+        const xml = `<w:p>${run('Dear $', '<w:b/>')}${run('{borrower.', '<w:i/>')}${run('name}, welcome')}</w:p>`;
+        const normalized = normalizer.normalize(xml);
+
+        expect(normalized).toContain(`${run('Dear ${borrower.name}', '<w:b/>')}`);
+        expect(normalized).toContain(run(', welcome'));
+        expect(getText(normalized)).toBe('Dear ${borrower.name}, welcome');
+    });
+
+    test('leaves runs without tags untouched', () => {
+        const xml = `<w:p>${run('Plain ', '<w:b/>')}${run('text', '<w:i/>')}${run(' ${name}')}</w:p>`;
+
+        expect(normalizer.normalize(xml)).toBe(xml);
+    });
+
+    test('does not join across paragraphs', () => {
+        const xml = `<w:p>${run('${open')}</w:p><w:p>${run('}')}</w:p>`;
+
+        expect(normalizer.normalize(xml)).toBe(xml);
+    });
+
+    test('keeps the formatting of text around rendered tags', async () => {
+        const body = `<w:p>${run('Important', '<w:b/>')}${run(' for $')}${run('{name}', '<w:i/>')}${run(' today', '<w:u w:val="single"/>')}</w:p>`;
+        const xml = readPart(await new TemplateEngine().processTemplate(createDocx({ body }), { name: 'Ann' }));
+
+        expect(getText(xml)).toBe('Important for Ann today');
+        expect(xml).toMatch(/<w:rPr><w:b\/><\/w:rPr><w:t[^>]*>Important<\/w:t>/);
+        expect(xml).toMatch(/<w:rPr><w:u w:val="single"\/><\/w:rPr><w:t[^>]*> today<\/w:t>/);
+    });
+});
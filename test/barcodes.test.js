@@ -0,0 +1,75 @@
+// test/barcodes.test.js
+const zlib = require('zlib');
+const PizZip = require('pizzip');
+const BarcodeGenerator = require('../src/core/BarcodeGenerator');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('qr and barcode formatters', () => {
+    silenceConsole();
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data);
+    };
+
+    test('draw a readable PNG', () => {
+        const symbol = new BarcodeGenerator().qrCode('https://example.com/verify/42', { errorCorrection: 'h' });
+        const png = symbol.buffer;
+
+        expect(png.subarray(1, 4).toString()).toBe('PNG');
+        expect(png.readUInt32BE(16)).toBe(symbol.width);
+        expect(png.readUInt32BE(20)).toBe(symbol.height);
+
+        // One filter byte and four bytes per pixel in every row
+        const dataLength = png.readUInt32BE(33);
+        const rows = zlib.inflateSync(png.subarray(41, 41 + dataLength));
+        expect(rows.length).toBe(symbol.height * (symbol.width * 4 + 1));
+    });
+
+    test('embed a QR code of the requested size as a picture', () => {
+        const output = render(paragraph('Verify: ${url|qr:3cm}'), { url: 'https://example.com/verify/42' });
+        const xml = readPart(output);
+
+        expect(xml).toContain('<wp:extent cx="1080000" cy="1080000"/>');
+        expect(xml).toContain('descr="https://example.com/verify/42"');
+        expect(getText(xml)).toBe('Verify:');
+        expect(new PizZip(output).files['word/media/image1.png']).toBeDefined();
+    });
+
+    test('embed a barcode at its natural width and skip empty values', () => {
+        const output = render(paragraph('${ref|barcode:code128}') + paragraph('${missing|barcode}'), { ref: 'LA-2024-001' });
+        const xml = readPart(output);
+
+        expect(xml.match(/<w:drawing>/g)).toHaveLength(1);
+        expect(Object.keys(new PizZip(output).files).filter(name => name.startsWith('word/media/'))).toHaveLength(1);
+    });
+
+    test('keep a table row holding only a symbol', () => {
+        const xml = readPart(render(table([['Reference'], ['${ref|qr}']]), { ref: 'LA-1' }));
+
+        expect(xml.match(/<w:tr>/g)).toHaveLength(2);
+        expect(xml).toMatch(/<w:tr>(?:(?!<\/w:tr>)[\s\S])*<w:drawing>/);
+    });
+
+    test('report values the symbology cannot encode', () => {
+        const generator = new BarcodeGenerator();
+
+        expect(() => generator.barcode('12', 'ean13')).toThrow('Cannot encode "12" as ean13');
+        expect(() => generator.barcode('12', 'aztec')).toThrow('Unsupported barcode type "aztec"');
+        expect(() => generator.qrCode('x', { errorCorrection: 'Z' })).toThrow('Invalid QR error correction level "Z"');
+    });
+
+    test('validation warns about unknown types, levels and sizes', async () => {
+        const validation = await new TemplateValidator().validateTemplate(createDocx({
+            body: paragraph('${a|barcode:aztec}${b|qr:3cm:Z}${c|qr:huge}')
+        }));
+
+        expect(validation.warnings).toEqual(expect.arrayContaining([
+            expect.stringContaining('Unsupported barcode type: aztec'),
+            expect.stringContaining('Invalid QR error correction level: Z'),
+            expect.stringContaining('Invalid image size "huge"')
+        ]));
+    });
+});
@@ -0,0 +1,65 @@
+// test/blockParagraphs.test.js
+const xml2js = require('xml2js');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('block tags on their own paragraphs', () => {
+    silenceConsole();
+
+    const render = async (body, data) => {
+        const xml = readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data));
+        await xml2js.parseStringPromise(xml);
+        return xml;
+    };
+
+    test('keep or drop the enclosed paragraphs whole', async () => {
+        const body = [
+            paragraph('Intro'),
+            paragraph('${#if secured}'),
+            paragraph('Collateral clause'),
+            paragraph('Second clause'),
+            paragraph('${/if}'),
+            paragraph('Outro')
+        ].join('');
+
+        const kept = await render(body, { secured: true });
+        expect(getText(kept)).toBe('Intro\nCollateral clause\nSecond clause\nOutro');
+        expect(kept.match(/<w:p>/g)).toHaveLength(4);
+
+        const dropped = await render(body, { secured: false });
+        expect(getText(dropped)).toBe('Intro\nOutro');
+        expect(dropped.match(/<w:p>/g)).toHaveLength(2);
+    });
+
+    test('repeat the enclosed paragraphs per item', async () => {
+        const body = [
+            paragraph('${#each guarantors}'),
+            paragraph('Name: ${this.name}'),
+            paragraph('Share: ${this.share}'),
+            paragraph('${/each}')
+        ].join('');
+
+        const xml = await render(body, { guarantors: [{ name: 'Ann', share: 60 }, { name: 'Bob', share: 40 }] });
+        expect(getText(xml)).toBe('Name: Ann\nShare: 60\nName: Bob\nShare: 40');
+    });
+
+    test('repeat the table rows between block rows', async () => {
+        const body = table([
+            ['Name', 'Amount'],
+            ['${#each payments}', ''],
+            ['${this.name}', '${this.amount}'],
+            ['${/each}', '']
+        ]);
+
+        const xml = await render(body, { payments: [{ name: 'May', amount: 10 }, { name: 'June', amount: 20 }] });
+        expect(xml.match(/<w:tr>/g)).toHaveLength(3);
+        expect(getText(xml)).toBe('Name | Amount\nMay | 10\nJune | 20');
+    });
+
+    test('leave inline blocks inside their paragraph', async () => {
+        const xml = await render(paragraph('Rate is ${#if fixed}fixed${#else}floating${/if}.'), { fixed: false });
+
+        expect(getText(xml)).toBe('Rate is floating.');
+        expect(xml.match(/<w:p>/g)).toHaveLength(1);
+    });
+});
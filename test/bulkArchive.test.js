@@ -0,0 +1,42 @@
+// test/bulkArchive.test.js
+const PizZip = require('pizzip');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('bulk ZIP archive', () => {
+    silenceConsole();
+
+    const template = createDocx({ body: paragraph('Agreement ${loan.agreementNumber}') });
+
+    test('holds each successful document under its file name and a report of failures', async () => {
+        const generator = new DocumentGenerator();
+        const datasets = [
+            { loan: { agreementNumber: 'LA-001' } },
+            null,
+            { loan: { agreementNumber: 'LA-002' } }
+        ];
+
+        const results = await generator.batchGenerate(template, datasets, { batchSize: 2 });
+        const zip = new PizZip(generator.createBulkArchive(results, datasets, { fileNameTemplate: '${loan.agreementNumber}.docx' }));
+
+        expect(Object.keys(zip.files).sort()).toEqual(['LA-001.docx', 'LA-002.docx', 'report.json']);
+        expect(getText(readPart(zip.files['LA-002.docx'].asNodeBuffer()))).toBe('Agreement LA-002');
+
+        const report = JSON.parse(zip.files['report.json'].asText());
+        expect(report).toMatchObject({ total: 3, successful: 2, failed: 1 });
+        expect(report.failures).toEqual([{ index: 1, error: expect.stringContaining('Data must be a valid object') }]);
+        expect(report.documents.map(document => document.index)).toEqual([0, 2]);
+    });
+
+    test('file names are sanitized, numbered when repeated and fall back to the position', () => {
+        const generator = new DocumentGenerator();
+        const usedNames = new Set();
+        const build = (data, index) => generator.buildFileName('${name}', data, index, {}, usedNames);
+
+        expect(build({ name: '../etc/passwd' }, 0)).toBe('_etc_passwd.docx');
+        expect(build({ name: 'Loan' }, 1)).toBe('Loan.docx');
+        expect(build({ name: 'loan' }, 2)).toBe('loan (2).docx');
+        expect(build({}, 3)).toBe('document_4.docx');
+        expect(generator.buildFileName('${name}.pdf', { name: 'A' }, 0, { outputFormat: 'pdf' })).toBe('A.pdf');
+    });
+});
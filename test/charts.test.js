@@ -0,0 +1,87 @@
+// test/charts.test.js
+const PizZip = require('pizzip');
+const ChartRenderer = require('../src/core/ChartRenderer');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('chart tags', () => {
+    silenceConsole();
+
+    const sales = [
+        { month: 'Jan', actual: 10, target: 12 },
+        { month: 'Feb', actual: 15, target: 'n/a' }
+    ];
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data);
+    };
+
+    test('add a chart part with cached values and an embedded workbook', () => {
+        const output = render(paragraph('${%chart sales type:column x:month y:actual,target names:Actual,Target title:"Sales 2024" width:10cm}'), { sales });
+        const zip = new PizZip(output);
+        const xml = readPart(output);
+        const chart = readPart(output, 'word/charts/chart1.xml');
+
+        expect(xml).toContain('<wp:extent cx="3600000" cy="2700000"/>');
+        const id = xml.match(/<c:chart [^>]*r:id="([^"]+)"/)[1];
+        expect(readPart(output, 'word/_rels/document.xml.rels')).toMatch(new RegExp(`Id="${id}"[^>]*Target="charts/chart1.xml"`));
+        expect(zip.files['[Content_Types].xml'].asText()).toContain('PartName="/word/charts/chart1.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"');
+
+        expect(chart).toContain('<c:barDir val="col"/><c:grouping val="clustered"/>');
+        expect(chart).toContain('<a:t>Sales 2024</a:t>');
+        expect(chart.match(/<c:ser>/g)).toHaveLength(2);
+        expect(chart).toContain('<c:v>Target</c:v>');
+        // Values that are not numbers are left as gaps
+        expect(chart).toContain('<c:ptCount val="2"/><c:pt idx="0"><c:v>12</c:v></c:pt></c:numCache>');
+
+        expect(readPart(output, 'word/charts/_rels/chart1.xml.rels')).toContain('Target="../embeddings/Microsoft_Excel_Worksheet1.xlsx"');
+        const workbook = new PizZip(zip.files['word/embeddings/Microsoft_Excel_Worksheet1.xlsx'].asNodeBuffer());
+        const sheet = workbook.files['xl/worksheets/sheet1.xml'].asText();
+        expect(sheet).toContain('<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">Jan</t></is></c><c r="B2"><v>10</v></c><c r="C2"><v>12</v></c></row>');
+    });
+
+    test('stack lines and draw pies with a single series', () => {
+        const line = readPart(render(paragraph('${%chart sales type:line x:month y:actual,target stacked:percent}'), { sales }), 'word/charts/chart1.xml');
+        expect(line).toContain('<c:lineChart><c:grouping val="percentStacked"/>');
+        expect(line).toContain('<c:numFmt formatCode="0%" sourceLinked="0"/>');
+
+        const pie = readPart(render(paragraph('${%chart sales type:pie x:month y:actual,target}'), { sales }), 'word/charts/chart1.xml');
+        expect(pie.match(/<c:ser>/g)).toHaveLength(1);
+        expect(pie).toContain('<c:legendPos val="r"/>');
+    });
+
+    test('keep a table row holding only a chart', () => {
+        const xml = readPart(render(table([['Sales'], ['${%chart sales x:month y:actual}']]), { sales }));
+
+        expect(xml.match(/<w:tr>/g)).toHaveLength(2);
+        expect(xml).toMatch(/<w:tr>(?:(?!<\/w:tr>)[\s\S])*<w:drawing>/);
+    });
+
+    test('leave the spot empty without data and report data that is not an array', () => {
+        expect(readPart(render(paragraph('${%chart sales x:month y:actual}'), {}))).not.toContain('<w:drawing>');
+        expect(getText(readPart(render(paragraph('${%chart sales x:month y:actual}'), { sales: 'many' }))))
+            .toBe('[ERROR: %chart sales x:month y:actual]');
+    });
+
+    test('tag options are checked', () => {
+        const renderer = new ChartRenderer();
+        const settings = (content) => renderer.getSettings(renderer.parseTag(content).options);
+
+        expect(renderer.parseTag('rows title:“Smart quotes” y:a')).toEqual({ expression: 'rows', options: { title: 'Smart quotes', y: 'a' } });
+        expect(() => settings('rows x:a')).toThrow('Chart needs the category field (x:) and at least one value field (y:)');
+        expect(() => settings('rows type:radar x:a y:b')).toThrow('Unsupported chart type "radar"');
+        expect(() => settings('rows x:a y:b,c names:B')).toThrow('Chart has 2 value fields but 1 series names');
+        expect(() => settings('rows type:pie x:a y:b stacked:true')).toThrow('Pie charts cannot be stacked');
+        expect(() => renderer.parseTag('rows extra x:a')).toThrow('Unexpected "extra" in chart tag');
+        expect(() => renderer.parseTag('rows colour:red')).toThrow('Unknown chart option "colour"');
+    });
+
+    test('validation reports invalid chart tags', async () => {
+        const validation = await new TemplateValidator().validateTemplate(createDocx({ body: paragraph('${%chart sales x:month y:actual legend:middle}') }));
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual([expect.stringContaining('Invalid legend position "middle"')]);
+    });
+});
@@ -0,0 +1,70 @@
+// test/columnLoops.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// Width attributes of the grid columns and of the cells of each row
+function getWidths(xml) {
+    return {
+        grid: [...xml.matchAll(/<w:gridCol w:w="(\d+)"\/>/g)].map(match => Number(match[1])),
+        rows: xml.split('</w:tr>').slice(0, -1).map(row => [...row.matchAll(/<w:tcW w:w="(\d+)"/g)].map(match => Number(match[1])))
+    };
+}
+
+describe('column loops', () => {
+    silenceConsole();
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return readPart(engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data));
+    };
+
+    const guarantors = [{ name: 'Ann', share: '60%' }, { name: 'Bob', share: '40%' }, { name: 'Cy', share: '0%' }];
+
+    test('repeat the cells of every row and keep the table width', () => {
+        const xml = render(table([
+            ['Guarantor', '${#eachColumn guarantors}${name}${/eachColumn}'],
+            ['Share', '${share}']
+        ]), { guarantors });
+
+        expect(getText(xml)).toBe('Guarantor | Ann | Bob | Cy\nShare | 60% | 40% | 0%');
+        expect(getWidths(xml)).toEqual({ grid: [1000, 1000, 1000, 1000], rows: [[1000, 1000, 1000, 1000], [1000, 1000, 1000, 1000]] });
+    });
+
+    test('tags repeated in further rows belong to the same loop', () => {
+        const xml = render(table([
+            ['Guarantor', '${#eachColumn guarantors}${name}${/eachColumn}'],
+            ['Share', '${#eachColumn guarantors}${share}${/eachColumn}']
+        ]), { guarantors });
+
+        expect(getText(xml)).toBe('Guarantor | Ann | Bob | Cy\nShare | 60% | 40% | 0%');
+        expect(getWidths(xml).grid).toHaveLength(4);
+    });
+
+    test('widen cells that span the repeated columns', () => {
+        const title = '<w:tr><w:tc><w:tcPr><w:tcW w:w="6000" w:type="dxa"/><w:gridSpan w:val="3"/></w:tcPr>' + paragraph('Quarterly figures') + '</w:tc></w:tr>';
+        const body = table([['Quarter', '${#eachColumn quarters}${this}', '${/eachColumn}']]).replace('</w:tblGrid>', `</w:tblGrid>${title}`);
+        const xml = render(body, { quarters: ['Q1', 'Q2'] });
+
+        expect(xml).toContain('<w:gridSpan w:val="5"/>');
+        expect(getWidths(xml)).toEqual({ grid: [1200, 1200, 1200, 1200, 1200], rows: [[6000], [1200, 1200, 1200, 1200, 1200]] });
+        expect(getText(xml)).toBe('Quarterly figures\nQuarter | Q1 |  | Q2 |');
+    });
+
+    test('an empty array removes the looped columns', () => {
+        const xml = render(table([['Guarantor', '${#eachColumn guarantors}${name}${/eachColumn}']]), { guarantors: [] });
+
+        expect(getText(xml)).toBe('Guarantor');
+        expect(getWidths(xml)).toEqual({ grid: [4000], rows: [[4000]] });
+    });
+
+    test('loops across rows are ignored and reported by the validator', async () => {
+        const body = table([['${#eachColumn items}A'], ['B${/eachColumn}']]);
+
+        expect(getText(render(body, { items: [1, 2] }))).toBe('A\nB');
+
+        const validation = await new TemplateValidator().validateTemplate(createDocx({ body }));
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toContain('${#eachColumn items} must start and end in cells of the same table row');
+    });
+});
@@ -0,0 +1,82 @@
+// test/compiledTemplates.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const TemplateManager = require('../src/managers/TemplateManager');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('compiled templates', () => {
+    silenceConsole();
+
+    const template = createDocx({
+        body: paragraph('Dear ${name}') + paragraph('${#each items}') + paragraph('- ${this}') + paragraph('${/each}'),
+        footers: { footer1: paragraph('Ref ${ref}') }
+    });
+
+    test('compile every templated part into a render tree', () => {
+        const compiledTemplate = new TemplateEngine().compileTemplate(template);
+
+        expect(Object.keys(compiledTemplate.parts)).toEqual(['word/document.xml', 'word/footer1.xml']);
+        const types = compiledTemplate.parts['word/document.xml'].map(node => node.type);
+        expect(types).toEqual(expect.arrayContaining(['variable', 'each']));
+    });
+
+    test('are cached by template hash and rendered with each dataset', () => {
+        const engine = new TemplateEngine();
+        const compileXmlPart = jest.spyOn(engine, 'compileXmlPart');
+
+        const first = engine.compileTemplate(template);
+        const second = engine.compileTemplate(Buffer.from(template));
+        expect(second).toBe(first);
+        expect(compileXmlPart).toHaveBeenCalledTimes(2);
+
+        const ann = engine.renderTemplate(first, { name: 'Ann', items: ['a', 'b'], ref: 1 });
+        const bob = engine.renderTemplate(first, { name: 'Bob', items: [], ref: 2 });
+        expect(getText(readPart(ann))).toBe('Dear Ann\n- a\n- b');
+        expect(getText(readPart(bob))).toBe('Dear Bob');
+        expect(getText(readPart(bob, 'word/footer1.xml'))).toBe('Ref 2');
+    });
+
+    test('join loop iterations without extra characters', () => {
+        const engine = new TemplateEngine();
+        const output = engine.renderTemplate(engine.compileTemplate(createDocx({ body: paragraph('${#each items}${this}, ${/each}') })), { items: ['a', 'b'] });
+
+        expect(readPart(output)).toContain('>a, b, <');
+    });
+
+    test('evict the least recently used template', () => {
+        const engine = new TemplateEngine();
+        engine.maxCompiledTemplates = 2;
+
+        engine.compileTemplate(template, { cacheKey: 'a' });
+        engine.compileTemplate(template, { cacheKey: 'b' });
+        engine.getCompiledTemplate('a');
+        engine.compileTemplate(template, { cacheKey: 'c' });
+
+        expect([...engine.compiledTemplates.keys()]).toEqual(['a', 'c']);
+    });
+
+    test('deflate the generated package', () => {
+        const engine = new TemplateEngine();
+        const output = engine.renderTemplate(engine.compileTemplate(template), { name: 'Ann', items: [] });
+
+        // Compression method of the first local file header, 8 is deflate
+        expect(output.readUInt16LE(8)).toBe(8);
+        expect(getText(readPart(output))).toBe('Dear Ann');
+    });
+
+    test('generator compiles a template once for many datasets', async () => {
+        const generator = new DocumentGenerator();
+        const compileTemplate = jest.spyOn(generator.templateEngine, 'compileTemplate');
+
+        const results = await generator.batchGenerate(template, [{ name: 'Ann', items: [] }, { name: 'Bob', items: [] }]);
+
+        expect(results.filter(result => result.success)).toHaveLength(2);
+        expect(compileTemplate).toHaveBeenCalledTimes(1);
+    });
+
+    test('stored templates are cached per version', () => {
+        const manager = new TemplateManager();
+
+        expect(manager.getCacheKey({ _id: 'abc', version: 3 })).toBe('abc@3');
+    });
+});
@@ -0,0 +1,77 @@
+// test/conditions.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('conditional blocks', () => {
+    silenceConsole();
+
+    const render = async (body, data) => getText(readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data)));
+    const validate = (body) => new TemplateValidator().validateTemplate(createDocx({ body }));
+
+    test('pair nested blocks with their own closing tags', async () => {
+        const body = paragraph('${#if a}A${#if b}B${/if}-${/if}!');
+
+        expect(await render(body, { a: true, b: true })).toBe('AB-!');
+        expect(await render(body, { a: true, b: false })).toBe('A-!');
+        expect(await render(body, { a: false, b: true })).toBe('!');
+    });
+
+    test('render the first matching branch of an #elseif chain', async () => {
+        const body = paragraph('${#if type == "fixed"}Fixed${#elseif type == "floating"}Floating${#else if type == "hybrid"}Hybrid${#else}Other${/if}');
+
+        expect(await render(body, { type: 'fixed' })).toBe('Fixed');
+        expect(await render(body, { type: 'floating' })).toBe('Floating');
+        expect(await render(body, { type: 'hybrid' })).toBe('Hybrid');
+        expect(await render(body, { type: 'none' })).toBe('Other');
+    });
+
+    test('render #unless blocks when the condition is false', async () => {
+        const body = paragraph('${#unless paid}Payment due${#else}Paid${/unless}');
+
+        expect(await render(body, { paid: false })).toBe('Payment due');
+        expect(await render(body, { paid: true })).toBe('Paid');
+    });
+
+    test('nest across paragraphs', async () => {
+        const body = [
+            paragraph('${#if secured}'),
+            paragraph('Secured'),
+            paragraph('${#if home}'),
+            paragraph('Home loan'),
+            paragraph('${#else}'),
+            paragraph('Other collateral'),
+            paragraph('${/if}'),
+            paragraph('${/if}')
+        ].join('');
+
+        expect(await render(body, { secured: true, home: false })).toBe('Secured\nOther collateral');
+        expect(await render(body, { secured: false, home: true })).toBe('');
+    });
+
+    test('validation lists nested blocks and their branches', async () => {
+        const validation = await validate(paragraph('${#if a}${#unless b}x${/unless}${#elseif c}y${#else}z${/if}'));
+
+        expect(validation.valid).toBe(true);
+        expect(validation.conditions.map(condition => condition.type)).toEqual(['if', 'unless']);
+        expect(validation.conditions[0].branches).toEqual([
+            { type: 'if', expression: 'a' },
+            { type: 'elseif', expression: 'c' },
+            { type: 'else', expression: null }
+        ]);
+    });
+
+    test.each([
+        ['${#if a}x', 'No matching closing tag found for ${#if a}'],
+        ['x${/if}', 'Closing tag ${/if} has no matching opening tag'],
+        ['${#if a}x${/unless}', 'Closing tag ${/unless} does not match ${#if a}'],
+        ['${#else}x', '${#else} is not inside an ${#if} or ${#unless} block'],
+        ['${#if a}x${#else}y${#elseif b}z${/if}', '${#elseif b} comes after the ${#else} of ${#if a}'],
+        ['${#unless a}x${#elseif b}y${/unless}', '${#unless a} cannot have ${#elseif b}, only ${#else}']
+    ])('validation reports %s as an error', async (text, message) => {
+        const validation = await validate(paragraph(text));
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toContain(message);
+    });
+});
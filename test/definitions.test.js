@@ -0,0 +1,64 @@
+// test/definitions.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('#set and #let definitions', () => {
+    silenceConsole();
+
+    const render = async (template, data) => getText(readPart(await new TemplateEngine().processTemplate(template, data)));
+
+    const loan = { principalAmount: 12000, interestRate: 0.06 };
+
+    test('#set is seen by the tags after it', async () => {
+        const body = [
+            paragraph('Before: ${monthlyInterest}'),
+            paragraph('${#set monthlyInterest = loan.principalAmount * loan.interestRate / 12}'),
+            paragraph('Interest: ${monthlyInterest}, twice: ${monthlyInterest * 2}')
+        ].join('');
+
+        expect(await render(createDocx({ body }), { loan })).toBe('Before: \nInterest: 60, twice: 120');
+    });
+
+    test('#set inside a loop is scoped to each iteration', async () => {
+        const body = [
+            paragraph('${#each items}${#set total = price * quantity}${name}: ${total};${/each}'),
+            paragraph('After: ${total}')
+        ].join('');
+        const items = [{ name: 'a', price: 2, quantity: 3 }, { name: 'b', price: 5, quantity: 1 }];
+
+        expect(await render(createDocx({ body }), { items })).toBe('a: 6;b: 5;\nAfter:');
+    });
+
+    test('#let defines computed fields for the whole document, headers included', async () => {
+        const template = createDocx({
+            body: paragraph('${#let rate = loan.interestRate * 100 | round:1}${#let label = "Rate " + rate}Body ${label}'),
+            headers: { header1: paragraph('Header ${label}') }
+        });
+        const document = await new TemplateEngine().processTemplate(template, { loan });
+
+        expect(getText(readPart(document))).toBe('Body Rate 6');
+        expect(getText(readPart(document, 'word/header1.xml'))).toBe('Header Rate 6');
+    });
+
+    test('#let inside a block acts as #set', async () => {
+        const body = paragraph('${#if true}${#let local = 1}in ${local}${/if} out ${local}');
+
+        expect(await render(createDocx({ body }), {})).toBe('in 1 out');
+    });
+
+    test('malformed definitions stay text and are reported', async () => {
+        const template = createDocx({ body: paragraph('${#set total}${#set index = 1}${#let ok = a +}') });
+
+        expect(await render(template, {})).toContain('${#set total}${#set index = 1}');
+
+        const validation = await new TemplateValidator().validateTemplate(template);
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual([
+            '${#set total} should look like #set name = expression',
+            '${#set index = 1} would hide the loop variable "index"',
+            expect.stringContaining('Invalid expression in ${#let ok = a +}')
+        ]);
+        expect(validation.definitions.map(definition => definition.scope)).toEqual(['block', 'block', 'document']);
+    });
+});
@@ -0,0 +1,57 @@
+// test/formatting.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const DocxXmlFormatter = require('../src/core/DocxXmlFormatter');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// Runs of the rendered body as { properties, text }
+const getRuns = (xml) => [...xml.matchAll(/<w:r>(?:<w:rPr>([\s\S]*?)<\/w:rPr>)?<w:t[^>]*>([^<]*)<\/w:t><\/w:r>/g)]
+    .map(([, properties = '', text]) => ({ properties, text }));
+
+describe('styling formatters', () => {
+    silenceConsole();
+
+    const render = (text, data, runProperties = '') => new TemplateEngine()
+        .processTemplate(createDocx({ body: paragraph(text, runProperties) }), data)
+        .then(output => readPart(output));
+
+    test('split the value into its own styled run', async () => {
+        const xml = await render('Overdue: ${amount|bold} now', { amount: '500' });
+        const runs = getRuns(xml);
+
+        expect(getText(xml)).toBe('Overdue: 500 now');
+        expect(runs.find(run => run.text === '500').properties).toBe('<w:b/><w:bCs/>');
+        expect(runs.find(run => run.text.startsWith('Overdue')).properties).toBe('');
+    });
+
+    test('merge with the properties of the placeholder run', async () => {
+        const xml = await render('${amount|color:red}', { amount: '500' }, '<w:rFonts w:ascii="Arial"/><w:b/><w:color w:val="000000"/>');
+        const run = getRuns(xml).find(candidate => candidate.text === '500');
+
+        expect(run.properties).toBe('<w:rFonts w:ascii="Arial"/><w:b/><w:color w:val="FF0000"/>');
+    });
+
+    test('render italic, underline and size', async () => {
+        const xml = await render('${a|italic} ${b|underline} ${c|size:14}', { a: 'A', b: 'B', c: 'C' });
+        const runs = getRuns(xml);
+
+        expect(runs.find(run => run.text === 'A').properties).toBe('<w:i/><w:iCs/>');
+        expect(runs.find(run => run.text === 'B').properties).toBe('<w:u w:val="single"/>');
+        expect(runs.find(run => run.text === 'C').properties).toBe('<w:sz w:val="28"/><w:szCs w:val="28"/>');
+    });
+
+    test('escape the styled value', async () => {
+        const xml = await render('${name|bold}', { name: 'A & <B>' });
+
+        expect(xml).toContain('A &amp; &lt;B&gt;');
+    });
+});
+
+describe('DocxXmlFormatter.mergeRunProperties', () => {
+    const formatter = new DocxXmlFormatter();
+
+    test('replaces inherited elements and keeps schema order', () => {
+        const merged = formatter.mergeRunProperties('<w:rPr><w:sz w:val="20"/><w:rFonts w:ascii="Arial"/></w:rPr>', { size: 12, bold: true });
+
+        expect(merged).toBe('<w:rPr><w:rFonts w:ascii="Arial"/><w:b/><w:bCs/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr>');
+    });
+});
@@ -0,0 +1,67 @@
+// test/groupLoops.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('group loops', () => {
+    silenceConsole();
+
+    const render = async (body, data) => getText(readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data)));
+
+    const loans = [
+        { branch: 'North', amount: 10, borrower: 'Ann' },
+        { branch: 'South', amount: 5, borrower: 'Bob' },
+        { branch: 'North', amount: 20, borrower: 'Cy' }
+    ];
+
+    test('repeat once per key, in the order keys first appear', async () => {
+        const body = paragraph('${#group loans by branch}${group.key}: ${group.count} loans, ${group.sum.amount} total;${/group}');
+
+        expect(await render(body, { loans })).toBe('North: 2 loans, 30 total;South: 1 loans, 5 total;');
+    });
+
+    test('give each group its totals and items, nested loops included', async () => {
+        const body = [
+            paragraph('${#group loans by branch}'),
+            paragraph('${group.key} avg ${avg.amount} min ${min.amount} max ${max.amount}'),
+            paragraph('${#each items}- ${borrower}${/each}'),
+            paragraph('${/group}')
+        ].join('');
+
+        expect(await render(body, { loans })).toBe([
+            'North avg 15 min 10 max 20',
+            '- Ann- Cy',
+            'South avg 5 min 5 max 5',
+            '- Bob'
+        ].join('\n'));
+    });
+
+    test('group table rows by an expression', async () => {
+        const body = table([['${#group loans by amount > 8}${group.key}', '${group.count}${/group}']]);
+
+        expect(await render(body, { loans })).toBe('true | 2\nfalse | 1');
+    });
+
+    test('nest groups inside groups', async () => {
+        const body = paragraph('${#group loans by branch}[${group.key}${#group group.items by amount > 8} ${group.key}=${group.items.length}${/group}]${/group}');
+
+        expect(await render(body, { loans })).toBe('[North true=2][South false=1]');
+    });
+
+    test('a group without a key stays text and is reported', async () => {
+        const template = createDocx({ body: paragraph('${#group loans}${key}${/group}') });
+
+        expect(getText(readPart(await new TemplateEngine().processTemplate(template, { loans })))).toContain('${#group loans}');
+
+        const validation = await new TemplateValidator().validateTemplate(template);
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toContain('${#group loans} does not say what to group by, e.g. ${#group loans by branch}');
+    });
+
+    test('validator reports a group key that does not parse', async () => {
+        const validation = await new TemplateValidator().validateTemplate(createDocx({ body: paragraph('${#group loans by branch +}${key}${/group}') }));
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual([expect.stringContaining('Invalid group key')]);
+    });
+});
@@ -0,0 +1,74 @@
+// test/headerFooter.test.js
+const PizZip = require('pizzip');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const HeaderFooterWriter = require('../src/generators/HeaderFooterWriter');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// Part name of each header or footer reference of the first section, by type
+function getReferencedParts(buffer, kind) {
+    const relationships = readPart(buffer, 'word/_rels/document.xml.rels');
+    const references = [...readPart(buffer).matchAll(new RegExp(`<w:${kind}Reference w:type="([^"]+)" r:id="([^"]+)"`, 'g'))];
+
+    return Object.fromEntries(references.map(([, type, id]) =>
+        [type, `word/${relationships.match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"`))[1]}`]));
+}
+
+describe('caller-supplied headers and footers', () => {
+    silenceConsole();
+
+    test('generator fills the texts with the data and aligns them', async () => {
+        const template = createDocx({ body: paragraph('Hello ${name}') });
+        const output = await new DocumentGenerator().generateDocument(template, { name: 'Ann', ref: 'LA-1' }, {
+            header: { text: 'Agreement ${ref}\nPrivate', align: 'right' },
+            footer: 'Prepared for ${name}'
+        });
+        const headers = getReferencedParts(output, 'header');
+        const footers = getReferencedParts(output, 'footer');
+
+        expect(getText(readPart(output, headers.default))).toBe('Agreement LA-1\nPrivate');
+        expect(readPart(output, headers.default).match(/<w:jc w:val="right"\/>/g)).toHaveLength(2);
+        expect(getText(readPart(output, footers.default))).toBe('Prepared for Ann');
+        expect(readPart(output, footers.default)).toContain('<w:jc w:val="left"/>');
+        expect(new PizZip(output).files['[Content_Types].xml'].asText()).toContain(`PartName="/${headers.default}"`);
+    });
+
+    test('replace the template header of the same type', () => {
+        const template = createDocx({ body: paragraph('Body'), headers: { header1: paragraph('Template header') } });
+        const output = new HeaderFooterWriter().addHeaderFooter(template, { header: 'New header' });
+        const headers = getReferencedParts(output, 'header');
+
+        expect(Object.keys(headers)).toEqual(['default']);
+        expect(getText(readPart(output, headers.default))).toBe('New header');
+    });
+
+    test('a first page variant turns on titlePg and keeps the default footer on the first page', () => {
+        const template = createDocx({ body: paragraph('Body'), footers: { footer1: paragraph('Template footer') } });
+        const output = new HeaderFooterWriter().addHeaderFooter(template, { header: { text: 'Header', first: { text: 'Cover', align: 'center' } } });
+        const headers = getReferencedParts(output, 'header');
+        const footers = getReferencedParts(output, 'footer');
+
+        expect(readPart(output)).toContain('<w:titlePg/>');
+        expect(getText(readPart(output, headers.first))).toBe('Cover');
+        expect(readPart(output, headers.first)).toContain('<w:jc w:val="center"/>');
+        expect(footers).toEqual({ default: 'word/footer1.xml', first: 'word/footer1.xml' });
+    });
+
+    test('an even page variant turns on even and odd headers in the settings', () => {
+        const zip = new PizZip(createDocx({ body: paragraph('Body') }));
+        zip.file('word/settings.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:settings xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:defaultTabStop w:val="720"/></w:settings>');
+        const output = new HeaderFooterWriter().addHeaderFooter(zip.generate({ type: 'nodebuffer' }), { footer: { odd: 'Odd', even: 'Even' } });
+        const footers = getReferencedParts(output, 'footer');
+
+        expect(getText(readPart(output, footers.default))).toBe('Odd');
+        expect(getText(readPart(output, footers.even))).toBe('Even');
+        expect(readPart(output, 'word/settings.xml')).toContain('<w:evenAndOddHeaders/>');
+    });
+
+    test('invalid alignments and empty options are rejected', () => {
+        const writer = new HeaderFooterWriter();
+        const template = createDocx({ body: paragraph('Body') });
+
+        expect(() => writer.addHeaderFooter(template, { header: { text: 'x', align: 'justify' } })).toThrow('Invalid header alignment "justify"');
+        expect(() => writer.addHeaderFooter(template, { footer: { align: 'left' } })).toThrow('The footer option needs a text');
+    });
+});
@@ -0,0 +1,116 @@
+// test/helpers/docx.js
+const PizZip = require('pizzip');
+
+const NAMESPACES = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style></w:styles>`;
+
+// Root element of each extra part, e.g. word/footnotes.xml → w:footnotes
+const PART_ROOTS = { header: 'w:hdr', footer: 'w:ftr', footnotes: 'w:footnotes', endnotes: 'w:endnotes', comments: 'w:comments' };
+
+/**
+ * Build a minimal DOCX package around WordprocessingML snippets
+ * @param {Object} content - { body, headers: { header1: xml }, footers: { footer1: xml }, parts: { footnotes: xml }, sectPr }
+ * @returns {Buffer} - Template buffer
+ */
+function createDocx({ body = '', headers = {}, footers = {}, parts = {}, sectPr = '' } = {}) {
+    const zip = new PizZip();
+    const relationships = [`<Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/styles" Target="styles.xml"/>`];
+    const overrides = [
+        `<Override PartName="/word/document.xml" ContentType="${CONTENT_TYPE}.document.main+xml"/>`,
+        `<Override PartName="/word/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>`
+    ];
+    let references = '';
+
+    const addPart = (name, kind, xml) => {
+        const id = `rId${relationships.length + 1}`;
+        const root = PART_ROOTS[kind];
+        zip.file(`word/${name}.xml`, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><${root} ${NAMESPACES}>${xml}</${root}>`);
+        relationships.push(`<Relationship Id="${id}" Type="${RELATIONSHIP_TYPE}/${kind}" Target="${name}.xml"/>`);
+        overrides.push(`<Override PartName="/word/${name}.xml" ContentType="${CONTENT_TYPE}.${kind}+xml"/>`);
+        return id;
+    };
+
+    for (const [name, xml] of Object.entries(headers)) {
+        references += `<w:headerReference w:type="default" r:id="${addPart(name, 'header', xml)}"/>`;
+    }
+    for (const [name, xml] of Object.entries(footers)) {
+        references += `<w:footerReference w:type="default" r:id="${addPart(name, 'footer', xml)}"/>`;
+    }
+    for (const [name, xml] of Object.entries(parts)) {
+        addPart(name, name, xml);
+    }
+
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${overrides.join('')}</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/officeDocument" Target="word/document.xml"/></Relationships>`);
+    zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`);
+    zip.file('word/styles.xml', STYLES);
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body}<w:sectPr>${references}${sectPr}<w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`);
+
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+// One paragraph with a single run, or one run per text when given an array
+function paragraph(texts, runProperties = '') {
+    const runs = [].concat(texts).map(text =>
+        `<w:r>${runProperties ? `<w:rPr>${runProperties}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`);
+    return `<w:p>${runs.join('')}</w:p>`;
+}
+
+// A table with one row per array of cell texts
+function table(rows) {
+    const columns = Math.max(...rows.map(row => row.length));
+    const grid = Array.from({ length: columns }, () => '<w:gridCol w:w="2000"/>').join('');
+    const body = rows.map(row => `<w:tr>${row.map(cell => `<w:tc><w:tcPr><w:tcW w:w="2000" w:type="dxa"/></w:tcPr>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`);
+    return `<w:tbl><w:tblPr><w:tblW w:w="0" w:type="auto"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${body.join('')}</w:tbl>`;
+}
+
+function readPart(buffer, partName = 'word/document.xml') {
+    const file = new PizZip(buffer).files[partName];
+    return file ? file.asText() : null;
+}
+
+// Visible text of a part, one line per paragraph or table row, cells separated by " | "
+function getText(xml) {
+    return xml
+        .replace(/>\r?\n\s*</g, '><')
+        .replace(/<w:br\/>/g, '\n')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<\/w:p><\/w:tc>/g, '</w:tc>')
+        .replace(/<\/w:tc><\/w:tr>/g, '</w:tr>')
+        .replace(/<\/w:tc>/g, ' | ')
+        .replace(/<\/w:p>|<\/w:tr>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// The engine logs every step, keep test output readable
+function silenceConsole() {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+}
+
+module.exports = { createDocx, paragraph, table, readPart, getText, silenceConsole };
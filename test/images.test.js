@@ -0,0 +1,74 @@
+// test/images.test.js
+const PizZip = require('pizzip');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// 1×1 PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR4nGNgAAIAAAUAAXpeqz8AAAAASUVORK5CYII=';
+
+describe('image tags', () => {
+    silenceConsole();
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data);
+    };
+
+    test('insert an inline picture with its media part and relationship', () => {
+        const output = render(paragraph('Logo: ${%image logo|width:2cm} end'), { logo: `data:image/png;base64,${PNG}` });
+        const zip = new PizZip(output);
+        const xml = readPart(output);
+
+        expect(xml).toContain('<wp:extent cx="720000" cy="720000"/>');
+        expect(getText(xml)).toBe('Logo:  end');
+        expect(zip.files['word/media/image1.png'].asNodeBuffer().equals(Buffer.from(PNG, 'base64'))).toBe(true);
+
+        const id = xml.match(/r:embed="([^"]+)"/)[1];
+        expect(readPart(output, 'word/_rels/document.xml.rels')).toMatch(new RegExp(`Id="${id}"[^>]*Target="media/image1.png"`));
+        expect(zip.files['[Content_Types].xml'].asText()).toContain('Extension="png" ContentType="image/png"');
+    });
+
+    test('store the same picture once and number every drawing', () => {
+        const output = render(paragraph('${%a}${%b}'), { a: PNG, b: Buffer.from(PNG, 'base64') });
+
+        expect(Object.keys(new PizZip(output).files).filter(name => name.startsWith('word/media/'))).toEqual(['word/media/image1.png']);
+        expect([...readPart(output).matchAll(/<wp:docPr id="(\d+)"/g)].map(match => match[1])).toEqual(['1', '2']);
+    });
+
+    test('leave the spot empty without an image and report unreadable ones', () => {
+        expect(readPart(render(paragraph('[${%logo}]'), {}))).not.toContain('<w:drawing>');
+        expect(getText(readPart(render(paragraph('${%logo}'), { logo: 'https://example.com/logo.png' })))).toBe('[ERROR: %logo]');
+        expect(getText(readPart(render(paragraph('${%logo}'), { logo: '../secret.png' })))).toBe('[ERROR: %logo]');
+    });
+
+    test('keep a table row holding only a picture', () => {
+        const output = render(table([['Logo'], ['${%logo}']]), { logo: PNG });
+        const xml = readPart(output);
+
+        expect(xml.match(/<w:tr>/g)).toHaveLength(2);
+        expect(xml).toMatch(/<w:tr>(?:(?!<\/w:tr>)[\s\S])*<w:drawing>/);
+    });
+
+    test('pictures in a caller-supplied header get relationships of the header part', async () => {
+        const template = createDocx({ body: paragraph('Body') });
+        const output = await new DocumentGenerator().generateDocument(template, { logo: PNG }, { header: 'Logo ${%logo}' });
+        const zip = new PizZip(output);
+        const headerPart = Object.keys(zip.files).find(name => /^word\/header\d+\.xml$/.test(name));
+        const header = readPart(output, headerPart);
+
+        const id = header.match(/r:embed="([^"]+)"/)[1];
+        expect(readPart(output, headerPart.replace('word/', 'word/_rels/') + '.rels')).toMatch(new RegExp(`Id="${id}"[^>]*Target="media/image1.png"`));
+    });
+
+    test('validation reports unknown options and invalid sizes', async () => {
+        const validation = await new TemplateValidator().validateTemplate(createDocx({ body: paragraph('${%logo|width:big}${%image photo|depth:2cm}') }));
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual(expect.arrayContaining([
+            expect.stringContaining('Invalid image size "big"'),
+            expect.stringContaining('Unknown image option "depth"')
+        ]));
+    });
+});
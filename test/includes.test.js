@@ -0,0 +1,130 @@
+// test/includes.test.js
+const PizZip = require('pizzip');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// 1×1 PNG
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAAC0lEQVR4nGNgAAIAAAUAAXpeqz8AAAAASUVORK5CYII=';
+
+// Add a paragraph style to a generated test package
+function withStyle(buffer, styleId, color) {
+    const zip = new PizZip(buffer);
+    zip.file('word/styles.xml', zip.files['word/styles.xml'].asText().replace('</w:styles>',
+        `<w:style w:type="paragraph" w:styleId="${styleId}"><w:name w:val="${styleId}"/><w:rPr><w:color w:val="${color}"/></w:rPr></w:style></w:styles>`));
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+// Add a one-level decimal list to a generated test package
+function withNumbering(buffer) {
+    const zip = new PizZip(buffer);
+    zip.file('word/numbering.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>`);
+    zip.file('word/_rels/document.xml.rels', zip.files['word/_rels/document.xml.rels'].asText().replace('</Relationships>',
+        '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>'));
+    zip.file('[Content_Types].xml', zip.files['[Content_Types].xml'].asText().replace('</Types>',
+        '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/></Types>'));
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+const listItem = (text) => `<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+// Resolves includes from stored templates by name and version, like TemplateManager.resolveInclude
+function createStore(templates) {
+    const requests = [];
+    const resolver = async ({ name, version }) => {
+        requests.push({ name, version });
+        const versions = templates[name];
+        if (!versions) return null;
+        const latest = Math.max(...Object.keys(versions).map(Number));
+        const pinned = version || latest;
+        return { id: name, name, version: pinned, cacheKey: `${name}@${pinned}`, buffer: versions[pinned] };
+    };
+    return { resolver, requests };
+}
+
+describe('#include tags', () => {
+    silenceConsole();
+
+    const generate = (body, data, resolver) =>
+        new DocumentGenerator().generateDocument(createDocx({ body }), data, { includeResolver: resolver });
+
+    test('render a stored template in place of the tag with the given data', async () => {
+        const signature = createDocx({ body: paragraph('Signed: ${name}') + paragraph('Date: ${date}') });
+        const { resolver } = createStore({ 'signature-block': { 1: signature } });
+
+        const output = await generate(paragraph('Agreement') + paragraph('${#include "signature-block" with borrower}') + paragraph('End'),
+            { borrower: { name: 'Ann', date: '2026-01-02' } }, resolver);
+
+        expect(getText(readPart(output))).toBe('Agreement\nSigned: Ann\nDate: 2026-01-02\nEnd');
+    });
+
+    test('load pinned versions and the latest one otherwise', async () => {
+        const { resolver, requests } = createStore({
+            clause: { 1: createDocx({ body: paragraph('Old clause') }), 2: createDocx({ body: paragraph('New clause') }) }
+        });
+
+        const output = await generate(paragraph('${#include “clause@1”}') + paragraph('${#include "clause"}'), {}, resolver);
+
+        expect(getText(readPart(output))).toBe('Old clause\nNew clause');
+        expect(requests).toEqual([{ name: 'clause', version: 1 }, { name: 'clause', version: null }]);
+    });
+
+    test('bring styles and media of the included template along', async () => {
+        const letterhead = withStyle(createDocx({
+            body: '<w:p><w:pPr><w:pStyle w:val="Letterhead"/></w:pPr><w:r><w:t>Bank</w:t></w:r></w:p>' + paragraph('${%logo}')
+        }), 'Letterhead', 'FF0000');
+        const host = withStyle(createDocx({ body: paragraph('${#include "letterhead"}') }), 'Letterhead', '0000FF');
+        const { resolver } = createStore({ letterhead: { 1: letterhead } });
+
+        const output = await new DocumentGenerator().generateDocument(host, { logo: PNG }, { includeResolver: resolver });
+        const xml = readPart(output);
+
+        // The host already has a different Letterhead style, so the included one is renamed
+        expect(xml).toContain('<w:pStyle w:val="Letterhead2"/>');
+        expect(readPart(output, 'word/styles.xml')).toMatch(/w:styleId="Letterhead2">.*<w:color w:val="FF0000"\/>/);
+
+        const id = xml.match(/r:embed="([^"]+)"/)[1];
+        const target = readPart(output, 'word/_rels/document.xml.rels').match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"`))[1];
+        expect(new PizZip(output).files[`word/${target}`].asNodeBuffer().equals(Buffer.from(PNG, 'base64'))).toBe(true);
+    });
+
+    test('bring lists of the included template along, numbered on their own', async () => {
+        const guarantor = withNumbering(createDocx({ body: listItem('Guarantee') + listItem('Indemnity') }));
+        const host = withNumbering(createDocx({ body: listItem('Host item') + paragraph('${#include "guarantor"}') }));
+        const { resolver } = createStore({ guarantor: { 1: guarantor } });
+
+        const output = await new DocumentGenerator().generateDocument(host, {}, { includeResolver: resolver });
+        const numbering = readPart(output, 'word/numbering.xml');
+
+        expect(getText(readPart(output))).toBe('Host item\nGuarantee\nIndemnity');
+        expect([...readPart(output).matchAll(/<w:numId w:val="(\d+)"\/>/g)].map(match => match[1])).toEqual(['1', '2', '2']);
+        expect(numbering.match(/<w:abstractNum /g)).toHaveLength(2);
+        expect(numbering).toMatch(/<w:num w:numId="2"><w:abstractNumId w:val="1"\/><\/w:num>/);
+    });
+
+    test('stop at include cycles and mark templates that are not found', async () => {
+        const { resolver } = createStore({
+            a: { 1: createDocx({ body: paragraph('${#include "b"}') }) },
+            b: { 1: createDocx({ body: paragraph('${#include "a"}') }) }
+        });
+
+        await expect(generate(paragraph('${#include "a"}'), {}, resolver)).rejects.toThrow('Include cycle: a → b → a');
+
+        const output = await generate(paragraph('${#include "missing"}'), {}, resolver);
+        expect(getText(readPart(output))).toBe('[ERROR: #include "missing"]');
+    });
+
+    test('validator lists includes and reports malformed ones', async () => {
+        const template = createDocx({ body: paragraph('${#include "signature-block@3" with borrower}${#include signature}${#include "x" with a +}') });
+
+        const validation = await new TemplateValidator().validateTemplate(template);
+
+        expect(validation.includes.map(include => [include.template, include.version, include.expression]))
+            .toEqual([['signature-block', 3, 'borrower'], [null, null, null], ['x', null, 'a +']]);
+        expect(validation.errors).toEqual([
+            '${#include signature} should look like #include "template-name" with data',
+            expect.stringContaining('Invalid expression in ${#include "x" with a +}')
+        ]);
+    });
+});
@@ -0,0 +1,50 @@
+// test/lineBreaks.test.js
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('line breaks and tabs in values', () => {
+    silenceConsole();
+
+    const render = (body, data, options) => {
+        const engine = new TemplateEngine();
+        return readPart(engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data, options));
+    };
+
+    test('become breaks and tabs inside the tag run', () => {
+        const xml = render(paragraph('Address: ${address}.'), { address: '1 Main St\r\nSpringfield\tUSA' });
+
+        expect(xml).toContain('<w:t xml:space="preserve">1 Main St</w:t><w:br/><w:t xml:space="preserve">Springfield</w:t><w:tab/><w:t xml:space="preserve">USA</w:t>');
+        expect(xml.match(/<w:r>/g)).toHaveLength(1);
+        expect(getText(xml)).toBe('Address: 1 Main St\nSpringfield\tUSA.');
+    });
+
+    test('keep the formatting of styled values on every line', () => {
+        const xml = render(paragraph('${note|bold}', '<w:sz w:val="20"/>'), { note: 'One\nTwo' });
+
+        expect(xml).toContain('<w:r><w:rPr><w:b/><w:bCs/><w:sz w:val="20"/></w:rPr><w:t xml:space="preserve">One</w:t><w:br/><w:t xml:space="preserve">Two</w:t></w:r>');
+    });
+
+    test('blank lines stay line breaks by default', () => {
+        const xml = render(paragraph('${text}'), { text: 'First\n\nSecond' });
+
+        expect(xml.match(/<w:p>/g)).toHaveLength(1);
+        expect(xml.match(/<w:br\/>/g)).toHaveLength(2);
+    });
+
+    test('with paragraphBreaks blank lines start paragraphs like the host one', () => {
+        const body = '<w:p><w:pPr><w:jc w:val="both"/></w:pPr><w:r><w:rPr><w:i/></w:rPr><w:t xml:space="preserve">Terms: ${text} (end)</w:t></w:r></w:p>';
+        const xml = render(body, { text: 'First\n\nSecond\nline\n  \nThird' }, { paragraphBreaks: true });
+
+        expect(getText(xml)).toBe('Terms: First\nSecond\nline\nThird (end)');
+        expect(xml.match(/<w:jc w:val="both"\/>/g)).toHaveLength(3);
+        expect(xml.match(/<w:i\/>/g)).toHaveLength(3);
+    });
+
+    test('generator passes paragraphBreaks through', async () => {
+        const template = createDocx({ body: paragraph('${text}') });
+        const output = await new DocumentGenerator().generateDocument(template, { text: 'A\n\nB' }, { paragraphBreaks: true });
+
+        expect(getText(readPart(output))).toBe('A\nB');
+    });
+});
@@ -0,0 +1,52 @@
+// test/links.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('link and mailto formatters', () => {
+    silenceConsole();
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data);
+    };
+
+    // Relationship target of the first hyperlink in document.xml
+    const getLinkTarget = (output) => {
+        const id = readPart(output).match(/<w:hyperlink r:id="([^"]+)"/)[1];
+        return readPart(output, 'word/_rels/document.xml.rels').match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)" TargetMode="External"`))[1];
+    };
+
+    test('write a hyperlink with the Hyperlink style and the tag formatting', () => {
+        const output = render(paragraph('Visit ${site|link:our site} today', '<w:b/>'), { site: 'www.example.com' });
+        const xml = readPart(output);
+
+        expect(getText(xml)).toBe('Visit our site today');
+        expect(getLinkTarget(output)).toBe('https://www.example.com');
+        expect(xml).toMatch(/<w:hyperlink r:id="[^"]+" w:history="1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"\/><w:b\/><\/w:rPr><w:t xml:space="preserve">our site<\/w:t><\/w:r><\/w:hyperlink>/);
+        expect(readPart(output, 'word/styles.xml')).toContain('<w:style w:type="character" w:styleId="Hyperlink">');
+    });
+
+    test('mailto links show the address', () => {
+        const output = render(paragraph('${email|mailto}'), { email: 'mailto:info@example.com' });
+
+        expect(getText(readPart(output))).toBe('info@example.com');
+        expect(getLinkTarget(output)).toBe('mailto:info@example.com');
+    });
+
+    test('bookmarks link within the document', () => {
+        const xml = readPart(render(paragraph('${target|link:See terms}'), { target: '#terms' }));
+
+        expect(xml).toContain('<w:hyperlink w:anchor="terms" w:history="1">');
+    });
+
+    test('unsupported targets and empty values leave plain text', () => {
+        const xml = readPart(render(paragraph('[${bad|link:click}][${missing|link}]'), { bad: 'javascript:alert(1)' }));
+
+        expect(getText(xml)).toBe('[click][]');
+        expect(xml).not.toContain('<w:hyperlink');
+    });
+
+    test('plain text templates use the link text', () => {
+        expect(new TemplateEngine().renderText('${site|link:Example}.docx', { site: 'example.com' })).toBe('Example.docx');
+    });
+});
@@ -0,0 +1,74 @@
+// test/loopModifiers.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('loop modifiers, ranges and else branches', () => {
+    silenceConsole();
+
+    const render = async (body, data) => getText(readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data)));
+
+    const deals = [
+        { name: 'A', amount: 500, active: true },
+        { name: 'B', amount: 3000, active: true },
+        { name: 'C', amount: 2000, active: false },
+        { name: 'D', amount: 8000, active: true },
+        { name: 'E', amount: 1500, active: true }
+    ];
+
+    test('filter, sort and limit the items', async () => {
+        const body = paragraph('${#each deals where this.amount > 1000 sortBy amount desc limit 2}${name} ${/each}');
+
+        expect(await render(body, { deals })).toBe('D B');
+    });
+
+    test('sort by several keys and skip items with offset', async () => {
+        const body = paragraph('${#each deals where active sortBy active desc, name desc offset 1 limit take}${name}${/each}');
+
+        expect(await render(body, { deals, take: 2 })).toBe('DB');
+    });
+
+    test('loop variables count the selected items only', async () => {
+        const body = table([['${#each deals where !active}${index + 1}/${count}', '${name}${/each}']]);
+
+        expect(await render(body, { deals })).toBe('1/1 | C');
+    });
+
+    test('repeat over number ranges', async () => {
+        expect(await render(paragraph('${#each 1..n}${this},${/each}'), { n: 3 })).toBe('1,2,3,');
+        expect(await render(paragraph('${#each 1..n}${this}${/each}'), { n: 0 })).toBe('');
+    });
+
+    test('repeat over the properties of an object', async () => {
+        const body = paragraph('${#each fees}${key}=${value};${/each}');
+
+        expect(await render(body, { fees: { arrangement: 100, early: 50 } })).toBe('arrangement=100;early=50;');
+    });
+
+    test('render the else branch when nothing is left to repeat', async () => {
+        const body = [
+            paragraph('${#each deals where amount > minimum}'),
+            paragraph('${name}'),
+            paragraph('${#else}'),
+            paragraph('No deals above ${minimum}'),
+            paragraph('${/each}')
+        ].join('');
+
+        expect(await render(body, { deals, minimum: 5000 })).toBe('D');
+        expect(await render(body, { deals, minimum: 9000 })).toBe('No deals above 9000');
+        expect(await render(body, { minimum: 1 })).toBe('No deals above 1');
+    });
+
+    test('validator reads modifiers of nested loops from the right loop', async () => {
+        const template = createDocx({
+            body: paragraph('${#each deals where amount >}${#each items sortBy price}${name}${#else}none${/each}${/each}')
+        });
+
+        const validation = await new TemplateValidator().validateTemplate(template);
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual([expect.stringContaining('Invalid where in loop')]);
+        expect(validation.loops.map(loop => [loop.array, loop.nested])).toEqual([['deals', true], ['items', false]]);
+        expect(validation.loops[1].modifiers.sortBy).toEqual([{ expression: 'price', descending: false }]);
+    });
+});
@@ -0,0 +1,55 @@
+// test/pageNumbers.test.js
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const HeaderFooterWriter = require('../src/generators/HeaderFooterWriter');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+// Part name of the default footer referenced by document.xml
+function getFooterPart(buffer) {
+    const id = readPart(buffer).match(/<w:footerReference w:type="default" r:id="([^"]+)"/)[1];
+    const target = readPart(buffer, 'word/_rels/document.xml.rels').match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"`))[1];
+    return `word/${target}`;
+}
+
+describe('page numbers', () => {
+    silenceConsole();
+
+    test('generator adds a footer with page fields, alignment and start number', async () => {
+        const template = createDocx({ body: paragraph('Hello ${name}') });
+        const output = await new DocumentGenerator().generateDocument(template, { name: 'Ann' }, {
+            addPageNumbers: { position: 'right', format: 'Page {page} of {pages}', start: 5 }
+        });
+        const footer = readPart(output, getFooterPart(output));
+
+        expect(footer).toContain('<w:jc w:val="right"/>');
+        expect(footer).toMatch(/<w:t xml:space="preserve">Page <\/w:t><\/w:r><w:fldSimple w:instr=" PAGE ">[\s\S]*<w:t xml:space="preserve"> of <\/w:t><\/w:r><w:fldSimple w:instr=" NUMPAGES ">/);
+        expect(readPart(output)).toContain('<w:pgNumType w:start="5"/>');
+        expect(getText(readPart(output))).toBe('Hello Ann');
+    });
+
+    test('footers of the template keep their content and get the numbers below', () => {
+        const template = createDocx({ body: paragraph('Body'), footers: { footer1: paragraph('Confidential') } });
+        const output = new HeaderFooterWriter().addPageNumbers(template, { format: '{page} / {sectionPages}' });
+        const footer = readPart(output, 'word/footer1.xml');
+
+        expect(getFooterPart(output)).toBe('word/footer1.xml');
+        expect(getText(footer)).toBe('Confidential\n1 / 1');
+        expect(footer).toContain('w:instr=" SECTIONPAGES "');
+        expect(footer).toContain('<w:jc w:val="center"/>');
+    });
+
+    test('footers that already show a page number are left alone', () => {
+        const writer = new HeaderFooterWriter();
+        const once = writer.addPageNumbers(createDocx({ body: paragraph('Body') }));
+        const twice = writer.addPageNumbers(once);
+
+        expect(readPart(twice, getFooterPart(twice))).toBe(readPart(once, getFooterPart(once)));
+    });
+
+    test('invalid positions and start numbers are rejected', () => {
+        const writer = new HeaderFooterWriter();
+        const template = createDocx({ body: paragraph('Body') });
+
+        expect(() => writer.addPageNumbers(template, { position: 'top' })).toThrow('Invalid page number position "top"');
+        expect(() => writer.addPageNumbers(template, { start: -1 })).toThrow('Invalid page number start "-1"');
+    });
+});
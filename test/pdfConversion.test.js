@@ -0,0 +1,112 @@
+// test/pdfConversion.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentConverter = require('../src/converters/DocumentConverter');
+const LibreOfficeConverter = require('../src/converters/LibreOfficeConverter');
+const DocumentGenerator = require('../src/generators/DocumentGenerator');
+const { createDocx, paragraph, silenceConsole } = require('./helpers/docx');
+
+// Stands in for soffice: writes document.pdf into --outdir, after a delay or failing if asked to
+const fakeSoffice = ({ delay = 0, fail = false } = {}) => `#!/bin/sh
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --outdir) shift; outdir="$1" ;;
+    esac
+    shift
+done
+sleep ${delay}
+${fail ? 'echo "conversion error" >&2; exit 1' : 'printf \'%%PDF-1.4 fake\' > "$outdir/document.pdf"'}
+`;
+
+class RecordingConverter extends DocumentConverter {
+    constructor() {
+        super();
+        this.inputs = [];
+    }
+
+    get formats() {
+        return ['pdf'];
+    }
+
+    async convert(documentBuffer) {
+        this.inputs.push(documentBuffer);
+        return Buffer.from('%PDF-1.4 recorded');
+    }
+}
+
+describe('PDF output', () => {
+    silenceConsole();
+
+    let workDir;
+    const binaries = {};
+
+    beforeAll(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soffice-test-'));
+        const scripts = { soffice: {}, slow: { delay: 0.2 }, hanging: { delay: 5 }, failing: { fail: true } };
+        for (const [name, options] of Object.entries(scripts)) {
+            binaries[name] = path.join(workDir, name);
+            fs.writeFileSync(binaries[name], fakeSoffice(options), { mode: 0o755 });
+        }
+    });
+
+    afterAll(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+    const template = createDocx({ body: paragraph('Hello ${name}') });
+
+    test('generator converts through the configured converter', async () => {
+        const converter = new RecordingConverter();
+        const generator = new DocumentGenerator({ converter });
+
+        const pdf = await generator.generateDocument(template, { name: 'Ann' }, { outputFormat: 'pdf' });
+
+        expect(pdf.toString()).toBe('%PDF-1.4 recorded');
+        expect(converter.inputs).toHaveLength(1);
+        expect(converter.inputs[0].subarray(0, 2).toString()).toBe('PK');
+    });
+
+    test('output formats map to extensions and content types', () => {
+        expect(DocumentGenerator.getOutputFormat('PDF')).toEqual({ extension: 'pdf', contentType: 'application/pdf' });
+        expect(DocumentGenerator.getOutputFormat().extension).toBe('docx');
+        expect(() => DocumentGenerator.getOutputFormat('odt')).toThrow('Unsupported output format: odt');
+    });
+
+    test('LibreOffice converter returns the produced PDF and cleans up', async () => {
+        const tempDir = fs.mkdtempSync(path.join(workDir, 'temp-'));
+        const converter = new LibreOfficeConverter({ binary: binaries.soffice, tempDir });
+
+        const pdf = await converter.convert(Buffer.from('docx'), 'pdf');
+
+        expect(pdf.toString()).toBe('%PDF-1.4 fake');
+        expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+
+    test('LibreOffice converter limits concurrent conversions', async () => {
+        const converter = new LibreOfficeConverter({ binary: binaries.slow, tempDir: workDir, maxConcurrency: 1 });
+        let maxRunning = 0;
+        const runConversion = converter.runConversion.bind(converter);
+        converter.runConversion = (...args) => {
+            maxRunning = Math.max(maxRunning, converter.running);
+            return runConversion(...args);
+        };
+
+        await Promise.all([1, 2, 3].map(() => converter.convert(Buffer.from('docx'))));
+
+        expect(maxRunning).toBe(1);
+        expect(converter.running).toBe(0);
+    });
+
+    test('LibreOffice converter reports failures, timeouts and a missing binary', async () => {
+        await expect(new LibreOfficeConverter({ binary: binaries.failing, tempDir: workDir }).convert(Buffer.from('docx')))
+            .rejects.toThrow('LibreOffice conversion failed: conversion error');
+
+        await expect(new LibreOfficeConverter({ binary: binaries.hanging, tempDir: workDir, timeout: 200 }).convert(Buffer.from('docx')))
+            .rejects.toThrow('LibreOffice conversion timed out after 200ms');
+
+        await expect(new LibreOfficeConverter({ binary: path.join(workDir, 'missing'), tempDir: workDir }).convert(Buffer.from('docx')))
+            .rejects.toThrow('LibreOffice not found');
+
+        await expect(new LibreOfficeConverter({ binary: binaries.soffice }).convert(Buffer.from('docx'), 'odt'))
+            .rejects.toThrow('LibreOffice conversion to odt is not supported');
+    });
+});
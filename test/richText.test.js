@@ -0,0 +1,80 @@
+// test/richText.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const DocumentMerger = require('../src/generators/DocumentMerger');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('html and markdown formatters', () => {
+    silenceConsole();
+
+    const render = (body, data) => {
+        const engine = new TemplateEngine();
+        return engine.renderTemplate(engine.compileTemplate(createDocx({ body })), data);
+    };
+
+    test('inline HTML becomes runs inside the host run', () => {
+        const xml = readPart(render(paragraph('Note: ${text|html}!', '<w:sz w:val="20"/>'), { text: 'a <b>bold</b> <i>word</i>' }));
+
+        expect(getText(xml)).toBe('Note: a bold word!');
+        expect(xml.match(/<w:p>/g)).toHaveLength(1);
+        expect(xml).toMatch(/<w:rPr><w:b\/><w:bCs\/><w:sz w:val="20"\/><\/w:rPr><w:t xml:space="preserve">bold<\/w:t>/);
+        expect(xml).toMatch(/<w:rPr><w:i\/><w:iCs\/><w:sz w:val="20"\/><\/w:rPr><w:t xml:space="preserve">word<\/w:t>/);
+    });
+
+    test('block HTML replaces a paragraph that holds only the tag', () => {
+        const xml = readPart(render(paragraph('Before') + paragraph('${clause|html}') + paragraph('After'), {
+            clause: '<p>First</p><p style="text-align: center">Second &amp; <u>last</u></p>'
+        }));
+
+        expect(getText(xml)).toBe('Before\nFirst\nSecond & last\nAfter');
+        expect(xml.match(/<w:p>/g)).toHaveLength(4);
+        expect(xml).toContain('<w:pPr><w:jc w:val="center"/></w:pPr>');
+    });
+
+    test('block HTML splits a paragraph with other text', () => {
+        const xml = readPart(render(paragraph(['Terms: ', '${clause|html}', ' end']), { clause: '<p>Clause</p>' }));
+
+        expect(getText(xml)).toBe('Terms: \nClause\n end');
+    });
+
+    test('markdown lists get numbering of their own', () => {
+        const output = render(paragraph('${notes|markdown}'), { notes: '1. One\n2. Two\n\n- Bullet' });
+        const xml = readPart(output);
+        const numbering = readPart(output, 'word/numbering.xml');
+
+        expect(getText(xml)).toBe('One\nTwo\nBullet');
+        expect([...xml.matchAll(/<w:numId w:val="(\d+)"\/>/g)].map(match => match[1])).toEqual(['1', '1', '2']);
+        expect(numbering.match(/<w:abstractNum /g)).toHaveLength(2);
+        expect(numbering).toContain('<w:numFmt w:val="decimal"/>');
+    });
+
+    test('links become hyperlinks with a relationship and tables keep their cells', () => {
+        const output = render(paragraph('${body|html}'), {
+            body: '<p>See <a href="https://example.com/terms">terms</a></p><table><tr><th>Fee</th><td>10</td></tr></table>'
+        });
+        const xml = readPart(output);
+
+        const id = xml.match(/<w:hyperlink r:id="([^"]+)"/)[1];
+        expect(readPart(output, 'word/_rels/document.xml.rels'))
+            .toMatch(new RegExp(`Id="${id}"[^>]*Target="https://example.com/terms" TargetMode="External"`));
+        expect(getText(xml)).toBe('See terms\nFee | 10');
+    });
+
+    test('scripts and unsafe links are dropped', () => {
+        const xml = readPart(render(paragraph('${body|html}'), { body: '<script>alert(1)</script><a href="javascript:alert(1)">click</a>' }));
+
+        expect(getText(xml)).toBe('click');
+        expect(xml).not.toContain('<w:hyperlink');
+    });
+
+    test('merging keeps lists added while rendering', () => {
+        const engine = new TemplateEngine();
+        const compiled = engine.compileTemplate(createDocx({ body: paragraph('${notes|markdown}') }));
+        const first = engine.renderTemplate(compiled, { notes: 'Plain' });
+        const second = engine.renderTemplate(compiled, { notes: '- Item' });
+
+        const merged = new DocumentMerger().merge([first, second]);
+
+        expect(readPart(merged, 'word/numbering.xml')).toContain('<w:abstractNum ');
+        expect(getText(readPart(merged))).toBe('Plain\n\nItem');
+    });
+});
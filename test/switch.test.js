@@ -0,0 +1,80 @@
+// test/switch.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('#switch blocks', () => {
+    silenceConsole();
+
+    const render = async (body, data) => getText(readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data)));
+    const validate = (body) => new TemplateValidator().validateTemplate(createDocx({ body }));
+
+    const clauses = [
+        paragraph('${#switch loan.type}'),
+        paragraph('${#case "Secured"}'),
+        paragraph('Secured by ${loan.collateral}'),
+        paragraph('${#case "Unsecured", "Overdraft"}'),
+        paragraph('No security'),
+        paragraph('${#default}'),
+        paragraph('Other: ${loan.type}'),
+        paragraph('${/switch}')
+    ].join('');
+
+    test('render the first matching case or the default', async () => {
+        expect(await render(clauses, { loan: { type: 'Secured', collateral: 'House' } })).toBe('Secured by House');
+        expect(await render(clauses, { loan: { type: 'Overdraft' } })).toBe('No security');
+        expect(await render(clauses, { loan: { type: 'Home' } })).toBe('Other: Home');
+    });
+
+    test('accept the curly quotes Word types in case values', async () => {
+        const body = paragraph('${#switch type}${#case “A, B”, ‘C’}first${#case “D”}second${/switch}');
+
+        expect(await render(body, { type: 'A, B' })).toBe('first');
+        expect(await render(body, { type: 'C' })).toBe('first');
+        expect(await render(body, { type: 'D' })).toBe('second');
+        expect(await render(body, { type: 'A' })).toBe('');
+
+        const validation = await validate(body);
+        expect(validation.switches[0].cases).toEqual(['"A, B"', '"C"', '"D"']);
+        expect(validation.errors).toEqual([]);
+    });
+
+    test('switch inside loops and across table cells', async () => {
+        const body = table([
+            ['${#each loans}${amount}', '${#switch type}${#case "Home"}Mortgage${#default}Other: ${type}${/switch}${/each}']
+        ]);
+        const loans = [{ type: 'Home', amount: 100 }, { type: 'Card', amount: 5 }];
+
+        expect(await render(body, { loans })).toBe('100 | Mortgage\n5 | Other: Card');
+
+        const rows = table([
+            ['${#switch type}', ''], ['${#case "Home"}', ''], ['Home', 'row'], ['${#default}', ''], ['Other', 'row'], ['${/switch}', '']
+        ]);
+        expect(await render(rows, { type: 'Home' })).toBe('Home | row');
+        expect(await render(rows, { type: 'Card' })).toBe('Other | row');
+    });
+
+    test('validator reports duplicate cases and a missing default in nested blocks', async () => {
+        const body = paragraph('${#each loans}${#switch type}${#case "A"}a${#case \'A\', "B"}b${/switch}${/each}');
+
+        const validation = await validate(body);
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors).toEqual(['Duplicate case \'A\' in ${#switch type}']);
+        expect(validation.warnings).toContain('${#switch type} has no ${#default}, nothing is rendered when no case matches');
+    });
+
+    test('misplaced case and default tags stay text and are reported', async () => {
+        const body = paragraph('${#case "A"}${#switch type}${#case}${#default}x${#default}${#case "B"}${/switch}');
+
+        expect(await render(body, { type: 'Z' })).toBe('${#case "A"}x${#default}${#case "B"}');
+
+        const validation = await validate(body);
+        expect(validation.errors).toEqual([
+            '${#case "A"} is not inside a ${#switch} block',
+            '${#case} has no value',
+            '${#switch type} has more than one ${#default}',
+            '${#case "B"} comes after ${#default} and is never used'
+        ]);
+    });
+});
@@ -0,0 +1,52 @@
+// test/tableLoops.test.js
+const TemplateEngine = require('../src/core/TemplateEngine');
+const { createDocx, paragraph, table, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('table row loops', () => {
+    silenceConsole();
+
+    const render = async (body, data) => getText(readPart(await new TemplateEngine().processTemplate(createDocx({ body }), data)));
+
+    const orders = [
+        { number: 'A-1', items: [{ sku: 'X' }, { sku: 'Y' }] },
+        { number: 'A-2', items: [{ sku: 'Z' }] }
+    ];
+
+    test('repeat a row whose block opens and closes in different cells', async () => {
+        const body = table([['${#each items}${index}', '${name}${/each}']]);
+
+        expect(await render(body, { items: [{ name: 'a' }, { name: 'b' }] })).toBe('0 | a\n1 | b');
+        expect(await render(body, { items: [] })).toBe('');
+    });
+
+    test('keep or drop a row with a condition across its cells', async () => {
+        const body = table([['Always', 'shown'], ['${#if show}Maybe', 'shown${/if}']]);
+
+        expect(await render(body, { show: true })).toBe('Always | shown\nMaybe | shown');
+        expect(await render(body, { show: false })).toBe('Always | shown');
+    });
+
+    test('nest row loops with context variables at every depth', async () => {
+        const body = table([
+            ['${#each orders}', ''],
+            ['Order ${number}', '${index + 1} of ${count}'],
+            ['${#each items}${../number}', '${sku} (${index + 1}/${count})${/each}'],
+            ['${/each}', '']
+        ]);
+
+        expect(await render(body, { orders })).toBe([
+            'Order A-1 | 1 of 2',
+            'A-1 | X (1/2)',
+            'A-1 | Y (2/2)',
+            'Order A-2 | 2 of 2',
+            'A-2 | Z (1/1)'
+        ].join('\n'));
+    });
+
+    test('loop paragraphs inside a cell', async () => {
+        const cell = paragraph('${#each items}') + paragraph('- ${sku}') + paragraph('${/each}');
+        const body = `<w:tbl><w:tblGrid><w:gridCol w:w="2000"/><w:gridCol w:w="2000"/></w:tblGrid><w:tr><w:tc>${paragraph('${number}')}</w:tc><w:tc>${cell}</w:tc></w:tr></w:tbl>`;
+
+        expect(await render(body, orders[0])).toBe('A-1 | - X\n- Y');
+    });
+});
@@ -0,0 +1,47 @@
+// test/templateParts.test.js
+const PizZip = require('pizzip');
+const TemplateEngine = require('../src/core/TemplateEngine');
+const TemplateValidator = require('../src/validators/TemplateValidator');
+const { createDocx, paragraph, readPart, getText, silenceConsole } = require('./helpers/docx');
+
+describe('template parts', () => {
+    silenceConsole();
+
+    const template = () => createDocx({
+        body: paragraph('Agreement ${loan.number}'),
+        headers: { header1: paragraph('${bank.name} letterhead') },
+        footers: { footer1: paragraph('Ref ${loan.number}') },
+        parts: {
+            footnotes: '<w:footnote w:id="1">' + paragraph('Rate fixed for ${loan.years} years') + '</w:footnote>',
+            comments: '<w:comment w:id="0" w:author="Bank">' + paragraph('Check ${bank.name}') + '</w:comment>'
+        }
+    });
+    const data = { loan: { number: 'LN-7', years: 5 }, bank: { name: 'First Bank' } };
+
+    test('renders headers, footers, notes and comments like the body', async () => {
+        const output = await new TemplateEngine().processTemplate(template(), data);
+
+        expect(getText(readPart(output))).toBe('Agreement LN-7');
+        expect(getText(readPart(output, 'word/header1.xml'))).toBe('First Bank letterhead');
+        expect(getText(readPart(output, 'word/footer1.xml'))).toBe('Ref LN-7');
+        expect(getText(readPart(output, 'word/footnotes.xml'))).toBe('Rate fixed for 5 years');
+        expect(getText(readPart(output, 'word/comments.xml'))).toBe('Check First Bank');
+    });
+
+    test('lists the templated parts with the body first', () => {
+        const parts = TemplateEngine.getTemplateParts(new PizZip(template()));
+
+        expect(parts[0]).toBe('word/document.xml');
+        expect(parts).toEqual(expect.arrayContaining(['word/header1.xml', 'word/footer1.xml', 'word/footnotes.xml', 'word/comments.xml']));
+        expect(parts).not.toContain('word/styles.xml');
+    });
+
+    test('validation reports placeholders per part', async () => {
+        const validation = await new TemplateValidator().validateTemplate(template());
+
+        const header = validation.parts.find(part => part.name === 'word/header1.xml');
+        expect(header.placeholders).toBe(1);
+        expect(validation.placeholders.filter(placeholder => placeholder.part === 'word/footer1.xml')
+            .map(placeholder => placeholder.variable)).toEqual(['loan.number']);
+    });
+});